@@ -0,0 +1,229 @@
+/**
+ * Firebase Backend Adapter
+ * Author: MiniMax Agent
+ * Description: Data backend implementation on top of the Firebase modular SDK
+ */
+
+class FirebaseBackend {
+    /**
+     * @param {Object} sdk - The Firebase modular SDK functions (window.firebase)
+     * @param {Object} services - Initialized `{ auth, firestore }` instances
+     */
+    constructor(sdk, services) {
+        this.sdk = sdk;
+        this.auth = services.auth;
+        this.firestore = services.firestore;
+    }
+
+    /**
+     * Authentication
+     */
+    async createUser(email, password) {
+        const credential = await this.sdk.createUserWithEmailAndPassword(this.auth, email, password);
+        return credential.user;
+    }
+
+    async updateProfile(user, profile) {
+        await this.sdk.updateProfile(user, profile);
+    }
+
+    async signIn(email, password) {
+        const credential = await this.sdk.signInWithEmailAndPassword(this.auth, email, password);
+        return credential.user;
+    }
+
+    async signOut() {
+        await this.sdk.signOut(this.auth);
+    }
+
+    getCurrentUser() {
+        return this.auth.currentUser;
+    }
+
+    /**
+     * When the current user last entered their password (the ID token's auth_time), or null when signed out
+     */
+    async getAuthTime() {
+        if (!this.auth.currentUser) return null;
+
+        const token = await this.sdk.getIdTokenResult(this.auth.currentUser);
+        return Date.parse(token.authTime);
+    }
+
+    /**
+     * 'local' keeps the sign-in across browser restarts, 'session' ends it with the tab
+     */
+    async setPersistence(mode) {
+        const persistence = mode === 'local'
+            ? this.sdk.browserLocalPersistence
+            : this.sdk.browserSessionPersistence;
+        await this.sdk.setPersistence(this.auth, persistence);
+    }
+
+    async reauthenticate(password) {
+        const user = this.auth.currentUser;
+        const credential = this.sdk.EmailAuthProvider.credential(user.email, password);
+        await this.sdk.reauthenticateWithCredential(user, credential);
+    }
+
+    async updatePassword(newPassword) {
+        await this.sdk.updatePassword(this.auth.currentUser, newPassword);
+    }
+
+    async verifyBeforeUpdateEmail(newEmail, continueUrl) {
+        await this.sdk.verifyBeforeUpdateEmail(this.auth.currentUser, newEmail, continueUrl ? { url: continueUrl } : undefined);
+    }
+
+    async deleteUser() {
+        await this.sdk.deleteUser(this.auth.currentUser);
+    }
+
+    async reloadUser() {
+        await this.sdk.reload(this.auth.currentUser);
+        return this.auth.currentUser;
+    }
+
+    /**
+     * Email actions
+     * Links point at the action handler configured in the Firebase console;
+     * `continueUrl` is where the handler sends the user afterwards.
+     */
+    async sendEmailVerification(user, continueUrl) {
+        await this.sdk.sendEmailVerification(user, continueUrl ? { url: continueUrl } : undefined);
+    }
+
+    async applyActionCode(code) {
+        await this.sdk.applyActionCode(this.auth, code);
+    }
+
+    async sendPasswordResetEmail(email, continueUrl) {
+        await this.sdk.sendPasswordResetEmail(this.auth, email, continueUrl ? { url: continueUrl } : undefined);
+    }
+
+    async verifyPasswordResetCode(code) {
+        return this.sdk.verifyPasswordResetCode(this.auth, code);
+    }
+
+    async confirmPasswordReset(code, newPassword) {
+        await this.sdk.confirmPasswordReset(this.auth, code, newPassword);
+    }
+
+    onAuthStateChanged(callback) {
+        return this.sdk.onAuthStateChanged(this.auth, callback);
+    }
+
+    /**
+     * Documents
+     */
+    serverTimestamp() {
+        return this.sdk.serverTimestamp();
+    }
+
+    newId(collectionName) {
+        return this.sdk.doc(this.sdk.collection(this.firestore, collectionName)).id;
+    }
+
+    async getDoc(collectionName, id) {
+        return this.toDoc(await this.sdk.getDoc(this.ref(collectionName, id)));
+    }
+
+    async setDoc(collectionName, id, data) {
+        await this.sdk.setDoc(this.ref(collectionName, id), data);
+    }
+
+    async updateDoc(collectionName, id, data) {
+        await this.sdk.updateDoc(this.ref(collectionName, id), data);
+    }
+
+    async deleteDoc(collectionName, id) {
+        await this.sdk.deleteDoc(this.ref(collectionName, id));
+    }
+
+    async addDoc(collectionName, data) {
+        const docRef = await this.sdk.addDoc(this.sdk.collection(this.firestore, collectionName), data);
+        return docRef.id;
+    }
+
+    async queryDocs(collectionName, spec = {}) {
+        return this.toDocs(await this.sdk.getDocs(this.buildQuery(collectionName, spec)));
+    }
+
+    /**
+     * Run `updateFunction(transaction)` atomically
+     * The transaction exposes get/set/update keyed by collection name and id.
+     */
+    runTransaction(updateFunction) {
+        return this.sdk.runTransaction(this.firestore, (transaction) => updateFunction({
+            get: async (collectionName, id) => this.toDoc(await transaction.get(this.ref(collectionName, id))),
+            set: (collectionName, id, data) => {
+                transaction.set(this.ref(collectionName, id), data);
+            },
+            update: (collectionName, id, data) => {
+                transaction.update(this.ref(collectionName, id), data);
+            }
+        }));
+    }
+
+    /**
+     * Live listeners; each returns an unsubscribe function
+     */
+    subscribeDoc(collectionName, id, onNext, onError) {
+        return this.sdk.onSnapshot(this.ref(collectionName, id), (snapshot) => onNext(this.toDoc(snapshot)), onError);
+    }
+
+    subscribeQuery(collectionName, spec, onNext, onError) {
+        return this.sdk.onSnapshot(
+            this.buildQuery(collectionName, spec),
+            (snapshot) => onNext(this.toDocs(snapshot)),
+            onError
+        );
+    }
+
+    /**
+     * Helpers
+     */
+    ref(collectionName, id) {
+        return this.sdk.doc(this.firestore, collectionName, id);
+    }
+
+    buildQuery(collectionName, spec = {}) {
+        const { query, collection, where, orderBy, startAfter, limit } = this.sdk;
+        const fieldPath = (field) => (field === '__name__' ? this.sdk.documentId() : field);
+        const constraints = [
+            ...(spec.where || []).map(([field, operator, value]) => where(fieldPath(field), operator, value)),
+            ...(spec.orderBy || []).map(([field, direction = 'asc']) => orderBy(fieldPath(field), direction))
+        ];
+
+        if (spec.startAfter) {
+            constraints.push(startAfter(...spec.startAfter));
+        }
+
+        if (spec.limit) {
+            constraints.push(limit(spec.limit));
+        }
+
+        return query(collection(this.firestore, collectionName), ...constraints);
+    }
+
+    toDoc(snapshot) {
+        return snapshot.exists() ? { id: snapshot.id, data: snapshot.data() } : null;
+    }
+
+    toDocs(querySnapshot) {
+        const docs = [];
+        querySnapshot.forEach((snapshot) => {
+            docs.push({ id: snapshot.id, data: snapshot.data() });
+        });
+        return docs;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.FirebaseBackend = FirebaseBackend;
+}
+
+// For module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FirebaseBackend;
+}
\ No newline at end of file
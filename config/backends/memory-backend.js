@@ -0,0 +1,725 @@
+/**
+ * In-Memory Backend Adapter
+ * Author: MiniMax Agent
+ * Description: Data backend that keeps users, stations, slots, bookings and admins in memory,
+ * for demo mode and for running tests without a Firebase project
+ */
+
+class MemoryBackend {
+    /**
+     * @param {Object} options
+     * @param {Object} options.seed - `{ collections: { name: { id: data } }, accounts: [{ uid, email, password, displayName }] }`
+     * @param {string} options.persistKey - sessionStorage key to keep data across page loads (demo mode)
+     * @param {Function} options.now - clock returning epoch milliseconds, for tests that pin time
+     */
+    constructor(options = {}) {
+        this.collections = {};
+        this.accounts = {};
+        this.actionCodes = {};
+        this.outbox = []; // emails "sent" in demo mode, newest last
+        this.now = options.now || (() => Date.now());
+        this.currentUid = null;
+        this.authenticatedAt = null; // when the current user last entered their password
+        this.persistence = 'session';
+        this.authListeners = new Set();
+        this.dataListeners = new Set();
+        this.pendingNotifications = new Set();
+        this.transactionQueue = Promise.resolve();
+        this.persistKey = options.persistKey || null;
+        this.idCounter = 0;
+
+        if (!this.restore()) {
+            this.seed(options.seed || {});
+        }
+    }
+
+    /**
+     * Authentication
+     */
+    async createUser(email, password) {
+        const key = String(email || '').toLowerCase();
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key)) throw this.authError('auth/invalid-email');
+        if (this.accounts[key]) throw this.authError('auth/email-already-in-use');
+        if (!password || password.length < 6) throw this.authError('auth/weak-password');
+
+        this.accounts[key] = {
+            uid: this.generateId(),
+            email: key,
+            password: password, // demo data only, never a real credential store
+            displayName: null,
+            emailVerified: false,
+            disabled: false
+        };
+
+        this.authenticatedAt = this.now();
+        this.setCurrentUser(this.accounts[key].uid);
+        return this.getCurrentUser();
+    }
+
+    async updateProfile(user, profile) {
+        const account = this.findAccount(user.uid);
+        if (!account) throw this.authError('auth/user-not-found');
+
+        Object.assign(account, profile);
+        this.persist();
+    }
+
+    async signIn(email, password) {
+        const account = this.accounts[String(email || '').toLowerCase()];
+
+        if (!account) throw this.authError('auth/user-not-found');
+        if (account.disabled) throw this.authError('auth/user-disabled');
+        if (account.password !== password) throw this.authError('auth/wrong-password');
+
+        this.authenticatedAt = this.now();
+        this.setCurrentUser(account.uid);
+        return this.getCurrentUser();
+    }
+
+    async reauthenticate(password) {
+        const account = this.findAccount(this.currentUid);
+        if (!account) throw this.authError('auth/user-not-found');
+        if (account.password !== password) throw this.authError('auth/wrong-password');
+
+        this.authenticatedAt = this.now();
+        this.persist();
+    }
+
+    async updatePassword(newPassword) {
+        const account = this.findAccount(this.currentUid);
+        if (!account) throw this.authError('auth/user-not-found');
+
+        this.requireRecentLogin();
+        if (!newPassword || newPassword.length < 6) throw this.authError('auth/weak-password');
+
+        account.password = newPassword;
+        this.persist();
+    }
+
+    /**
+     * Email a confirmation link to the new address; the email only changes once it is followed
+     */
+    async verifyBeforeUpdateEmail(newEmail, continueUrl) {
+        const account = this.findAccount(this.currentUid);
+        if (!account) throw this.authError('auth/user-not-found');
+
+        this.requireRecentLogin();
+
+        const key = String(newEmail || '').toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key)) throw this.authError('auth/invalid-email');
+        if (this.accounts[key]) throw this.authError('auth/email-already-in-use');
+
+        this.deliverActionLink(account, 'verifyAndChangeEmail', continueUrl, { newEmail: key });
+    }
+
+    async deleteUser() {
+        const account = this.findAccount(this.currentUid);
+        if (!account) throw this.authError('auth/user-not-found');
+
+        this.requireRecentLogin();
+
+        delete this.accounts[account.email];
+        this.authenticatedAt = null;
+        this.setCurrentUser(null);
+    }
+
+    /**
+     * Firebase only allows sensitive changes shortly after the password was entered
+     */
+    requireRecentLogin() {
+        if (!this.authenticatedAt || this.now() - this.authenticatedAt > MemoryBackend.RECENT_LOGIN_MS) {
+            throw this.authError('auth/requires-recent-login');
+        }
+    }
+
+    async signOut() {
+        this.authenticatedAt = null;
+        this.setCurrentUser(null);
+    }
+
+    /**
+     * Demo data, sign-in included, lives in sessionStorage and always ends
+     * with the tab, so only the choice is recorded
+     */
+    async setPersistence(mode) {
+        this.persistence = mode;
+    }
+
+    getCurrentUser() {
+        const account = this.findAccount(this.currentUid);
+        if (!account) return null;
+
+        return {
+            uid: account.uid,
+            email: account.email,
+            displayName: account.displayName,
+            emailVerified: account.emailVerified
+        };
+    }
+
+    async getAuthTime() {
+        return this.currentUid ? this.authenticatedAt : null;
+    }
+
+    async reloadUser() {
+        return this.getCurrentUser();
+    }
+
+    /**
+     * Email actions
+     * Instead of sending mail, links land in `outbox` (and the console) so demo
+     * users and tests can follow them.
+     */
+    async sendEmailVerification(user, continueUrl) {
+        const account = this.findAccount(user.uid);
+        if (!account) throw this.authError('auth/user-not-found');
+
+        // Firebase throttles repeat sends to the same account
+        const lastSent = this.outbox.filter(mail => mail.to === account.email && mail.mode === 'verifyEmail').pop();
+        if (lastSent && this.now() - lastSent.sentAt < MemoryBackend.RESEND_INTERVAL_MS) {
+            throw this.authError('auth/too-many-requests');
+        }
+
+        this.deliverActionLink(account, 'verifyEmail', continueUrl);
+    }
+
+    /**
+     * Apply a verifyEmail or verifyAndChangeEmail link
+     */
+    async applyActionCode(code) {
+        const pending = this.actionCodes[code];
+        const mode = pending && pending.mode === 'verifyAndChangeEmail' ? pending.mode : 'verifyEmail';
+        const { action, account } = this.readActionCode(code, mode);
+
+        if (mode === 'verifyAndChangeEmail') {
+            if (this.accounts[action.newEmail]) throw this.authError('auth/email-already-in-use');
+
+            delete this.accounts[account.email];
+            account.email = action.newEmail;
+            this.accounts[account.email] = account;
+        }
+
+        account.emailVerified = true;
+        delete this.actionCodes[code];
+        this.persist();
+    }
+
+    async sendPasswordResetEmail(email, continueUrl) {
+        const key = String(email || '').toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key)) throw this.authError('auth/invalid-email');
+
+        const account = this.accounts[key];
+        if (!account) throw this.authError('auth/user-not-found');
+
+        this.deliverActionLink(account, 'resetPassword', continueUrl);
+    }
+
+    async verifyPasswordResetCode(code) {
+        return this.readActionCode(code, 'resetPassword').account.email;
+    }
+
+    async confirmPasswordReset(code, newPassword) {
+        const { account } = this.readActionCode(code, 'resetPassword');
+        if (!newPassword || newPassword.length < 6) throw this.authError('auth/weak-password');
+
+        account.password = newPassword;
+        // Following a reset link proves control of the inbox
+        account.emailVerified = true;
+        delete this.actionCodes[code];
+        this.persist();
+    }
+
+    readActionCode(code, mode) {
+        const action = this.actionCodes[code];
+
+        if (!action || action.mode !== mode) throw this.authError('auth/invalid-action-code');
+        if (action.expiresAt < this.now()) throw this.authError('auth/expired-action-code');
+
+        const account = this.findAccount(action.uid);
+        if (!account) throw this.authError('auth/user-not-found');
+        if (account.disabled) throw this.authError('auth/user-disabled');
+
+        return { action, account };
+    }
+
+    deliverActionLink(account, mode, continueUrl, details = {}) {
+        const code = this.generateId() + this.generateId();
+        this.actionCodes[code] = {
+            ...details,
+            uid: account.uid,
+            mode: mode,
+            expiresAt: this.now() + MemoryBackend.ACTION_CODE_TTL_MS
+        };
+
+        // Same query parameters Firebase appends to a custom action handler URL
+        const params = new URLSearchParams({ mode: mode, oobCode: code });
+        if (continueUrl) params.set('continueUrl', continueUrl);
+        const handler = continueUrl ? new URL('auth-action.html', continueUrl).href : 'auth-action.html';
+        const link = `${handler}?${params.toString()}`;
+
+        // Email changes are confirmed from the new inbox
+        const recipient = details.newEmail || account.email;
+        this.outbox.push({ to: recipient, mode: mode, code: code, link: link, sentAt: this.now() });
+        this.persist();
+
+        console.info(`[Demo mail] ${mode} for ${recipient}: ${link}`);
+    }
+
+    onAuthStateChanged(callback) {
+        this.authListeners.add(callback);
+        setTimeout(() => {
+            if (this.authListeners.has(callback)) callback(this.getCurrentUser());
+        }, 0);
+
+        return () => this.authListeners.delete(callback);
+    }
+
+    /**
+     * Documents
+     */
+    serverTimestamp() {
+        return new Date(this.now());
+    }
+
+    newId() {
+        return this.generateId();
+    }
+
+    async getDoc(collectionName, id) {
+        return this.readDoc(collectionName, id);
+    }
+
+    async setDoc(collectionName, id, data) {
+        this.writeDoc(collectionName, id, data, false);
+        this.afterWrite([collectionName]);
+    }
+
+    async updateDoc(collectionName, id, data) {
+        this.writeDoc(collectionName, id, data, true);
+        this.afterWrite([collectionName]);
+    }
+
+    async deleteDoc(collectionName, id) {
+        delete (this.collections[collectionName] || {})[id];
+        this.afterWrite([collectionName]);
+    }
+
+    async addDoc(collectionName, data) {
+        const id = this.generateId();
+        await this.setDoc(collectionName, id, data);
+        return id;
+    }
+
+    async queryDocs(collectionName, spec = {}) {
+        return this.runQuery(collectionName, spec);
+    }
+
+    /**
+     * Run `updateFunction(transaction)` atomically
+     * Transactions are queued so they never interleave, and their writes are
+     * buffered and applied together only once the function resolves.
+     */
+    runTransaction(updateFunction) {
+        const run = this.transactionQueue.then(async () => {
+            const writes = [];
+            const transaction = {
+                get: async (collectionName, id) => this.readDoc(collectionName, id),
+                set: (collectionName, id, data) => {
+                    writes.push({ collectionName, id, data, merge: false });
+                },
+                update: (collectionName, id, data) => {
+                    writes.push({ collectionName, id, data, merge: true });
+                }
+            };
+
+            const result = await updateFunction(transaction);
+
+            // Check every update target first so a bad write leaves nothing half-applied
+            writes.filter(write => write.merge).forEach(write => {
+                if (!this.readDoc(write.collectionName, write.id)) throw this.notFoundError(write.collectionName, write.id);
+            });
+
+            writes.forEach(write => this.writeDoc(write.collectionName, write.id, write.data, write.merge));
+            this.afterWrite(writes.map(write => write.collectionName));
+
+            return result;
+        });
+
+        this.transactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Live listeners; each returns an unsubscribe function
+     */
+    subscribeDoc(collectionName, id, onNext, onError) {
+        return this.addDataListener(collectionName, () => onNext(this.readDoc(collectionName, id)), onError);
+    }
+
+    subscribeQuery(collectionName, spec, onNext, onError) {
+        return this.addDataListener(collectionName, () => onNext(this.runQuery(collectionName, spec)), onError);
+    }
+
+    /**
+     * Internal storage
+     */
+    readDoc(collectionName, id) {
+        const data = (this.collections[collectionName] || {})[id];
+        return data ? { id, data: MemoryBackend.clone(data) } : null;
+    }
+
+    writeDoc(collectionName, id, data, merge) {
+        const collection = this.collections[collectionName] = this.collections[collectionName] || {};
+
+        if (merge && !collection[id]) {
+            throw this.notFoundError(collectionName, id);
+        }
+
+        const next = merge ? MemoryBackend.clone(collection[id]) : {};
+
+        // Dotted keys update nested fields, as Firestore's updateDoc does
+        Object.entries(MemoryBackend.clone(data)).forEach(([key, value]) => {
+            const path = merge ? key.split('.') : [key];
+            let target = next;
+            path.slice(0, -1).forEach(part => {
+                target[part] = target[part] && typeof target[part] === 'object' ? target[part] : {};
+                target = target[part];
+            });
+            target[path[path.length - 1]] = value;
+        });
+
+        collection[id] = next;
+    }
+
+    runQuery(collectionName, spec = {}) {
+        const filters = spec.where || [];
+        const ordering = spec.orderBy || [];
+        const valueOf = (doc, field) => (field === '__name__' ? doc.id : MemoryBackend.getField(doc.data, field));
+
+        let docs = Object.entries(this.collections[collectionName] || {})
+            .map(([id, data]) => ({ id, data }))
+            .filter(doc => filters.every(([field, operator, value]) =>
+                MemoryBackend.matches(valueOf(doc, field), operator, value)
+            ))
+            // Firestore leaves out documents that lack an ordered field
+            .filter(doc => ordering.every(([field]) => valueOf(doc, field) !== undefined))
+            .map(doc => ({ id: doc.id, data: MemoryBackend.clone(doc.data) }));
+
+        // Compares a document against another document or a list of cursor values
+        const compareTo = (doc, other) => {
+            for (let index = 0; index < ordering.length; index++) {
+                const [field, direction = 'asc'] = ordering[index];
+                const otherValue = Array.isArray(other) ? other[index] : valueOf(other, field);
+                const order = MemoryBackend.compare(valueOf(doc, field), otherValue);
+                if (order !== 0) return direction === 'desc' ? -order : order;
+            }
+            return 0;
+        };
+
+        docs.sort((a, b) => compareTo(a, b) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+        if (spec.startAfter) {
+            docs = docs.filter(doc => compareTo(doc, spec.startAfter) > 0);
+        }
+
+        if (spec.limit) {
+            docs = docs.slice(0, spec.limit);
+        }
+
+        return docs;
+    }
+
+    addDataListener(collectionName, emit, onError) {
+        const listener = {
+            collectionName,
+            emit: () => {
+                try {
+                    emit();
+                } catch (error) {
+                    if (onError) onError(error);
+                }
+            }
+        };
+
+        this.dataListeners.add(listener);
+        setTimeout(() => {
+            if (this.dataListeners.has(listener)) listener.emit();
+        }, 0);
+
+        return () => this.dataListeners.delete(listener);
+    }
+
+    afterWrite(collectionNames) {
+        this.persist();
+
+        // Coalesce writes made in the same tick into one notification per listener
+        const flushScheduled = this.pendingNotifications.size > 0;
+        collectionNames.forEach(collectionName => this.pendingNotifications.add(collectionName));
+        if (flushScheduled) return;
+
+        setTimeout(() => {
+            const touched = this.pendingNotifications;
+            this.pendingNotifications = new Set();
+
+            [...this.dataListeners]
+                .filter(listener => touched.has(listener.collectionName))
+                .forEach(listener => listener.emit());
+        }, 0);
+    }
+
+    setCurrentUser(uid) {
+        this.currentUid = uid;
+        this.persist();
+
+        const user = this.getCurrentUser();
+        setTimeout(() => this.authListeners.forEach(callback => callback(user)), 0);
+    }
+
+    findAccount(uid) {
+        return Object.values(this.accounts).find(account => account.uid === uid) || null;
+    }
+
+    generateId() {
+        this.idCounter++;
+        return Date.now().toString(36) + this.idCounter.toString(36) + Math.random().toString(36).substr(2, 8);
+    }
+
+    seed(seedData) {
+        Object.entries(seedData.collections || {}).forEach(([collectionName, docs]) => {
+            Object.entries(docs).forEach(([id, data]) => this.writeDoc(collectionName, id, data, false));
+        });
+
+        (seedData.accounts || []).forEach(account => {
+            this.accounts[account.email.toLowerCase()] = {
+                displayName: null,
+                emailVerified: false,
+                disabled: false,
+                ...account,
+                email: account.email.toLowerCase()
+            };
+        });
+
+        this.persist();
+    }
+
+    persist() {
+        if (!this.persistKey || typeof sessionStorage === 'undefined') return;
+
+        try {
+            sessionStorage.setItem(this.persistKey, JSON.stringify({
+                collections: this.collections,
+                accounts: this.accounts,
+                actionCodes: this.actionCodes,
+                outbox: this.outbox,
+                currentUid: this.currentUid,
+                authenticatedAt: this.authenticatedAt
+            }));
+        } catch (error) {
+            console.error('Failed to persist demo data:', error);
+        }
+    }
+
+    restore() {
+        if (!this.persistKey || typeof sessionStorage === 'undefined') return false;
+
+        try {
+            const saved = sessionStorage.getItem(this.persistKey);
+            if (!saved) return false;
+
+            // Revive ISO date strings so timestamps keep sorting and comparing as dates
+            const state = JSON.parse(saved, (key, value) =>
+                typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(value)
+                    ? new Date(value)
+                    : value
+            );
+
+            this.collections = state.collections || {};
+            this.accounts = state.accounts || {};
+            this.actionCodes = state.actionCodes || {};
+            this.outbox = state.outbox || [];
+            this.currentUid = state.currentUid || null;
+            this.authenticatedAt = state.authenticatedAt || null;
+            return true;
+        } catch (error) {
+            console.error('Failed to restore demo data:', error);
+            return false;
+        }
+    }
+
+    authError(code) {
+        const error = new Error(`Firebase: Error (${code}).`);
+        error.code = code;
+        return error;
+    }
+
+    notFoundError(collectionName, id) {
+        const error = new Error(`No document to update: ${collectionName}/${id}`);
+        error.code = 'not-found';
+        return error;
+    }
+
+    /**
+     * Value helpers
+     */
+    static clone(value) {
+        if (value instanceof Date) return new Date(value.getTime());
+        if (Array.isArray(value)) return value.map(MemoryBackend.clone);
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.entries(value).forEach(([key, entry]) => {
+                copy[key] = MemoryBackend.clone(entry);
+            });
+            return copy;
+        }
+        return value;
+    }
+
+    static getField(data, path) {
+        return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+    }
+
+    static comparable(value) {
+        return value instanceof Date ? value.getTime() : value;
+    }
+
+    static compare(a, b) {
+        const left = MemoryBackend.comparable(a);
+        const right = MemoryBackend.comparable(b);
+        if (left === right) return 0;
+        if (left === null || left === undefined) return -1;
+        if (right === null || right === undefined) return 1;
+        return left < right ? -1 : 1;
+    }
+
+    static matches(fieldValue, operator, value) {
+        const left = MemoryBackend.comparable(fieldValue);
+        const right = MemoryBackend.comparable(value);
+
+        switch (operator) {
+            case '==': return left === right;
+            case '!=': return left !== undefined && left !== right;
+            case '<': return left !== undefined && left < right;
+            case '<=': return left !== undefined && left <= right;
+            case '>': return left !== undefined && left > right;
+            case '>=': return left !== undefined && left >= right;
+            case 'in': return value.map(MemoryBackend.comparable).includes(left);
+            case 'not-in': return left !== undefined && !value.map(MemoryBackend.comparable).includes(left);
+            case 'array-contains': return Array.isArray(fieldValue) && fieldValue.includes(value);
+            case 'array-contains-any': return Array.isArray(fieldValue) && value.some(entry => fieldValue.includes(entry));
+            default: throw new Error(`Unsupported query operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Sample data for demo mode
+     */
+    static demoSeed() {
+        const now = new Date();
+        const tariff = {
+            currency: 'INR',
+            perKwh: 12,
+            perMinute: 0.5,
+            sessionFee: 30,
+            idleFee: { perMinute: 2, graceMinutes: 10 },
+            utcOffsetMinutes: 330,
+            bands: [
+                { name: 'off-peak', start: '22:00', end: '06:00', perKwh: 8, perMinute: 0 },
+                { name: 'peak', start: '18:00', end: '22:00', perKwh: 15, perMinute: 1 }
+            ]
+        };
+
+        const station = (id, name, address, latitude, longitude, chargingTypes, chargingSpeed) => ({
+            stationId: id,
+            name,
+            address,
+            location: { latitude, longitude },
+            contact: { phone: '+91 80 4000 0000', email: 'stations@evbunk.test' },
+            totalSlots: 2,
+            availableSlots: 2,
+            chargingTypes,
+            chargingSpeed,
+            tariff,
+            isActive: true,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        const slot = (id, stationId, slotNumber, chargingType, maxPower) => ({
+            slotId: id,
+            stationId,
+            slotNumber,
+            chargingType,
+            maxPower,
+            isAvailable: true,
+            isActive: true,
+            reservations: [],
+            createdAt: now,
+            updatedAt: now
+        });
+
+        return {
+            collections: {
+                chargingStations: {
+                    'demo-station-mg-road': station('demo-station-mg-road', 'MG Road Fast Charge', 'MG Road, Bengaluru', 12.9755, 77.6069, ['CCS2', 'Type 2'], 'fast'),
+                    'demo-station-koramangala': station('demo-station-koramangala', 'Koramangala EV Hub', '80 Feet Road, Koramangala, Bengaluru', 12.9352, 77.6245, ['CCS2', 'CHAdeMO'], 'rapid'),
+                    'demo-station-whitefield': station('demo-station-whitefield', 'Whitefield Charging Point', 'ITPL Main Road, Whitefield, Bengaluru', 12.9698, 77.7500, ['Type 2'], 'standard')
+                },
+                chargingSlots: {
+                    'demo-slot-mg-1': slot('demo-slot-mg-1', 'demo-station-mg-road', '1', 'CCS2', 60),
+                    'demo-slot-mg-2': slot('demo-slot-mg-2', 'demo-station-mg-road', '2', 'Type 2', 22),
+                    'demo-slot-kor-1': slot('demo-slot-kor-1', 'demo-station-koramangala', '1', 'CCS2', 120),
+                    'demo-slot-kor-2': slot('demo-slot-kor-2', 'demo-station-koramangala', '2', 'CHAdeMO', 50),
+                    'demo-slot-wf-1': slot('demo-slot-wf-1', 'demo-station-whitefield', '1', 'Type 2', 7.4),
+                    'demo-slot-wf-2': slot('demo-slot-wf-2', 'demo-station-whitefield', '2', 'Type 2', 22)
+                },
+                users: {
+                    'demo-user': {
+                        userId: 'demo-user',
+                        email: 'driver@evbunk.test',
+                        firstName: 'Demo',
+                        lastName: 'Driver',
+                        phone: '+91 98765 43210',
+                        vehicleType: 'hatchback',
+                        isActive: true,
+                        createdAt: now,
+                        updatedAt: now
+                    }
+                },
+                adminUsers: {
+                    'demo-admin': {
+                        adminId: 'demo-admin',
+                        email: 'admin@evbunk.test',
+                        role: 'super_admin',
+                        permissions: ['*'],
+                        stationIds: null,
+                        isActive: true,
+                        mfaRequired: true,
+                        mfaEnabled: false,
+                        createdAt: now,
+                        lastLogin: null
+                    }
+                },
+                bookings: {}
+            },
+            accounts: [
+                { uid: 'demo-user', email: 'driver@evbunk.test', password: 'Demo@1234', displayName: 'Demo Driver', emailVerified: true },
+                { uid: 'demo-admin', email: 'admin@evbunk.test', password: 'Admin@1234', displayName: 'Demo Admin', emailVerified: true }
+            ]
+        };
+    }
+}
+
+MemoryBackend.ACTION_CODE_TTL_MS = 24 * 60 * 60 * 1000;
+MemoryBackend.RESEND_INTERVAL_MS = 60 * 1000;
+MemoryBackend.RECENT_LOGIN_MS = 5 * 60 * 1000;
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.MemoryBackend = MemoryBackend;
+}
+
+// For module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryBackend;
+}
\ No newline at end of file
@@ -209,8 +209,19 @@ const optimizationStrategies = {
         firestoreOptimization: {
             indexes: [
                 'chargingStations:isActive',
+                'chargingStations:isActive_name',
+                'chargingStations:isActive_geohash',
                 'bookings:userId_bookingDate',
-                'users:email'
+                'bookings:stationId_startTime',
+                'chargingSlots:stationId_isActive_slotNumber',
+                'users:email',
+                'users:vehicleType_email',
+                'users:vehicleType_phone',
+                'securityEvents:type_createdAt',
+                'auditLogs:action_createdAt',
+                'auditLogs:actorEmail_createdAt',
+                'auditLogs:targetCollection_createdAt',
+                'auditLogs:targetCollection_targetId_createdAt'
             ],
             queries: {
                 pagination: true,
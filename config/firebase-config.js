@@ -19,9 +19,27 @@ const firebaseConfig = {
 const firebaseServices = {
     auth: null,
     firestore: null,
-    storage: null
+    storage: null,
+    backend: null // data backend adapter used by authMethods and dbMethods
 };
 
+/**
+ * Data backend adapter interface
+ * Both FirebaseBackend and MemoryBackend implement these methods; documents
+ * are passed around as `{ id, data }` (or null when missing) and queries as
+ * `{ where: [[field, op, value]], orderBy: [[field, 'asc'|'desc']], startAfter: [values], limit }`,
+ * where `startAfter` holds one value per orderBy field and the field `__name__`
+ * stands for the document id.
+ *
+ *   Auth:  createUser, updateProfile, signIn, signOut, getCurrentUser, getAuthTime, reloadUser, onAuthStateChanged,
+ *          setPersistence, reauthenticate, updatePassword, verifyBeforeUpdateEmail, deleteUser,
+ *          sendEmailVerification, applyActionCode, sendPasswordResetEmail, verifyPasswordResetCode,
+ *          confirmPasswordReset
+ *   Data:  serverTimestamp, newId, getDoc, setDoc, updateDoc, deleteDoc, addDoc, queryDocs,
+ *          runTransaction, subscribeDoc, subscribeQuery
+ *   Clock: now (optional; epoch milliseconds, defaults to Date.now)
+ */
+
 /**
  * Initialize Firebase
  */
@@ -41,6 +59,9 @@ function initializeFirebase() {
         firebaseServices.firestore = getFirestore(app);
         firebaseServices.storage = getStorage(app);
 
+        const FirebaseBackend = requireShared('FirebaseBackend', './backends/firebase-backend.js');
+        firebaseServices.backend = new FirebaseBackend(window.firebase, firebaseServices);
+
         console.log('Firebase initialized successfully');
         return true;
     } catch (error) {
@@ -49,6 +70,71 @@ function initializeFirebase() {
     }
 }
 
+/**
+ * Initialize the in-memory backend (demo mode and tests)
+ */
+function initializeMemoryBackend(options = {}) {
+    const MemoryBackend = requireShared('MemoryBackend', './backends/memory-backend.js');
+    firebaseServices.backend = new MemoryBackend(options);
+    
+    console.log('In-memory backend initialized');
+    return firebaseServices.backend;
+}
+
+/**
+ * Initialize the backend for this page
+ * `?backend=memory` or `?backend=firebase` picks one for the rest of the browser
+ * session; without it, demo mode is used whenever the Firebase SDK is not loaded.
+ */
+function initializeBackend() {
+    const requested = new URLSearchParams(window.location.search).get('backend');
+    if (requested) {
+        sessionStorage.setItem('ev_bunk_backend', requested);
+    }
+    
+    const mode = sessionStorage.getItem('ev_bunk_backend') || (window.firebase ? 'firebase' : 'memory');
+    
+    if (mode === 'firebase' && initializeFirebase()) {
+        return 'firebase';
+    }
+    
+    const MemoryBackend = requireShared('MemoryBackend', './backends/memory-backend.js');
+    initializeMemoryBackend({
+        seed: withStationGeohashes(MemoryBackend.demoSeed()),
+        persistKey: 'ev_bunk_demo_data'
+    });
+    
+    return 'memory';
+}
+
+/**
+ * Get the active data backend
+ */
+function getBackend() {
+    if (!firebaseServices.backend) {
+        throw new Error('Data backend has not been initialized');
+    }
+    return firebaseServices.backend;
+}
+
+/**
+ * Resolve a shared class: a global in the browser, a module under Node
+ */
+function requireShared(globalName, modulePath) {
+    if (typeof window !== 'undefined' && window[globalName]) {
+        return window[globalName];
+    }
+    return require(modulePath);
+}
+
+/**
+ * Absolute URL of an app page, for links in auth emails (undefined outside the browser)
+ */
+function pageUrl(page) {
+    if (typeof window === 'undefined' || !window.location || !window.location.href) return undefined;
+    return new URL(page, window.location.href).href;
+}
+
 /**
  * Database Schema for EV Recharge Bunk
  */
@@ -63,7 +149,13 @@ const databaseSchema = {
         vehicleType: "string",
         createdAt: "timestamp",
         updatedAt: "timestamp",
-        isActive: "boolean"
+        lastLogin: "timestamp",
+        emailVerified: "boolean", // mirrors the auth account, synced on sign-in and verification
+        newsletter: "boolean", // opted in to product updates at sign up
+        termsAcceptedAt: "timestamp",
+        isActive: "boolean", // false while suspended: no sign-in, no new bookings
+        suspendedAt: "timestamp",
+        suspensionReason: "string"
     },
     
     // Charging stations collection
@@ -75,6 +167,7 @@ const databaseSchema = {
             latitude: "number",
             longitude: "number"
         },
+        geohash: "string", // derived from location on every write
         contact: {
             phone: "string",
             email: "string"
@@ -83,6 +176,7 @@ const databaseSchema = {
         availableSlots: "number",
         chargingTypes: ["string"],
         chargingSpeed: "string",
+        tariff: "object", // see js/booking/pricing-engine.js for the tariff model
         isActive: "boolean",
         createdAt: "timestamp",
         updatedAt: "timestamp"
@@ -94,8 +188,16 @@ const databaseSchema = {
         stationId: "string",
         slotNumber: "string",
         isAvailable: "boolean",
-        chargingType: "string",
-        maxPower: "number",
+        chargingType: "string", // must be one of the station's chargingTypes
+        maxPower: "number", // kW
+        tariff: "object", // optional override of the station tariff
+        isActive: "boolean", // false once the slot is retired
+        retiredAt: "timestamp",
+        reservations: [{ // open bookings holding this slot
+            bookingId: "string",
+            startTime: "number", // epoch milliseconds
+            endTime: "number"
+        }],
         createdAt: "timestamp",
         updatedAt: "timestamp"
     },
@@ -109,10 +211,25 @@ const databaseSchema = {
         bookingDate: "timestamp",
         startTime: "timestamp",
         endTime: "timestamp",
-        status: "string", // pending, confirmed, in_progress, completed, cancelled
+        status: "string", // pending, confirmed, in_progress, completed, cancelled, no_show
         estimatedDuration: "number", // in minutes
         actualDuration: "number",
+        actualStartTime: "timestamp",
+        actualEndTime: "timestamp",
+        statusHistory: [{ // one entry per lifecycle transition
+            from: "string",
+            to: "string",
+            actorId: "string",
+            actorRole: "string",
+            reason: "string",
+            at: "number"
+        }],
+        cancellationReason: "string",
+        energyDelivered: "number", // kWh, recorded on completion
+        costEstimate: "object", // itemized estimate at booking time
+        costBreakdown: "object", // itemized final cost at completion
         totalCost: "number",
+        anonymizedAt: "timestamp", // set when the driver deleted their account
         createdAt: "timestamp",
         updatedAt: "timestamp"
     },
@@ -121,11 +238,221 @@ const databaseSchema = {
     adminUsers: {
         adminId: "string",
         email: "string",
-        role: "string",
-        permissions: ["string"],
+        role: "string", // key of adminRoles.roles
+        permissions: ["string"], // copy of the role's permissions; the role is authoritative
+        stationIds: ["string"], // stations a scoped role may act on; null for every station
         isActive: "boolean",
+        mfaRequired: "boolean", // admin must pass two-step verification to sign in
+        mfaEnabled: "boolean", // set once an authenticator app is enrolled
         createdAt: "timestamp",
         lastLogin: "timestamp"
+    },
+    
+    // Failed and blocked admin sign-ins; anyone may create, only admins may read
+    securityEvents: {
+        type: "string", // login_failed, login_locked, mfa_failed
+        email: "string",
+        userId: "string", // admin uid when known
+        reason: "string", // auth error or failure code
+        retryAt: "timestamp", // end of the delay or lockout the failure caused
+        userAgent: "string",
+        createdAt: "timestamp"
+    },
+    
+    // One entry per admin write; created by dbMethods, readable with audit:read
+    auditLogs: {
+        action: "string", // e.g. station.updated, slot.retired, booking.cancelled
+        actorId: "string", // admin uid
+        actorEmail: "string",
+        targetCollection: "string",
+        targetId: "string",
+        stationId: "string", // station the target belongs to, when there is one
+        changes: "object", // { field: { before, after } } for each changed field
+        createdAt: "timestamp"
+    },
+    
+    // Two-step verification secrets, keyed by admin uid; readable only by that admin
+    adminMfa: {
+        secret: "string", // base32 TOTP secret
+        enabled: "boolean",
+        recoveryCodes: ["string"], // SHA-256 hashes of unused recovery codes
+        lastUsedStep: "number", // TOTP time step of the last accepted code
+        verifiedSessions: ["number"], // auth times of recent sign-ins that passed verification
+        enrolledAt: "timestamp",
+        createdAt: "timestamp",
+        updatedAt: "timestamp"
+    }
+};
+
+/**
+ * Booking lifecycle
+ * Legal status transitions and the roles allowed to make each one.
+ * Terminal statuses (completed, cancelled, no_show) have no outgoing transitions.
+ */
+const bookingLifecycle = {
+    statuses: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show'],
+    
+    transitions: {
+        pending: {
+            confirmed: ['admin'],
+            cancelled: ['user', 'admin']
+        },
+        confirmed: {
+            in_progress: ['admin'],
+            cancelled: ['user', 'admin'],
+            no_show: ['admin']
+        },
+        in_progress: {
+            completed: ['admin']
+        },
+        completed: {},
+        cancelled: {},
+        no_show: {}
+    },
+    
+    // Statuses that still hold a reservation on the slot
+    openStatuses: ['pending', 'confirmed', 'in_progress'],
+    
+    /**
+     * Check whether a transition is legal, optionally for a given actor role
+     */
+    canTransition: (fromStatus, toStatus, role = null) => {
+        const allowedRoles = (bookingLifecycle.transitions[fromStatus] || {})[toStatus];
+        if (!allowedRoles) return false;
+        return role === null || allowedRoles.includes(role);
+    }
+};
+
+/**
+ * Admin roles
+ * Each role grants a fixed set of permissions. For roles that are
+ * `stationScoped`, the station permissions only reach the stations listed in
+ * the admin's `stationIds` (null or missing means every station).
+ */
+const adminRoles = {
+    roles: {
+        super_admin: {
+            label: 'Super Admin',
+            permissions: ['*'],
+            stationScoped: false
+        },
+        station_manager: {
+            label: 'Station Manager',
+            permissions: ['stations:write', 'slots:write', 'bookings:read', 'bookings:write', 'analytics:read'],
+            stationScoped: true
+        },
+        support_agent: {
+            label: 'Support Agent',
+            permissions: ['bookings:read', 'bookings:write', 'users:read'],
+            stationScoped: true
+        },
+        analyst: {
+            label: 'Read-only Analyst',
+            permissions: ['bookings:read', 'analytics:read'],
+            stationScoped: true
+        }
+    },
+    
+    permissions: [
+        'stations:create', 'stations:write', 'slots:write',
+        'bookings:read', 'bookings:write',
+        'users:read', 'users:write',
+        'analytics:read', 'security:read', 'audit:read', 'admins:write'
+    ],
+    
+    // Permissions that act on one station and so respect `stationIds`
+    stationPermissions: ['stations:write', 'slots:write', 'bookings:read', 'bookings:write', 'analytics:read'],
+    
+    // Roles stored before the role model existed
+    legacyRoles: {
+        admin: 'super_admin'
+    },
+    
+    normalizeRole: (role) => adminRoles.legacyRoles[role] || role,
+    
+    /**
+     * Stations an admin's station permissions reach, or null for every station
+     */
+    stationScope: (admin) => {
+        const definition = admin ? adminRoles.roles[adminRoles.normalizeRole(admin.role)] : null;
+        if (!definition) return [];
+        return definition.stationScoped && Array.isArray(admin.stationIds) ? [...admin.stationIds] : null;
+    },
+    
+    /**
+     * Every permission a role grants, with '*' expanded
+     */
+    permissionsFor: (role) => {
+        const definition = adminRoles.roles[adminRoles.normalizeRole(role)];
+        if (!definition) return [];
+        return definition.permissions.includes('*') ? [...adminRoles.permissions] : [...definition.permissions];
+    },
+    
+    /**
+     * Check whether an admin (`{ role, stationIds }`) holds a permission,
+     * on a given station when `stationId` is passed
+     */
+    allows: (admin, permission, stationId = null) => {
+        if (!admin) return false;
+        
+        const definition = adminRoles.roles[adminRoles.normalizeRole(admin.role)];
+        if (!definition) return false;
+        if (!definition.permissions.includes('*') && !definition.permissions.includes(permission)) return false;
+        
+        if (stationId === null || !adminRoles.stationPermissions.includes(permission)) {
+            return true;
+        }
+        const scope = adminRoles.stationScope(admin);
+        return scope === null || scope.includes(stationId);
+    }
+};
+
+/**
+ * Write rules layered on databaseSchema
+ * `required` fields must be present on create (nested ones only when their
+ * parent is written), `enums` restrict a field to a fixed set of values and
+ * `managed` fields are maintained by dbMethods, so they are stripped from
+ * caller input along with any field the schema does not know. `editable`
+ * lists the fields drivers may change on their own profile.
+ */
+const schemaRules = {
+    users: {
+        required: ['email', 'firstName', 'lastName'],
+        enums: {
+            vehicleType: ['sedan', 'suv', 'hatchback', 'truck', 'motorcycle', 'other']
+        },
+        managed: ['userId', 'createdAt', 'updatedAt', 'lastLogin', 'termsAcceptedAt', 'emailVerified', 'suspendedAt', 'suspensionReason'],
+        editable: ['firstName', 'lastName', 'phone', 'vehicleType']
+    },
+    
+    chargingStations: {
+        required: ['name', 'address', 'location', 'location.latitude', 'location.longitude', 'chargingTypes'],
+        enums: {
+            chargingSpeed: ['standard', 'fast', 'rapid']
+        },
+        managed: ['stationId', 'geohash', 'totalSlots', 'availableSlots', 'createdAt', 'updatedAt']
+    },
+    
+    chargingSlots: {
+        required: ['stationId', 'slotNumber', 'chargingType'],
+        enums: {},
+        managed: ['slotId', 'isAvailable', 'isActive', 'retiredAt', 'reservations', 'createdAt', 'updatedAt']
+    },
+    
+    bookings: {
+        required: ['userId', 'stationId', 'slotId', 'startTime', 'endTime'],
+        enums: {
+            status: bookingLifecycle.statuses
+        },
+        managed: ['bookingId', 'statusHistory', 'anonymizedAt', 'createdAt', 'updatedAt']
+    },
+    
+    adminUsers: {
+        required: ['email', 'role'],
+        enums: {
+            role: Object.keys(adminRoles.roles)
+        },
+        managed: ['adminId', 'permissions', 'mfaEnabled', 'createdAt', 'lastLogin']
     }
 };
 
@@ -138,44 +465,67 @@ const authMethods = {
      */
     signUp: async (email, password, userData) => {
         try {
-            const { createUserWithEmailAndPassword } = window.firebase;
-            const { updateProfile } = window.firebase;
-            const { serverTimestamp } = window.firebase;
+            const backend = getBackend();
             
-            const userCredential = await createUserWithEmailAndPassword(
-                firebaseServices.auth, 
-                email, 
-                password
-            );
+            // Check the profile before creating the account so a bad form leaves no orphan login behind
+            const { data: profile, fieldErrors } = validateDocument('users', {
+                email: email,
+                firstName: userData.firstName,
+                lastName: userData.lastName,
+                phone: userData.phone,
+                vehicleType: userData.vehicleType,
+                newsletter: Boolean(userData.newsletter)
+            });
+            const passwordCheck = getPasswordPolicy().validate(password, {
+                email: email,
+                firstName: userData.firstName,
+                lastName: userData.lastName
+            });
+            if (!passwordCheck.isValid) {
+                fieldErrors.password = passwordCheck.message;
+            }
+            if (Object.keys(fieldErrors).length > 0) {
+                return validationFailure(fieldErrors);
+            }
+            
+            const user = await backend.createUser(email, password);
             
             // Update user profile
-            await updateProfile(userCredential.user, {
+            await backend.updateProfile(user, {
                 displayName: `${userData.firstName} ${userData.lastName}`
             });
             
             // Save user data to Firestore
-            const { doc, setDoc } = window.firebase;
-            await setDoc(doc(firebaseServices.firestore, 'users', userCredential.user.uid), {
-                userId: userCredential.user.uid,
-                email: email,
-                firstName: userData.firstName,
-                lastName: userData.lastName,
-                phone: userData.phone,
-                vehicleType: userData.vehicleType,
-                createdAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
+            await backend.setDoc('users', user.uid, {
+                ...profile,
+                userId: user.uid,
+                termsAcceptedAt: userData.termsAccepted ? backend.serverTimestamp() : null,
+                emailVerified: false,
+                createdAt: backend.serverTimestamp(),
+                updatedAt: backend.serverTimestamp(),
                 isActive: true
             });
             
+            // The account exists either way; a failed send can be retried with resend
+            let verificationSent = true;
+            try {
+                await backend.sendEmailVerification(user, pageUrl('user-login.html'));
+            } catch (error) {
+                console.error('Verification email error:', error);
+                verificationSent = false;
+            }
+            
             return {
                 success: true,
-                user: userCredential.user,
-                userData: userData
+                user: user,
+                userData: userData,
+                verificationSent: verificationSent
             };
         } catch (error) {
             console.error('Sign up error:', error);
             return {
                 success: false,
+                code: error.code,
                 error: error.message
             };
         }
@@ -183,29 +533,76 @@ const authMethods = {
     
     /**
      * Sign in user
+     * Unverified accounts stay signed in, so they can resend the verification
+     * email, but get an `email_unverified` failure instead of a session.
      */
     signIn: async (email, password) => {
+        const throttle = getLoginThrottle();
+        const status = throttle.check(email, clockNow());
+        if (!status.allowed) return throttledFailure(status);
+        
         try {
-            const { signInWithEmailAndPassword } = window.firebase;
-            const userCredential = await signInWithEmailAndPassword(
-                firebaseServices.auth, 
-                email, 
-                password
-            );
+            const backend = getBackend();
+            const user = await backend.signIn(email, password);
+            throttle.recordSuccess(email);
+            
+            const userDoc = await backend.getDoc('users', user.uid);
+            if (userDoc && userDoc.data.isActive === false) {
+                await backend.signOut();
+                return typedFailure('account_suspended', 'This account has been suspended. Please contact support.');
+            }
             
-            // Update last login
-            const { doc, updateDoc, serverTimestamp } = window.firebase;
-            await updateDoc(doc(firebaseServices.firestore, 'users', userCredential.user.uid), {
-                lastLogin: serverTimestamp(),
-                updatedAt: serverTimestamp()
+            // Update last login; the email may have changed through a confirmation link
+            await backend.updateDoc('users', user.uid, {
+                email: user.email,
+                emailVerified: Boolean(user.emailVerified),
+                lastLogin: backend.serverTimestamp(),
+                updatedAt: backend.serverTimestamp()
             });
             
+            if (!user.emailVerified) {
+                return typedFailure('email_unverified', 'Please verify your email address before signing in', {
+                    user: user
+                });
+            }
+            
             return {
                 success: true,
-                user: userCredential.user
+                user: user
             };
         } catch (error) {
             console.error('Sign in error:', error);
+            const failure = {
+                success: false,
+                code: error.code,
+                error: error.message
+            };
+            
+            if (LOGIN_FAILURE_CODES.includes(error.code)) {
+                const next = throttle.recordFailure(email, clockNow());
+                failure.retryAt = next.retryAt || null;
+                failure.locked = next.reason === 'locked';
+            }
+            return failure;
+        }
+    },
+    
+    /**
+     * Whether a sign-in for this email is currently delayed or locked out
+     */
+    getLoginStatus: (email) => {
+        return getLoginThrottle().check(email, clockNow());
+    },
+    
+    /**
+     * Keep the next sign-in across browser restarts (remember me) or only for this tab
+     */
+    setPersistence: async (rememberMe) => {
+        try {
+            await getBackend().setPersistence(rememberMe ? 'local' : 'session');
+            return { success: true };
+        } catch (error) {
+            console.error('Set persistence error:', error);
             return {
                 success: false,
                 error: error.message
@@ -218,8 +615,7 @@ const authMethods = {
      */
     signOut: async () => {
         try {
-            const { signOut } = window.firebase;
-            await signOut(firebaseServices.auth);
+            await getBackend().signOut();
             return { success: true };
         } catch (error) {
             console.error('Sign out error:', error);
@@ -234,211 +630,1574 @@ const authMethods = {
      * Get current user
      */
     getCurrentUser: () => {
-        return firebaseServices.auth.currentUser;
+        return getBackend().getCurrentUser();
     },
     
     /**
-     * Check if user is admin
+     * Listen for sign-in and sign-out; returns an unsubscribe function
      */
-    checkAdminRole: async (userId) => {
+    onAuthStateChanged: (callback) => {
+        return getBackend().onAuthStateChanged(callback);
+    },
+    
+    /**
+     * Send the signed-in user another verification email
+     */
+    sendVerificationEmail: async () => {
         try {
-            const { doc, getDoc } = window.firebase;
-            const docSnap = await getDoc(doc(firebaseServices.firestore, 'adminUsers', userId));
+            const backend = getBackend();
+            const user = backend.getCurrentUser();
             
-            if (docSnap.exists()) {
-                const adminData = docSnap.data();
-                return {
-                    isAdmin: true,
-                    role: adminData.role,
-                    permissions: adminData.permissions
-                };
+            if (!user) {
+                return typedFailure('not_signed_in', 'Sign in again to resend the verification email');
+            }
+            if (user.emailVerified) {
+                return typedFailure('already_verified', 'This email address is already verified');
             }
             
-            return { isAdmin: false };
+            await backend.sendEmailVerification(user, pageUrl('user-login.html'));
+            return { success: true };
         } catch (error) {
-            console.error('Admin check error:', error);
-            return { isAdmin: false, error: error.message };
+            console.error('Resend verification error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message);
         }
-    }
-};
-
-/**
- * Firestore Database Methods
- */
-const dbMethods = {
+    },
+    
     /**
-     * Get all charging stations
+     * Apply the code from a verification link (the `oobCode` query parameter)
      */
-    getChargingStations: async () => {
+    verifyEmail: async (actionCode) => {
         try {
-            const { collection, getDocs, query, where, orderBy } = window.firebase;
-            const q = query(
-                collection(firebaseServices.firestore, 'chargingStations'),
-                where('isActive', '==', true),
-                orderBy('name')
-            );
-            
-            const querySnapshot = await getDocs(q);
-            const stations = [];
+            const backend = getBackend();
+            await backend.applyActionCode(actionCode);
             
-            querySnapshot.forEach((doc) => {
-                stations.push({
-                    stationId: doc.id,
-                    ...doc.data()
-                });
-            });
+            // The link may be opened in a browser where nobody is signed in
+            if (backend.getCurrentUser()) {
+                await authMethods.refreshEmailVerification();
+            }
             
-            return {
-                success: true,
-                stations: stations
-            };
+            return { success: true };
         } catch (error) {
-            console.error('Get stations error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            console.error('Verify email error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message);
         }
     },
     
     /**
-     * Get nearby charging stations
+     * Reload the signed-in user to pick up a verification made elsewhere
      */
-    getNearbyStations: async (latitude, longitude, radiusKm = 10) => {
+    refreshEmailVerification: async () => {
         try {
-            // This is a simplified version. In production, you'd use Firestore's 
-            // geohash queries or a dedicated geospatial database
-            const result = await dbMethods.getChargingStations();
+            const backend = getBackend();
+            if (!backend.getCurrentUser()) {
+                return typedFailure('not_signed_in', 'Please sign in again');
+            }
             
-            if (!result.success) return result;
+            const user = await backend.reloadUser();
             
-            // Filter stations by distance (simplified)
-            const nearbyStations = result.stations.filter(station => {
-                if (!station.location) return false;
-                
-                const distance = calculateDistance(
-                    latitude, longitude,
-                    station.location.latitude, station.location.longitude
-                );
-                
-                return distance <= radiusKm;
-            });
+            if (user.emailVerified) {
+                await backend.updateDoc('users', user.uid, {
+                    emailVerified: true,
+                    updatedAt: backend.serverTimestamp()
+                });
+            }
             
             return {
                 success: true,
-                stations: nearbyStations
+                user: user,
+                emailVerified: Boolean(user.emailVerified)
             };
         } catch (error) {
-            console.error('Get nearby stations error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            console.error('Refresh verification error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message);
         }
     },
     
     /**
-     * Create new charging station
+     * Email a password reset link
+     * Succeeds whether or not an account exists, so the form cannot be used to
+     * discover which addresses are registered.
      */
-    createChargingStation: async (stationData) => {
+    requestPasswordReset: async (email, continuePage = 'user-login.html') => {
         try {
-            const { collection, addDoc, serverTimestamp } = window.firebase;
-            
-            const docRef = await addDoc(collection(firebaseServices.firestore, 'chargingStations'), {
-                ...stationData,
-                createdAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
-                isActive: true
-            });
-            
-            return {
-                success: true,
-                stationId: docRef.id
-            };
+            await getBackend().sendPasswordResetEmail(email, pageUrl(continuePage));
+            return { success: true };
         } catch (error) {
-            console.error('Create station error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            if (error.code === 'auth/user-not-found') {
+                return { success: true };
+            }
+            console.error('Password reset request error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message);
         }
     },
     
     /**
-     * Update charging station
+     * Check a reset link's code before asking for a new password; returns the account email
      */
-    updateChargingStation: async (stationId, updateData) => {
+    verifyPasswordResetCode: async (actionCode) => {
+        try {
+            const email = await getBackend().verifyPasswordResetCode(actionCode);
+            return { success: true, email: email };
+        } catch (error) {
+            console.error('Verify reset code error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message);
+        }
+    },
+    
+    /**
+     * Set a new password from a reset link
+     */
+    confirmPasswordReset: async (actionCode, newPassword) => {
         try {
-            const { doc, updateDoc, serverTimestamp } = window.firebase;
+            const backend = getBackend();
+            const email = await backend.verifyPasswordResetCode(actionCode);
             
-            await updateDoc(doc(firebaseServices.firestore, 'chargingStations', stationId), {
-                ...updateData,
-                updatedAt: serverTimestamp()
-            });
+            const passwordCheck = getPasswordPolicy().validate(newPassword, { email: email });
+            if (!passwordCheck.isValid) {
+                return passwordPolicyFailure(passwordCheck, 'newPassword');
+            }
             
+            await backend.confirmPasswordReset(actionCode, newPassword);
             return { success: true };
         } catch (error) {
-            console.error('Update station error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            console.error('Confirm password reset error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message);
         }
     },
     
     /**
-     * Get user bookings
+     * Change the signed-in user's password
+     * The current password is checked again first, since a session left open
+     * on a shared device must not be enough to take over the account.
      */
-    getUserBookings: async (userId) => {
+    changePassword: async (currentPassword, newPassword) => {
         try {
-            const { collection, getDocs, query, where, orderBy } = window.firebase;
-            const q = query(
-                collection(firebaseServices.firestore, 'bookings'),
-                where('userId', '==', userId),
-                orderBy('bookingDate', 'desc')
-            );
+            const backend = getBackend();
+            if (!backend.getCurrentUser()) {
+                return typedFailure('not_signed_in', 'Please sign in again to change your password');
+            }
             
-            const querySnapshot = await getDocs(q);
-            const bookings = [];
+            const reauthFailure = await confirmCurrentPassword(currentPassword);
+            if (reauthFailure) return reauthFailure;
             
-            querySnapshot.forEach((doc) => {
-                bookings.push({
-                    bookingId: doc.id,
-                    ...doc.data()
-                });
+            const user = backend.getCurrentUser();
+            const passwordCheck = getPasswordPolicy().validate(newPassword, {
+                email: user.email,
+                displayName: user.displayName
             });
+            if (!passwordCheck.isValid) {
+                return passwordPolicyFailure(passwordCheck, 'newPassword');
+            }
             
-            return {
-                success: true,
-                bookings: bookings
-            };
+            await backend.updatePassword(newPassword);
+            return { success: true };
         } catch (error) {
-            console.error('Get bookings error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            console.error('Change password error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message, { field: 'newPassword' });
         }
     },
     
     /**
-     * Create new booking
+     * Start an email change: a confirmation link goes to the new address and
+     * the account keeps the old one until it is followed
      */
-    createBooking: async (bookingData) => {
+    requestEmailChange: async (newEmail, currentPassword) => {
         try {
-            const { collection, addDoc, serverTimestamp } = window.firebase;
+            const backend = getBackend();
+            const user = backend.getCurrentUser();
+            if (!user) {
+                return typedFailure('not_signed_in', 'Please sign in again to change your email');
+            }
             
-            const docRef = await addDoc(collection(firebaseServices.firestore, 'bookings'), {
-                ...bookingData,
-                status: 'pending',
-                createdAt: serverTimestamp(),
-                updatedAt: serverTimestamp()
-            });
+            const normalized = String(newEmail || '').trim().toLowerCase();
+            if (normalized === String(user.email || '').toLowerCase()) {
+                return typedFailure('same_email', 'That is already your email address', { field: 'newEmail' });
+            }
             
-            return {
-                success: true,
-                bookingId: docRef.id
-            };
+            const reauthFailure = await confirmCurrentPassword(currentPassword);
+            if (reauthFailure) return reauthFailure;
+            
+            await backend.verifyBeforeUpdateEmail(normalized, pageUrl('profile.html'));
+            return { success: true, pendingEmail: normalized };
+        } catch (error) {
+            console.error('Email change request error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message, { field: 'newEmail' });
+        }
+    },
+    
+    /**
+     * Apply the code from an email change link
+     */
+    confirmEmailChange: async (actionCode) => {
+        try {
+            const backend = getBackend();
+            await backend.applyActionCode(actionCode);
+            
+            // Signed-out browsers pick the new email up on the next sign-in instead
+            if (backend.getCurrentUser()) {
+                try {
+                    const user = await backend.reloadUser();
+                    await backend.updateDoc('users', user.uid, {
+                        email: user.email,
+                        emailVerified: true,
+                        updatedAt: backend.serverTimestamp()
+                    });
+                } catch (error) {
+                    console.error('Email change profile sync error:', error);
+                }
+            }
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Confirm email change error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message);
+        }
+    },
+    
+    /**
+     * Delete the signed-in driver's account
+     * Upcoming bookings are cancelled and past ones are kept for station
+     * records but detached from the driver; then the profile and the login
+     * are removed. Admin accounts are removed from the admin console instead.
+     */
+    deleteAccount: async (currentPassword) => {
+        try {
+            const backend = getBackend();
+            const user = backend.getCurrentUser();
+            if (!user) {
+                return typedFailure('not_signed_in', 'Please sign in again to delete your account');
+            }
+            
+            const reauthFailure = await confirmCurrentPassword(currentPassword);
+            if (reauthFailure) return reauthFailure;
+            
+            const adminCheck = await authMethods.checkAdminRole(user.uid);
+            if (adminCheck.isAdmin) {
+                return typedFailure('admin_account', 'Admin accounts can only be removed by a super admin');
+            }
+            
+            const bookingSpec = { where: [['userId', '==', user.uid]], orderBy: [['bookingDate', 'desc']] };
+            const bookings = await queryAll('bookings', bookingSpec);
+            
+            if (bookings.some(doc => doc.data.status === 'in_progress')) {
+                return typedFailure('active_bookings', 'Your account can be deleted once your current charging session has finished');
+            }
+            
+            const actor = { userId: user.uid, role: 'user' };
+            for (const doc of bookings.filter(booking => bookingLifecycle.openStatuses.includes(booking.data.status))) {
+                const cancelled = await dbMethods.cancelBooking(doc.id, actor, ACCOUNT_DELETED_REASON);
+                if (!cancelled.success) return cancelled;
+            }
+            
+            // Read again so the cancellations are part of the anonymized history
+            const history = await queryAll('bookings', bookingSpec);
+            for (const doc of history) {
+                await backend.updateDoc('bookings', doc.id, anonymizedBooking(doc.data, user.uid, backend));
+            }
+            
+            await backend.deleteDoc('users', user.uid);
+            await backend.deleteUser();
+            
+            return { success: true, bookingsAnonymized: history.length };
+        } catch (error) {
+            console.error('Delete account error:', error);
+            return typedFailure(error.code || 'auth/internal-error', error.message);
+        }
+    },
+    
+    /**
+     * Check if user is admin
+     */
+    checkAdminRole: async (userId) => {
+        try {
+            const adminDoc = await getBackend().getDoc('adminUsers', userId);
+            
+            // Deactivated admin records grant nothing
+            if (adminDoc && adminDoc.data.isActive !== false) {
+                const adminData = adminDoc.data;
+                return {
+                    isAdmin: true,
+                    role: adminRoles.normalizeRole(adminData.role),
+                    // Derived from the role so a stale stored copy grants nothing extra
+                    permissions: adminRoles.permissionsFor(adminData.role),
+                    stationIds: Array.isArray(adminData.stationIds) ? adminData.stationIds : null,
+                    mfaRequired: requiresMfa(adminData),
+                    mfaEnabled: adminData.mfaEnabled === true
+                };
+            }
+            
+            return { isAdmin: false };
+        } catch (error) {
+            console.error('Admin check error:', error);
+            return { isAdmin: false, error: error.message };
+        }
+    },
+    
+    /**
+     * Sign in to the admin area
+     * Accounts without an active adminUsers record are signed straight back
+     * out and get a `not_admin` failure. Admins with two-step verification
+     * stay signed in but get `mfa_required` until `verifyAdminMfa` (or, before
+     * enrollment, `confirmMfaEnrollment`) succeeds; until then
+     * `requireAdminPermission` refuses their admin actions.
+     */
+    adminSignIn: async (email, password) => {
+        const backend = getBackend();
+        const throttle = getLoginThrottle();
+        let user;
+        
+        const status = throttle.check(email, clockNow());
+        if (!status.allowed) return throttledFailure(status);
+        
+        try {
+            user = await backend.signIn(email, password);
+        } catch (error) {
+            console.error('Admin sign in error:', error);
+            const code = error.code || 'auth/internal-error';
+            
+            if (!LOGIN_FAILURE_CODES.includes(code)) {
+                return typedFailure(code, error.message);
+            }
+            return recordAdminLoginFailure(email, null, 'login_failed', code, typedFailure(code, error.message));
+        }
+        
+        const adminCheck = await authMethods.checkAdminRole(user.uid);
+        
+        if (!adminCheck.isAdmin) {
+            await authMethods.signOut();
+            if (!adminCheck.error) {
+                await logSecurityEvent('login_failed', { email: email, userId: user.uid, reason: 'not_admin' });
+            }
+            return adminCheck.error
+                ? typedFailure('admin_check_failed', 'Could not verify admin access. Please try again.')
+                : typedFailure('not_admin', 'This account does not have admin access');
+        }
+        
+        if (adminCheck.mfaRequired) {
+            return typedFailure('mfa_required', adminCheck.mfaEnabled
+                ? 'Enter the code from your authenticator app'
+                : 'Set up two-step verification to continue', {
+                user: user,
+                enrolled: adminCheck.mfaEnabled
+            });
+        }
+        
+        return completeAdminSignIn(user, adminCheck, false);
+    },
+    
+    /**
+     * Start two-step verification enrollment for the signed-in admin
+     * Returns the secret and an otpauth:// URL for the authenticator app;
+     * nothing is enforced until `confirmMfaEnrollment` accepts a code.
+     */
+    startMfaEnrollment: async () => {
+        const backend = getBackend();
+        const user = backend.getCurrentUser();
+        if (!user) return typedFailure('not_signed_in', 'Sign in to set up two-step verification');
+        
+        try {
+            const adminCheck = await authMethods.checkAdminRole(user.uid);
+            if (!adminCheck.isAdmin) {
+                return typedFailure('not_admin', 'This account does not have admin access');
+            }
+            if (adminCheck.mfaEnabled) {
+                return typedFailure('mfa_already_enabled', 'Two-step verification is already set up');
+            }
+            
+            const TOTP = requireShared('TOTP', '../js/auth/totp.js');
+            const secret = TOTP.generateSecret();
+            
+            await backend.setDoc('adminMfa', user.uid, {
+                secret: secret,
+                enabled: false,
+                recoveryCodes: [],
+                lastUsedStep: null,
+                createdAt: backend.serverTimestamp(),
+                updatedAt: backend.serverTimestamp()
+            });
+            
+            return {
+                success: true,
+                secret: secret,
+                otpauthUrl: TOTP.otpauthUrl(secret, user.email)
+            };
+        } catch (error) {
+            console.error('Start MFA enrollment error:', error);
+            return { success: false, error: error.message };
+        }
+    },
+    
+    /**
+     * Finish enrollment with a first code from the authenticator app
+     * Returns the plain recovery codes; only their hashes are stored, so this
+     * is the one chance to show them. Also completes a pending admin sign-in.
+     */
+    confirmMfaEnrollment: async (code) => {
+        const backend = getBackend();
+        const user = backend.getCurrentUser();
+        if (!user) return typedFailure('not_signed_in', 'Sign in to set up two-step verification');
+        
+        try {
+            const mfaDoc = await backend.getDoc('adminMfa', user.uid);
+            if (!mfaDoc || mfaDoc.data.enabled) {
+                return typedFailure('mfa_not_started', 'Start two-step verification setup again');
+            }
+            
+            const TOTP = requireShared('TOTP', '../js/auth/totp.js');
+            const step = await TOTP.verify(mfaDoc.data.secret, code, { now: clockNow() });
+            if (step === null) {
+                return typedFailure('mfa_invalid_code', 'That code is not valid. Check the time on your device and try again.', { field: 'code' });
+            }
+            
+            const recoveryCodes = TOTP.generateRecoveryCodes();
+            const hashes = await Promise.all(recoveryCodes.map(recoveryCode => TOTP.hashRecoveryCode(recoveryCode)));
+            
+            await backend.updateDoc('adminMfa', user.uid, {
+                enabled: true,
+                recoveryCodes: hashes,
+                lastUsedStep: step,
+                verifiedSessions: await mfaVerifiedSessions(mfaDoc.data),
+                enrolledAt: backend.serverTimestamp(),
+                updatedAt: backend.serverTimestamp()
+            });
+            await backend.updateDoc('adminUsers', user.uid, { mfaEnabled: true });
+            
+            const adminCheck = await authMethods.checkAdminRole(user.uid);
+            const signIn = await completeAdminSignIn(user, adminCheck, true);
+            
+            return { ...signIn, recoveryCodes: recoveryCodes };
+        } catch (error) {
+            console.error('Confirm MFA enrollment error:', error);
+            return { success: false, error: error.message };
+        }
+    },
+    
+    /**
+     * Complete an admin sign-in with an authenticator code or a recovery code
+     * Each TOTP code works once; each recovery code is deleted when used.
+     */
+    verifyAdminMfa: async (code) => {
+        const backend = getBackend();
+        const user = backend.getCurrentUser();
+        if (!user) return typedFailure('not_signed_in', 'Your sign-in expired. Please sign in again.');
+        
+        // Code guesses count against the same per-email limit as passwords
+        const status = getLoginThrottle().check(user.email, clockNow());
+        if (!status.allowed) {
+            await authMethods.signOut();
+            return throttledFailure(status);
+        }
+        
+        try {
+            const mfaDoc = await backend.getDoc('adminMfa', user.uid);
+            if (!mfaDoc || !mfaDoc.data.enabled) {
+                return typedFailure('mfa_not_enrolled', 'Two-step verification is not set up for this account');
+            }
+            
+            const TOTP = requireShared('TOTP', '../js/auth/totp.js');
+            const mfa = mfaDoc.data;
+            const input = String(code || '').trim();
+            let usedRecoveryCode = false;
+            
+            if (/^\d{6}$/.test(input.replace(/\s+/g, ''))) {
+                const step = await TOTP.verify(mfa.secret, input, { now: clockNow(), afterStep: mfa.lastUsedStep });
+                if (step === null) {
+                    return rejectMfaCode(user, 'That code is not valid or was already used');
+                }
+                await backend.updateDoc('adminMfa', user.uid, {
+                    lastUsedStep: step,
+                    verifiedSessions: await mfaVerifiedSessions(mfa),
+                    updatedAt: backend.serverTimestamp()
+                });
+            } else {
+                const hash = await TOTP.hashRecoveryCode(input);
+                const remaining = (mfa.recoveryCodes || []).filter(stored => stored !== hash);
+                if (remaining.length === (mfa.recoveryCodes || []).length) {
+                    return rejectMfaCode(user, 'That recovery code is not valid or was already used');
+                }
+                await backend.updateDoc('adminMfa', user.uid, {
+                    recoveryCodes: remaining,
+                    verifiedSessions: await mfaVerifiedSessions(mfa),
+                    updatedAt: backend.serverTimestamp()
+                });
+                usedRecoveryCode = true;
+            }
+            
+            const adminCheck = await authMethods.checkAdminRole(user.uid);
+            if (!adminCheck.isAdmin) {
+                await authMethods.signOut();
+                return typedFailure('not_admin', 'This account does not have admin access');
+            }
+            
+            const signIn = await completeAdminSignIn(user, adminCheck, true);
+            const recoveryCodesRemaining = usedRecoveryCode
+                ? (mfa.recoveryCodes.length - 1)
+                : (mfa.recoveryCodes || []).length;
+            
+            return { ...signIn, usedRecoveryCode: usedRecoveryCode, recoveryCodesRemaining: recoveryCodesRemaining };
+        } catch (error) {
+            console.error('Verify admin MFA error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+};
+
+/**
+ * Firestore Database Methods
+ */
+const dbMethods = {
+    /**
+     * Get active charging stations, one page at a time
+     * Pass `{ pageSize, cursor }`; the result's `nextCursor` fetches the next
+     * page and is null on the last one. Admins who can edit stations may pass
+     * `includeInactive` to list deactivated stations too; station-scoped
+     * admins then only get the stations they manage.
+     */
+    getChargingStations: async (options = {}) => {
+        try {
+            let scope = null;
+            if (options.includeInactive) {
+                const accessError = await requireAdminPermission('stations:write');
+                if (accessError) return accessError;
+                
+                // Station-scoped admins only see the stations they manage
+                const backend = getBackend();
+                const adminDoc = await backend.getDoc('adminUsers', backend.getCurrentUser().uid);
+                scope = adminRoles.stationScope(adminDoc.data);
+            }
+            
+            const spec = {
+                where: options.includeInactive ? [] : [['isActive', '==', true]],
+                orderBy: [['name']]
+            };
+            const page = scope === null
+                ? await queryPage('chargingStations', spec, options)
+                : await queryPageIn('chargingStations', '__name__', scope, spec, options);
+            
+            if (!page) {
+                return typedFailure('invalid_cursor', 'Page cursor is not valid for this list');
+            }
+            
+            return {
+                success: true,
+                stations: page.docs.map(doc => ({ stationId: doc.id, ...doc.data })),
+                nextCursor: page.nextCursor
+            };
+        } catch (error) {
+            console.error('Get stations error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Get one charging station, deactivated or not (bookings keep pointing at it)
+     */
+    getChargingStation: async (stationId) => {
+        try {
+            const stationDoc = await getBackend().getDoc('chargingStations', stationId);
+            
+            if (!stationDoc) {
+                return typedFailure('station_not_found', 'Charging station not found');
+            }
+            
+            return {
+                success: true,
+                station: { stationId: stationDoc.id, ...stationDoc.data }
+            };
+        } catch (error) {
+            console.error('Get station error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Get nearby charging stations
+     * Queries only the geohash cells covering the search circle, then drops
+     * corner hits outside the radius. Results carry a `distance` in kilometres
+     * plus `maxPower`, `freeSlotsNow` and `currentPrice` from the live slots and
+     * tariff, and are narrowed and sorted by `filters` (see js/stations/station-filter.js).
+     */
+    getNearbyStations: async (latitude, longitude, radiusKm = 10, filters = {}) => {
+        try {
+            const backend = getBackend();
+            const StationFilter = requireShared('StationFilter', '../js/stations/station-filter.js');
+            const filter = StationFilter.normalize(filters);
+            
+            const results = await Promise.all(
+                nearbyStationQueries(latitude, longitude, radiusKm)
+                    .map(spec => backend.queryDocs('chargingStations', spec))
+            );
+            
+            const stations = await withSearchDetails(stationsWithinRadius(results, latitude, longitude, radiusKm));
+            
+            return {
+                success: true,
+                stations: StationFilter.apply(stations, filter),
+                filter: filter
+            };
+        } catch (error) {
+            console.error('Get nearby stations error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Create new charging station
+     * Input is checked against the schema; failures carry `fieldErrors`.
+     */
+    createChargingStation: async (stationData) => {
+        try {
+            const backend = getBackend();
+            
+            const accessError = await requireAdminPermission('stations:create');
+            if (accessError) return accessError;
+            
+            const { data, fieldErrors } = validateDocument('chargingStations', stationData);
+            if (Object.keys(fieldErrors).length > 0) {
+                return validationFailure(fieldErrors);
+            }
+            
+            const station = {
+                ...data,
+                ...stationGeohashFields(data.location),
+                totalSlots: 0, // maintained as slots are added and retired
+                availableSlots: 0,
+                createdAt: backend.serverTimestamp(),
+                updatedAt: backend.serverTimestamp(),
+                isActive: true
+            };
+            const stationId = backend.newId('chargingStations');
+            
+            await writeWithAudit(transaction => transaction.set('chargingStations', stationId, station),
+                'station.created', 'chargingStations', stationId, auditChanges(null, station), stationId);
+            
+            return {
+                success: true,
+                stationId: stationId
+            };
+        } catch (error) {
+            console.error('Create station error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Update charging station
+     * Only schema fields are written; failures carry `fieldErrors`.
+     */
+    updateChargingStation: async (stationId, updateData) => {
+        try {
+            const backend = getBackend();
+            
+            const accessError = await requireAdminPermission('stations:write', stationId);
+            if (accessError) return accessError;
+            
+            const { data, fieldErrors } = validateDocument('chargingStations', updateData, { partial: true });
+            if (Object.keys(fieldErrors).length > 0) {
+                return validationFailure(fieldErrors);
+            }
+            
+            const stationDoc = await backend.getDoc('chargingStations', stationId);
+            if (!stationDoc) {
+                return typedFailure('station_not_found', 'Charging station not found');
+            }
+            
+            const changes = {
+                ...data,
+                ...stationGeohashFields(updatedStationLocation(stationDoc.data, data))
+            };
+            await writeWithAudit(transaction => transaction.update('chargingStations', stationId, {
+                ...changes,
+                updatedAt: backend.serverTimestamp()
+            }), 'station.updated', 'chargingStations', stationId, auditChanges(stationDoc.data, changes), stationId);
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Update station error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Backfill geohashes on stations created before nearby search used them (admin)
+     * A one-off migration, run by hand; only stations the admin may edit are
+     * touched, and each fix is audited like any other station update.
+     */
+    backfillStationGeohashes: async () => {
+        try {
+            const backend = getBackend();
+            
+            const accessError = await requireAdminPermission('stations:write');
+            if (accessError) return accessError;
+            
+            const docs = await backend.queryDocs('chargingStations');
+            const stale = docs
+                .map(doc => ({ doc, fields: stationGeohashFields(doc.data.location) }))
+                .filter(({ doc, fields }) => fields.geohash && fields.geohash !== doc.data.geohash);
+            
+            let updated = 0;
+            for (const { doc, fields } of stale) {
+                if (await requireAdminPermission('stations:write', doc.id)) continue;
+                
+                await writeWithAudit(transaction => transaction.update('chargingStations', doc.id, {
+                    ...fields,
+                    updatedAt: backend.serverTimestamp()
+                }), 'station.updated', 'chargingStations', doc.id, auditChanges(doc.data, fields), doc.id);
+                updated++;
+            }
+            
+            return {
+                success: true,
+                updated: updated
+            };
+        } catch (error) {
+            console.error('Backfill geohash error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * List charging slots for a station, ordered by slot number
+     * Paged like getChargingStations via `{ pageSize, cursor }`.
+     */
+    getStationSlots: async (stationId, options = {}) => {
+        try {
+            const filters = [['stationId', '==', stationId]];
+            
+            if (!options.includeRetired) {
+                filters.push(['isActive', '==', true]);
+            }
+            
+            const page = await queryPage('chargingSlots', {
+                where: filters,
+                orderBy: [['slotNumber']]
+            }, options);
+            
+            if (!page) {
+                return typedFailure('invalid_cursor', 'Page cursor is not valid for this list');
+            }
+            
+            return {
+                success: true,
+                slots: page.docs.map(doc => ({ slotId: doc.id, ...doc.data })),
+                nextCursor: page.nextCursor
+            };
+        } catch (error) {
+            console.error('Get slots error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Add a charging slot to a station
+     */
+    createChargingSlot: async (stationId, slotData) => {
+        try {
+            const backend = getBackend();
+            
+            const accessError = await requireAdminPermission('slots:write', stationId);
+            if (accessError) return accessError;
+            
+            const stationDoc = await backend.getDoc('chargingStations', stationId);
+            if (!stationDoc) {
+                return typedFailure('station_not_found', 'Charging station not found');
+            }
+            
+            const { data, fieldErrors } = validateDocument('chargingSlots', {
+                stationId: stationId,
+                slotNumber: slotData.slotNumber === undefined ? undefined : String(slotData.slotNumber),
+                chargingType: slotData.chargingType,
+                maxPower: Number(slotData.maxPower) || 0
+            });
+            if (Object.keys(fieldErrors).length > 0) {
+                return validationFailure(fieldErrors);
+            }
+            
+            const typeError = slotChargingTypeError(stationDoc.data, data.chargingType);
+            if (typeError) return typeError;
+            
+            const slotId = backend.newId('chargingSlots');
+            const slot = {
+                ...data,
+                slotId: slotId,
+                isAvailable: true,
+                isActive: true,
+                reservations: [],
+                createdAt: backend.serverTimestamp(),
+                updatedAt: backend.serverTimestamp()
+            };
+            await writeWithAudit(async (transaction) => {
+                await adjustStationSlotCounts(transaction, stationId, 1, 1);
+                transaction.set('chargingSlots', slotId, slot);
+            }, 'slot.created', 'chargingSlots', slotId, auditChanges(null, slot), stationId);
+            
+            return {
+                success: true,
+                slotId: slotId
+            };
+        } catch (error) {
+            console.error('Create slot error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Update a slot's number, charging type or power rating
+     * Availability and reservations are owned by the booking flow and are not editable here.
+     */
+    updateChargingSlot: async (slotId, updateData) => {
+        try {
+            const backend = getBackend();
+            
+            const slotDoc = await backend.getDoc('chargingSlots', slotId);
+            if (!slotDoc) {
+                return typedFailure('slot_not_found', 'Charging slot not found');
+            }
+            
+            const accessError = await requireAdminPermission('slots:write', slotDoc.data.stationId);
+            if (accessError) return accessError;
+            
+            const { data: changes, fieldErrors } = validateDocument('chargingSlots', {
+                slotNumber: updateData.slotNumber === undefined ? undefined : String(updateData.slotNumber),
+                maxPower: updateData.maxPower === undefined ? undefined : Number(updateData.maxPower) || 0,
+                chargingType: updateData.chargingType
+            }, { partial: true });
+            if (Object.keys(fieldErrors).length > 0) {
+                return validationFailure(fieldErrors);
+            }
+            
+            if (changes.chargingType !== undefined) {
+                const stationDoc = await backend.getDoc('chargingStations', slotDoc.data.stationId);
+                const typeError = slotChargingTypeError(stationDoc ? stationDoc.data : {}, changes.chargingType);
+                if (typeError) return typeError;
+            }
+            
+            await writeWithAudit(transaction => transaction.update('chargingSlots', slotId, {
+                ...changes,
+                updatedAt: backend.serverTimestamp()
+            }), 'slot.updated', 'chargingSlots', slotId, auditChanges(slotDoc.data, changes), slotDoc.data.stationId);
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Update slot error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Retire a slot so it can no longer be booked
+     * Slots still holding open bookings must have them cancelled or completed first.
+     */
+    retireChargingSlot: async (slotId) => {
+        try {
+            const backend = getBackend();
+            
+            const slotDoc = await backend.getDoc('chargingSlots', slotId);
+            if (!slotDoc) {
+                return typedFailure('slot_not_found', 'Charging slot not found');
+            }
+            
+            const slot = slotDoc.data;
+            
+            const accessError = await requireAdminPermission('slots:write', slot.stationId);
+            if (accessError) return accessError;
+            
+            if ((slot.reservations || []).length > 0) {
+                return typedFailure('slot_in_use', 'This slot still has open bookings', {
+                    bookingIds: slot.reservations.map(reservation => reservation.bookingId)
+                });
+            }
+            
+            const changes = {
+                isActive: false,
+                isAvailable: false,
+                retiredAt: backend.serverTimestamp()
+            };
+            await writeWithAudit(async (transaction) => {
+                await adjustStationSlotCounts(transaction, slot.stationId, -1, slot.isAvailable !== false ? -1 : 0);
+                transaction.update('chargingSlots', slotId, {
+                    ...changes,
+                    updatedAt: backend.serverTimestamp()
+                });
+            }, 'slot.retired', 'chargingSlots', slotId, auditChanges(slot, changes), slot.stationId);
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Retire slot error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Get a user's profile document
+     * Drivers read their own profile; anyone else needs users:read.
+     */
+    getUserProfile: async (userId) => {
+        try {
+            const accessError = await requireSelfOrAdmin(userId, 'users:read');
+            if (accessError) return accessError;
+            
+            const userDoc = await getBackend().getDoc('users', userId);
+            
+            if (!userDoc) {
+                return typedFailure('user_not_found', 'User profile not found');
+            }
+            
+            return {
+                success: true,
+                profile: { userId: userDoc.id, ...userDoc.data }
+            };
+        } catch (error) {
+            console.error('Get user profile error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Update a user's profile document
+     * Only the fields in schemaRules.users.editable may be changed; email has
+     * its own confirmed flow. Failures carry `fieldErrors`. Drivers update
+     * their own profile; anyone else needs users:write.
+     */
+    updateUserProfile: async (userId, updateData) => {
+        try {
+            const backend = getBackend();
+            
+            const accessError = await requireSelfOrAdmin(userId, 'users:write');
+            if (accessError) return accessError;
+            
+            const { data, fieldErrors } = validateDocument('users', updateData, { partial: true });
+            Object.keys(updateData || {})
+                .filter(field => !schemaRules.users.editable.includes(field))
+                .forEach(field => {
+                    fieldErrors[field] = 'This field cannot be changed from your profile';
+                });
+            if (Object.keys(fieldErrors).length > 0) {
+                return validationFailure(fieldErrors);
+            }
+            
+            await backend.updateDoc('users', userId, {
+                ...data,
+                updatedAt: backend.serverTimestamp()
+            });
+            
+            // Keep the login's display name in step with the profile
+            const user = backend.getCurrentUser();
+            if (user && user.uid === userId && ('firstName' in data || 'lastName' in data)) {
+                const profileDoc = await backend.getDoc('users', userId);
+                await backend.updateProfile(user, {
+                    displayName: `${profileDoc.data.firstName} ${profileDoc.data.lastName}`
+                });
+            }
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Update user profile error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Get user bookings, newest first
+     * Paged like getChargingStations via `{ pageSize, cursor }`. Drivers see
+     * their own bookings; anyone else needs users:read.
+     */
+    getUserBookings: async (userId, options = {}) => {
+        try {
+            const accessError = await requireSelfOrAdmin(userId, 'users:read');
+            if (accessError) return accessError;
+            
+            const page = await queryPage('bookings', {
+                where: [['userId', '==', userId]],
+                orderBy: [['bookingDate', 'desc']]
+            }, options);
+            
+            if (!page) {
+                return typedFailure('invalid_cursor', 'Page cursor is not valid for this list');
+            }
+            
+            return {
+                success: true,
+                bookings: page.docs.map(doc => ({ bookingId: doc.id, ...doc.data })),
+                nextCursor: page.nextCursor
+            };
+        } catch (error) {
+            console.error('Get bookings error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Everything stored about a driver, for the "download my data" export
+     * Returns `{ success, data }` where `data` holds the profile and every
+     * booking with timestamps as ISO strings, ready for JSON. Only the
+     * driver themselves or an admin with users:read may export it.
+     */
+    exportUserData: async (userId) => {
+        try {
+            const accessError = await requireSelfOrAdmin(userId, 'users:read');
+            if (accessError) return accessError;
+            
+            const profileDoc = await getBackend().getDoc('users', userId);
+            if (!profileDoc) {
+                return typedFailure('user_not_found', 'User profile not found');
+            }
+            
+            const bookings = await queryAll('bookings', {
+                where: [['userId', '==', userId]],
+                orderBy: [['bookingDate', 'desc']]
+            });
+            
+            return {
+                success: true,
+                data: toExportValue({
+                    exportedAt: new Date(clockNow()),
+                    profile: { userId: profileDoc.id, ...profileDoc.data },
+                    bookings: bookings.map(doc => ({ bookingId: doc.id, ...doc.data }))
+                })
+            };
+        } catch (error) {
+            console.error('Export user data error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Bookings starting on the given local day, earliest first
+     * Admins limited to some stations only see those stations' bookings.
+     * Paged like getChargingStations via `{ pageSize, cursor }`.
+     */
+    getBookingsForDay: async (date = new Date(), options = {}) => {
+        try {
+            const accessError = await requireAdminPermission('bookings:read');
+            if (accessError) return accessError;
+            
+            const backend = getBackend();
+            const adminDoc = await backend.getDoc('adminUsers', backend.getCurrentUser().uid);
+            const scope = adminRoles.stationScope(adminDoc.data);
+            if (scope !== null && scope.length === 0) {
+                return { success: true, bookings: [], nextCursor: null };
+            }
+            
+            const dayStart = new Date(toMillis(date));
+            dayStart.setHours(0, 0, 0, 0);
+            const dayEnd = new Date(dayStart);
+            dayEnd.setDate(dayEnd.getDate() + 1);
+            
+            const spec = {
+                where: [['startTime', '>=', dayStart], ['startTime', '<', dayEnd]],
+                orderBy: [['startTime', 'asc']]
+            };
+            const page = scope === null
+                ? await queryPage('bookings', spec, options)
+                : await queryPageIn('bookings', 'stationId', scope, spec, options);
+            
+            if (!page) {
+                return typedFailure('invalid_cursor', 'Page cursor is not valid for this list');
+            }
+            
+            return {
+                success: true,
+                bookings: page.docs.map(doc => ({ bookingId: doc.id, ...doc.data })),
+                nextCursor: page.nextCursor
+            };
+        } catch (error) {
+            console.error('Get bookings for day error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Search driver accounts, ordered by email (or phone when searching by phone)
+     * Filters are `{ email, phone, vehicleType }`; email and phone match by
+     * prefix and only one of them can be used at a time. Paged like
+     * getChargingStations via `{ pageSize, cursor }`.
+     */
+    searchUsers: async (filters = {}, options = {}) => {
+        try {
+            const accessError = await requireAdminPermission('users:read');
+            if (accessError) return accessError;
+            
+            if (filters.email && filters.phone) {
+                return typedFailure('invalid_search', 'Search by email or by phone, not both');
+            }
+            
+            const page = await queryPage('users', userSearchQuery(filters), options);
+            
+            if (!page) {
+                return typedFailure('invalid_cursor', 'Page cursor is not valid for this list');
+            }
+            
+            return {
+                success: true,
+                users: page.docs.map(doc => ({ userId: doc.id, ...doc.data })),
+                nextCursor: page.nextCursor
+            };
+        } catch (error) {
+            console.error('Search users error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Suspend or reactivate a driver account
+     * Suspended drivers cannot sign in or make new bookings; existing
+     * bookings are left as they are.
+     */
+    setUserActive: async (userId, isActive, reason = null) => {
+        try {
+            const backend = getBackend();
+            
+            const accessError = await requireAdminPermission('users:write');
+            if (accessError) return accessError;
+            
+            if (userId === backend.getCurrentUser().uid) {
+                return typedFailure('own_account', 'You cannot suspend your own account');
+            }
+            
+            const userDoc = await backend.getDoc('users', userId);
+            if (!userDoc) {
+                return typedFailure('user_not_found', 'User not found');
+            }
+            
+            const user = userDoc.data;
+            if ((user.isActive !== false) === Boolean(isActive)) {
+                return { success: true, isActive: Boolean(isActive) };
+            }
+            
+            const changes = {
+                isActive: Boolean(isActive),
+                suspendedAt: isActive ? null : backend.serverTimestamp(),
+                suspensionReason: isActive ? null : (String(reason || '').trim() || null)
+            };
+            await writeWithAudit(transaction => transaction.update('users', userId, {
+                ...changes,
+                updatedAt: backend.serverTimestamp()
+            }), isActive ? 'user.reactivated' : 'user.suspended', 'users', userId, auditChanges(user, changes));
+            
+            return { success: true, isActive: Boolean(isActive) };
+        } catch (error) {
+            console.error('Set user active error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * List admin records, active and revoked, ordered by email
+     * Paged like getChargingStations via `{ pageSize, cursor }`.
+     */
+    getAdminUsers: async (options = {}) => {
+        try {
+            const accessError = await requireAdminPermission('admins:write');
+            if (accessError) return accessError;
+            
+            const page = await queryPage('adminUsers', {
+                orderBy: [['email', 'asc']]
+            }, options);
+            
+            if (!page) {
+                return typedFailure('invalid_cursor', 'Page cursor is not valid for this list');
+            }
+            
+            return {
+                success: true,
+                admins: page.docs.map(doc => ({
+                    ...doc.data,
+                    adminId: doc.id,
+                    role: adminRoles.normalizeRole(doc.data.role),
+                    isActive: doc.data.isActive !== false
+                })),
+                nextCursor: page.nextCursor
+            };
+        } catch (error) {
+            console.error('Get admin users error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Grant an admin role to an account, or change an admin's role and stations
+     * `stationIds` limits a station-scoped role to those stations; leave it
+     * empty for every station. New admins must set up two-step verification.
+     */
+    setAdminRole: async (userId, role, stationIds = []) => {
+        try {
+            const backend = getBackend();
+            
+            const accessError = await requireAdminPermission('admins:write');
+            if (accessError) return accessError;
+            
+            // Only super admins manage roles, so this also keeps one in place
+            if (userId === backend.getCurrentUser().uid) {
+                return typedFailure('own_role', 'You cannot change your own admin role');
+            }
+            
+            const [adminDoc, userDoc] = await Promise.all([
+                backend.getDoc('adminUsers', userId),
+                backend.getDoc('users', userId)
+            ]);
+            const existing = adminDoc ? adminDoc.data : null;
+            const email = existing ? existing.email : (userDoc ? userDoc.data.email : null);
+            if (!email) {
+                return typedFailure('user_not_found', 'User not found');
+            }
+            
+            const scope = [...new Set((stationIds || []).map(id => String(id).trim()).filter(Boolean))];
+            const { data, fieldErrors } = validateDocument('adminUsers', {
+                email: email,
+                role: role,
+                stationIds: scope.length > 0 ? scope : null,
+                isActive: true
+            });
+            if (Object.keys(fieldErrors).length > 0) {
+                return validationFailure(fieldErrors);
+            }
+            
+            const changes = { ...data, permissions: adminRoles.permissionsFor(data.role) };
+            const granted = !existing || existing.isActive === false;
+            
+            await writeWithAudit((transaction) => {
+                if (existing) {
+                    transaction.update('adminUsers', userId, changes);
+                } else {
+                    transaction.set('adminUsers', userId, {
+                        ...changes,
+                        adminId: userId,
+                        mfaRequired: true,
+                        mfaEnabled: false,
+                        createdAt: backend.serverTimestamp(),
+                        lastLogin: null
+                    });
+                }
+            }, granted ? 'admin.role_granted' : 'admin.role_changed', 'adminUsers', userId, auditChanges(existing, changes));
+            
+            return { success: true, role: data.role };
+        } catch (error) {
+            console.error('Set admin role error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Revoke an admin's access; the record stays, deactivated, for the audit trail
+     */
+    revokeAdminRole: async (userId) => {
+        try {
+            const backend = getBackend();
+            
+            const accessError = await requireAdminPermission('admins:write');
+            if (accessError) return accessError;
+            
+            if (userId === backend.getCurrentUser().uid) {
+                return typedFailure('own_role', 'You cannot revoke your own admin role');
+            }
+            
+            const adminDoc = await backend.getDoc('adminUsers', userId);
+            if (!adminDoc || adminDoc.data.isActive === false) {
+                return typedFailure('not_admin', 'This account is not an admin');
+            }
+            
+            await writeWithAudit(transaction => transaction.update('adminUsers', userId, { isActive: false }),
+                'admin.role_revoked', 'adminUsers', userId, auditChanges(adminDoc.data, { isActive: false }));
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Revoke admin role error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Get logged security events, newest first, optionally of one `type`
+     * Paged like getChargingStations via `{ pageSize, cursor }`.
+     */
+    getSecurityEvents: async (options = {}) => {
+        try {
+            const accessError = await requireAdminPermission('security:read');
+            if (accessError) return accessError;
+            
+            const page = await queryPage('securityEvents', {
+                where: options.type ? [['type', '==', options.type]] : [],
+                orderBy: [['createdAt', 'desc']]
+            }, options);
+            
+            if (!page) {
+                return typedFailure('invalid_cursor', 'Page cursor is not valid for this list');
+            }
+            
+            return {
+                success: true,
+                events: page.docs.map(doc => ({ eventId: doc.id, ...doc.data })),
+                nextCursor: page.nextCursor
+            };
+        } catch (error) {
+            console.error('Get security events error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Get audit log entries, newest first
+     * Filters are `{ action, actorEmail, targetCollection, targetId, since, until }`;
+     * paged like getChargingStations via `{ pageSize, cursor }`.
+     */
+    getAuditLogs: async (filters = {}, options = {}) => {
+        try {
+            const accessError = await requireAdminPermission('audit:read');
+            if (accessError) return accessError;
+            
+            const page = await queryPage('auditLogs', auditLogQuery(filters), options);
+            
+            if (!page) {
+                return typedFailure('invalid_cursor', 'Page cursor is not valid for this list');
+            }
+            
+            return {
+                success: true,
+                entries: page.docs.map(doc => ({ auditId: doc.id, ...doc.data })),
+                nextCursor: page.nextCursor
+            };
+        } catch (error) {
+            console.error('Get audit logs error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Every audit log entry matching the filters, with dates as ISO strings
+     */
+    exportAuditLogs: async (filters = {}) => {
+        try {
+            const accessError = await requireAdminPermission('audit:read');
+            if (accessError) return accessError;
+            
+            const docs = await queryAll('auditLogs', auditLogQuery(filters));
+            
+            return {
+                success: true,
+                entries: docs.map(doc => toExportValue({ auditId: doc.id, ...doc.data }))
+            };
+        } catch (error) {
+            console.error('Export audit logs error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Create new booking
+     * Runs as a transaction: the slot's reservations are checked for an
+     * overlapping window before the booking is written, and the slot and
+     * station availability counters are updated in the same commit.
+     * Drivers book for themselves; booking for another driver takes
+     * bookings:write on the station.
+     */
+    createBooking: async (bookingData) => {
+        try {
+            const backend = getBackend();
+            const PricingEngine = requireShared('PricingEngine', '../js/booking/pricing-engine.js');
+            
+            const startMs = toMillis(bookingData.startTime);
+            const endMs = toMillis(bookingData.endTime);
+            
+            // Only the booking request itself is taken from the caller; status, cost and history are set here
+            const { data, fieldErrors } = validateDocument('bookings', {
+                userId: bookingData.userId,
+                stationId: bookingData.stationId,
+                slotId: bookingData.slotId,
+                startTime: startMs === null ? undefined : new Date(startMs),
+                endTime: endMs === null ? undefined : new Date(endMs)
+            });
+            if (Object.keys(fieldErrors).length > 0) {
+                return validationFailure(fieldErrors);
+            }
+            
+            if (endMs <= startMs) {
+                return typedFailure('invalid_booking', 'Booking end time must be after its start time');
+            }
+            
+            const currentUser = backend.getCurrentUser();
+            if (!currentUser) {
+                return typedFailure('not_signed_in', 'Please sign in to book a slot');
+            }
+            
+            // Drivers book for themselves; booking for someone else takes bookings:write on the station
+            const bookingForDriver = currentUser.uid !== data.userId;
+            if (bookingForDriver) {
+                const accessError = await requireAdminPermission('bookings:write', data.stationId);
+                if (accessError) return accessError;
+            } else if (!currentUser.emailVerified) {
+                const refreshed = await backend.reloadUser();
+                if (!refreshed.emailVerified) {
+                    return typedFailure('email_unverified', 'Please verify your email address before booking');
+                }
+            }
+            
+            const bookingId = backend.newId('bookings');
+            
+            const outcome = await backend.runTransaction(async (transaction) => {
+                // All reads must happen before any writes inside a transaction
+                const slotDoc = await transaction.get('chargingSlots', data.slotId);
+                const stationDoc = await transaction.get('chargingStations', data.stationId);
+                const userDoc = await transaction.get('users', data.userId);
+                
+                if (userDoc && userDoc.data.isActive === false) {
+                    return typedFailure('account_suspended', 'This account has been suspended and cannot make bookings');
+                }
+                
+                // An admin cannot see the driver's auth account, so rely on the profile's copy of the flag
+                if (bookingForDriver && !(userDoc && userDoc.data.emailVerified === true)) {
+                    return typedFailure('email_unverified', 'This driver has not verified their email address yet');
+                }
+                
+                if (!slotDoc || slotDoc.data.stationId !== data.stationId ||
+                    slotDoc.data.isActive === false) {
+                    return typedFailure('slot_not_found', 'The selected charging slot does not exist');
+                }
+                
+                if (!stationDoc || stationDoc.data.isActive === false) {
+                    return typedFailure('station_unavailable', 'This charging station is not accepting bookings');
+                }
+                
+                const slot = slotDoc.data;
+                const station = stationDoc.data;
+                const reservations = slot.reservations || [];
+                const conflict = reservations.find(reservation =>
+                    timeRangesOverlap(startMs, endMs, reservation.startTime, reservation.endTime)
+                );
+                
+                if (conflict) {
+                    return typedFailure('slot_conflict', 'This slot is already booked for the selected time', {
+                        conflictingBookingId: conflict.bookingId,
+                        conflictingWindow: {
+                            startTime: conflict.startTime,
+                            endTime: conflict.endTime
+                        }
+                    });
+                }
+                
+                const now = clockNow();
+                const tariff = slot.tariff || station.tariff;
+                const costEstimate = tariff ? PricingEngine.estimate(tariff, {
+                    startTime: startMs,
+                    endTime: endMs,
+                    maxPower: slot.maxPower
+                }) : null;
+                
+                transaction.set('bookings', bookingId, {
+                    ...data,
+                    bookingId: bookingId,
+                    bookingDate: backend.serverTimestamp(),
+                    estimatedDuration: Math.round((endMs - startMs) / 60000),
+                    costEstimate: costEstimate,
+                    totalCost: costEstimate ? costEstimate.total : null,
+                    status: 'pending',
+                    statusHistory: [{
+                        from: null,
+                        to: 'pending',
+                        actorId: currentUser.uid,
+                        actorRole: bookingForDriver ? 'admin' : 'user',
+                        reason: null,
+                        at: now
+                    }],
+                    createdAt: backend.serverTimestamp(),
+                    updatedAt: backend.serverTimestamp()
+                });
+                
+                const heldReservations = [...reservations, {
+                    bookingId: bookingId,
+                    startTime: startMs,
+                    endTime: endMs
+                }];
+                const isAvailable = !slotHeldAt(heldReservations, now);
+                
+                transaction.update('chargingSlots', data.slotId, {
+                    reservations: heldReservations,
+                    isAvailable: isAvailable,
+                    updatedAt: backend.serverTimestamp()
+                });
+                
+                // A booking for later leaves the slot free now; the station only loses it when this one covers now
+                const availableSlots = availableSlotsAfter(station, slot.isAvailable !== false, isAvailable);
+                if (availableSlots !== null) {
+                    transaction.update('chargingStations', data.stationId, {
+                        availableSlots: availableSlots,
+                        updatedAt: backend.serverTimestamp()
+                    });
+                }
+                
+                return { success: true, bookingId: bookingId };
+            });
+            
+            return outcome;
         } catch (error) {
             console.error('Create booking error:', error);
             return {
@@ -446,8 +2205,1302 @@ const dbMethods = {
                 error: error.message
             };
         }
+    },
+    
+    /**
+     * Move a booking to a new status
+     * `actor` is `{ userId, role }` where role is 'user' or 'admin'. Users may
+     * only act on their own bookings; admins need bookings:write on the
+     * booking's station. Leaving an open status releases the
+     * slot reservation and restores the station's availability counter.
+     */
+    updateBookingStatus: async (bookingId, nextStatus, actor, details = {}) => {
+        try {
+            const backend = getBackend();
+            const PricingEngine = requireShared('PricingEngine', '../js/booking/pricing-engine.js');
+            
+            if (!actor || !actor.userId || !actor.role) {
+                return typedFailure('invalid_actor', 'The user making this change must be identified');
+            }
+            
+            return await backend.runTransaction(async (transaction) => {
+                const bookingDoc = await transaction.get('bookings', bookingId);
+                if (!bookingDoc) {
+                    return typedFailure('booking_not_found', 'Booking not found');
+                }
+                
+                const booking = bookingDoc.data;
+                
+                // A user actor must be the signed-in driver who owns the booking
+                if (actor.role === 'user') {
+                    const currentUser = backend.getCurrentUser();
+                    if (!currentUser || currentUser.uid !== actor.userId) {
+                        return typedFailure('invalid_actor', 'Changes must be made as the signed-in user');
+                    }
+                    
+                    if (booking.userId !== actor.userId) {
+                        return typedFailure('forbidden', 'You can only change your own bookings');
+                    }
+                }
+                
+                // An admin actor must be the signed-in admin with access to this station
+                if (actor.role === 'admin') {
+                    const accessError = await requireAdminPermission('bookings:write', booking.stationId, transaction);
+                    if (accessError) return accessError;
+                    
+                    if (backend.getCurrentUser().uid !== actor.userId) {
+                        return typedFailure('invalid_actor', 'Admin changes must be made as the signed-in admin');
+                    }
+                }
+                
+                if (!bookingLifecycle.canTransition(booking.status, nextStatus)) {
+                    return typedFailure('invalid_transition',
+                        `A ${booking.status} booking cannot be marked ${nextStatus}`);
+                }
+                
+                if (!bookingLifecycle.canTransition(booking.status, nextStatus, actor.role)) {
+                    return typedFailure('forbidden', `Only an admin can mark a booking ${nextStatus}`);
+                }
+                
+                const releasesSlot = bookingLifecycle.openStatuses.includes(booking.status) &&
+                    !bookingLifecycle.openStatuses.includes(nextStatus);
+                
+                let slotDoc = null;
+                let stationDoc = null;
+                
+                if (releasesSlot && booking.slotId) {
+                    slotDoc = await transaction.get('chargingSlots', booking.slotId);
+                    stationDoc = await transaction.get('chargingStations', booking.stationId);
+                }
+                
+                const now = clockNow();
+                const update = {
+                    status: nextStatus,
+                    statusHistory: [...(booking.statusHistory || []), {
+                        from: booking.status,
+                        to: nextStatus,
+                        actorId: actor.userId,
+                        actorRole: actor.role,
+                        reason: details.reason || null,
+                        at: now
+                    }],
+                    updatedAt: backend.serverTimestamp()
+                };
+                
+                if (nextStatus === 'in_progress') {
+                    update.actualStartTime = new Date(now);
+                }
+                
+                if (nextStatus === 'completed') {
+                    const startedMs = toMillis(booking.actualStartTime) || toMillis(booking.startTime) || now;
+                    update.actualEndTime = new Date(now);
+                    update.actualDuration = Math.max(Math.round((now - startedMs) / 60000), 0);
+                    update.energyDelivered = Number(details.energyDeliveredKwh) || 0;
+                    
+                    const tariff = (slotDoc && slotDoc.data.tariff) || (stationDoc && stationDoc.data.tariff);
+                    
+                    if (tariff) {
+                        update.costBreakdown = PricingEngine.finalize(tariff, {
+                            actualStartTime: startedMs,
+                            actualDuration: update.actualDuration,
+                            energyKwh: update.energyDelivered,
+                            idleMinutes: Number(details.idleMinutes) || 0
+                        });
+                        update.totalCost = update.costBreakdown.total;
+                    }
+                }
+                
+                if (nextStatus === 'cancelled') {
+                    update.cancellationReason = details.reason || null;
+                }
+                
+                transaction.update('bookings', bookingId, update);
+                
+                // Admin changes are audited in the same commit as the change itself
+                if (actor.role === 'admin') {
+                    transaction.set('auditLogs', backend.newId('auditLogs'),
+                        auditEntry(`booking.${nextStatus}`, 'bookings', bookingId, auditChanges(booking, update), booking.stationId));
+                }
+                
+                if (slotDoc) {
+                    const remaining = (slotDoc.data.reservations || [])
+                        .filter(reservation => reservation.bookingId !== bookingId);
+                    const isAvailable = !slotHeldAt(remaining, now);
+                    
+                    transaction.update('chargingSlots', booking.slotId, {
+                        reservations: remaining,
+                        isAvailable: isAvailable,
+                        updatedAt: backend.serverTimestamp()
+                    });
+                    
+                    // Only hand a slot back to the station once nothing else holds it right now
+                    const availableSlots = stationDoc
+                        ? availableSlotsAfter(stationDoc.data, slotDoc.data.isAvailable !== false, isAvailable)
+                        : null;
+                    if (availableSlots !== null) {
+                        transaction.update('chargingStations', booking.stationId, {
+                            availableSlots: availableSlots,
+                            updatedAt: backend.serverTimestamp()
+                        });
+                    }
+                }
+                
+                return {
+                    success: true,
+                    bookingId: bookingId,
+                    status: nextStatus,
+                    actualDuration: update.actualDuration,
+                    totalCost: update.totalCost
+                };
+            });
+        } catch (error) {
+            console.error('Update booking status error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Cancel a booking (users may cancel their own pending or confirmed bookings)
+     */
+    cancelBooking: async (bookingId, actor, reason = null) => {
+        return dbMethods.updateBookingStatus(bookingId, 'cancelled', actor, { reason });
+    },
+    
+    /**
+     * Confirm a pending booking (admin)
+     */
+    confirmBooking: async (bookingId, actor) => {
+        return dbMethods.updateBookingStatus(bookingId, 'confirmed', actor);
+    },
+    
+    /**
+     * Start charging for a confirmed booking (admin)
+     */
+    startBooking: async (bookingId, actor) => {
+        return dbMethods.updateBookingStatus(bookingId, 'in_progress', actor);
+    },
+    
+    /**
+     * Mark a confirmed booking whose driver never arrived (admin)
+     */
+    markNoShow: async (bookingId, actor, reason = null) => {
+        return dbMethods.updateBookingStatus(bookingId, 'no_show', actor, { reason });
+    },
+    
+    /**
+     * Complete an in-progress booking and record its actual duration and final cost (admin)
+     * `session` carries the meter readings: `{ energyDeliveredKwh, idleMinutes }`.
+     */
+    completeBooking: async (bookingId, actor, session = {}) => {
+        return dbMethods.updateBookingStatus(bookingId, 'completed', actor, session);
+    },
+    
+    /**
+     * Itemized cost estimate for a prospective booking, before it is made
+     */
+    estimateBookingCost: async (stationId, slotId, startTime, endTime) => {
+        try {
+            const backend = getBackend();
+            const PricingEngine = requireShared('PricingEngine', '../js/booking/pricing-engine.js');
+            
+            const [stationDoc, slotDoc] = await Promise.all([
+                backend.getDoc('chargingStations', stationId),
+                backend.getDoc('chargingSlots', slotId)
+            ]);
+            
+            if (!stationDoc || !slotDoc) {
+                return typedFailure('slot_not_found', 'The selected charging slot does not exist');
+            }
+            
+            const tariff = slotDoc.data.tariff || stationDoc.data.tariff;
+            if (!tariff) {
+                return typedFailure('no_tariff', 'Pricing is not configured for this station');
+            }
+            
+            return {
+                success: true,
+                estimate: PricingEngine.estimate(tariff, {
+                    startTime: toMillis(startTime),
+                    endTime: toMillis(endTime),
+                    maxPower: slotDoc.data.maxPower
+                })
+            };
+        } catch (error) {
+            console.error('Estimate cost error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+    
+    /**
+     * Subscribe to live updates for one station and its active slots
+     * The callback receives `{ success, station, slots }` (or `{ success: false, error }`)
+     * every time either changes. Returns an unsubscribe function.
+     */
+    subscribeToStation: (stationId, callback) => {
+        return listenToAll([
+            { collection: 'chargingStations', id: stationId },
+            {
+                collection: 'chargingSlots',
+                query: {
+                    where: [['stationId', '==', stationId], ['isActive', '==', true]],
+                    orderBy: [['slotNumber']]
+                }
+            }
+        ], ([stationDoc, slotDocs]) => {
+            if (!stationDoc) {
+                callback(typedFailure('station_not_found', 'Charging station not found'));
+                return;
+            }
+            
+            callback({
+                success: true,
+                station: { stationId: stationDoc.id, ...stationDoc.data },
+                slots: slotDocs.map(doc => ({ slotId: doc.id, ...doc.data }))
+            });
+        }, (error) => {
+            console.error('Station subscription error:', error);
+            callback({ success: false, error: error.message });
+        });
+    },
+    
+    /**
+     * Subscribe to live updates for active stations within a radius
+     * Uses the same geohash cells as getNearbyStations; the callback receives
+     * `{ success, stations }` sorted by distance. Returns an unsubscribe function.
+     */
+    subscribeToNearbyStations: (latitude, longitude, radiusKm, callback) => {
+        const targets = nearbyStationQueries(latitude, longitude, radiusKm)
+            .map(spec => ({ collection: 'chargingStations', query: spec }));
+        
+        return listenToAll(targets, (results) => {
+            callback({
+                success: true,
+                stations: stationsWithinRadius(results, latitude, longitude, radiusKm)
+            });
+        }, (error) => {
+            console.error('Nearby stations subscription error:', error);
+            callback({ success: false, error: error.message });
+        });
+    },
+    
+    /**
+     * Subscribe to live updates of a user's bookings, newest first
+     * The callback receives `{ success, bookings }`. Returns an unsubscribe function.
+     * Drivers follow their own bookings; anyone else needs users:read, and is
+     * sent the failure instead of a listener.
+     */
+    subscribeToUserBookings: (userId, callback) => {
+        let unsubscribe = null;
+        let cancelled = false;
+        
+        requireSelfOrAdmin(userId, 'users:read').then((accessError) => {
+            if (cancelled) return;
+            if (accessError) {
+                callback(accessError);
+                return;
+            }
+            
+            unsubscribe = listenToUserBookings(userId, callback);
+        }, (error) => {
+            console.error('Bookings subscription error:', error);
+            callback({ success: false, error: error.message });
+        });
+        
+        return () => {
+            cancelled = true;
+            if (unsubscribe) unsubscribe();
+        };
+    }
+};
+
+/**
+ * Current time from the active backend, so a test clock also drives TOTP checks
+ */
+function clockNow() {
+    const backend = getBackend();
+    return typeof backend.now === 'function' ? backend.now() : Date.now();
+}
+
+/**
+ * Record the admin's lastLogin and build the adminSignIn success result
+ */
+async function completeAdminSignIn(user, adminCheck, mfaVerified) {
+    const backend = getBackend();
+    
+    // Only a fully completed sign-in clears the failure count, so a known
+    // password does not buy unlimited two-step code guesses
+    getLoginThrottle().recordSuccess(user.email);
+    
+    try {
+        await backend.updateDoc('adminUsers', user.uid, {
+            lastLogin: backend.serverTimestamp()
+        });
+    } catch (error) {
+        // A missed lastLogin stamp should not lock an admin out
+        console.error('Admin last login update error:', error);
+    }
+    
+    return {
+        success: true,
+        user: user,
+        role: adminCheck.role,
+        permissions: adminCheck.permissions || [],
+        stationIds: adminCheck.stationIds || null,
+        mfaRequired: Boolean(adminCheck.mfaRequired),
+        mfaEnabled: Boolean(adminCheck.mfaEnabled),
+        mfaVerified: mfaVerified
+    };
+}
+
+/**
+ * Check the signed-in admin's own adminUsers record before an admin action
+ * Returns null when allowed, otherwise a typed failure. The record is read
+ * from the backend (through `transaction` when given), never from the
+ * session in localStorage, so an edited session grants nothing.
+ */
+async function requireAdminPermission(permission, stationId = null, transaction = null) {
+    const backend = getBackend();
+    const user = backend.getCurrentUser();
+    if (!user) {
+        return typedFailure('not_signed_in', 'Please sign in as an admin');
+    }
+    
+    const adminDoc = transaction
+        ? await transaction.get('adminUsers', user.uid)
+        : await backend.getDoc('adminUsers', user.uid);
+    
+    if (!adminDoc || adminDoc.data.isActive === false) {
+        return typedFailure('forbidden', 'Admin access required', { permission });
+    }
+    
+    // Knowing the password is not enough: this sign-in itself must have passed two-step verification
+    if (requiresMfa(adminDoc.data)) {
+        const mfaDoc = transaction
+            ? await transaction.get('adminMfa', user.uid)
+            : await backend.getDoc('adminMfa', user.uid);
+        const authTime = await backend.getAuthTime();
+        
+        if (!mfaDoc || authTime === null || !(mfaDoc.data.verifiedSessions || []).includes(authTime)) {
+            return typedFailure('mfa_required', 'Complete two-step verification to continue');
+        }
+    }
+    
+    if (!adminRoles.allows(adminDoc.data, permission, stationId)) {
+        return typedFailure('forbidden', stationId !== null && adminRoles.allows(adminDoc.data, permission)
+            ? 'You do not have access to this station'
+            : 'Your admin role does not allow this', { permission, stationId });
+    }
+    
+    return null;
+}
+
+/**
+ * Check that a driver's own data is reached by that driver, or by an admin holding `permission`
+ * Returns null when allowed, otherwise a typed failure.
+ */
+async function requireSelfOrAdmin(userId, permission) {
+    const user = getBackend().getCurrentUser();
+    if (!user) {
+        return typedFailure('not_signed_in', 'Please sign in again to continue');
+    }
+    
+    return user.uid === userId ? null : requireAdminPermission(permission);
+}
+
+/**
+ * Whether an admin record needs two-step verification; once enrolled, an admin always signs in with a code
+ */
+function requiresMfa(admin) {
+    return admin.mfaRequired === true || admin.mfaEnabled === true;
+}
+
+/**
+ * An adminMfa record's verifiedSessions with the signed-in session added
+ * Sessions are told apart by the auth time of their password sign-in, which
+ * the backend vouches for (the ID token's auth_time on Firebase).
+ */
+async function mfaVerifiedSessions(mfa) {
+    const authTime = await getBackend().getAuthTime();
+    return [...(mfa.verifiedSessions || []).filter(time => time !== authTime), authTime]
+        .slice(-MFA_SESSION_LIMIT);
+}
+
+// Devices an admin can stay verified on at once
+const MFA_SESSION_LIMIT = 5;
+
+/**
+ * Check the signed-in user's password again before a sensitive change
+ * Returns null when it matches, otherwise a failure on `currentPassword`.
+ */
+async function confirmCurrentPassword(password) {
+    try {
+        await getBackend().reauthenticate(password);
+        return null;
+    } catch (error) {
+        const code = ['auth/wrong-password', 'auth/invalid-credential'].includes(error.code)
+            ? 'auth/wrong-password'
+            : error.code;
+        return typedFailure(code || 'auth/internal-error', error.message, { field: 'currentPassword' });
+    }
+}
+
+/**
+ * Booking update that detaches a deleted driver from their booking history
+ * The driver's own free-text reasons are dropped since they may name them.
+ */
+function anonymizedBooking(booking, userId, backend) {
+    const keepReason = (reason) => (reason === ACCOUNT_DELETED_REASON ? reason : null);
+    const cancelledByDriver = (booking.statusHistory || [])
+        .some(entry => entry.to === 'cancelled' && entry.actorId === userId);
+    
+    return {
+        userId: DELETED_USER_ID,
+        statusHistory: (booking.statusHistory || []).map(entry => (
+            entry.actorId === userId
+                ? { ...entry, actorId: DELETED_USER_ID, reason: keepReason(entry.reason) }
+                : entry
+        )),
+        cancellationReason: cancelledByDriver ? keepReason(booking.cancellationReason) : (booking.cancellationReason || null),
+        anonymizedAt: backend.serverTimestamp(),
+        updatedAt: backend.serverTimestamp()
+    };
+}
+
+// Stands in for the driver on bookings kept after an account is deleted
+const DELETED_USER_ID = 'deleted-user';
+const ACCOUNT_DELETED_REASON = 'Account deleted';
+
+/**
+ * The app-wide password rules
+ */
+function getPasswordPolicy() {
+    return requireShared('PasswordPolicy', '../js/auth/password-policy.js').default;
+}
+
+/**
+ * Failure for a new password that breaks the policy
+ */
+function passwordPolicyFailure(passwordCheck, field) {
+    return typedFailure('password_policy', passwordCheck.message, {
+        field: field,
+        failures: passwordCheck.failures
+    });
+}
+
+/**
+ * Auth errors that count as a wrong guess for the login throttle
+ */
+const LOGIN_FAILURE_CODES = [
+    'auth/wrong-password',
+    'auth/user-not-found',
+    'auth/invalid-credential',
+    'auth/invalid-login-credentials'
+];
+
+let loginThrottle = null;
+
+/**
+ * Shared failed sign-in tracker for this page
+ */
+function getLoginThrottle() {
+    if (!loginThrottle) {
+        const LoginThrottle = requireShared('LoginThrottle', '../js/auth/login-throttle.js');
+        loginThrottle = new LoginThrottle();
+    }
+    return loginThrottle;
+}
+
+/**
+ * Failure for a sign-in attempted while the email is delayed or locked out
+ */
+function throttledFailure(status) {
+    return status.reason === 'locked'
+        ? typedFailure('login_locked', 'Too many failed sign-in attempts. Try again later.', { retryAt: status.retryAt, locked: true })
+        : typedFailure('login_throttled', 'Please wait before trying again', { retryAt: status.retryAt, locked: false });
+}
+
+/**
+ * Count a failed admin sign-in step and log it as a security event
+ * Returns `failure` with the resulting `retryAt` and `locked` added.
+ */
+async function recordAdminLoginFailure(email, userId, type, reason, failure) {
+    const next = getLoginThrottle().recordFailure(email, clockNow());
+    const locked = next.reason === 'locked';
+    
+    await logSecurityEvent(type, { email: email, userId: userId, reason: reason, retryAt: next.retryAt });
+    if (locked) {
+        await logSecurityEvent('login_locked', { email: email, userId: userId, reason: reason, retryAt: next.retryAt });
+    }
+    
+    return { ...failure, retryAt: next.retryAt || null, locked: locked };
+}
+
+/**
+ * Reject a two-step code; a lockout also ends the half-finished sign-in
+ */
+async function rejectMfaCode(user, message) {
+    const failure = await recordAdminLoginFailure(user.email, user.uid, 'mfa_failed', 'mfa_invalid_code',
+        typedFailure('mfa_invalid_code', message, { field: 'code' }));
+    
+    if (failure.locked) {
+        await authMethods.signOut();
+        return { ...failure, code: 'login_locked', error: 'Too many failed sign-in attempts. Try again later.' };
+    }
+    return failure;
+}
+
+/**
+ * Append to the securityEvents collection; logging never blocks a sign-in
+ */
+async function logSecurityEvent(type, details = {}) {
+    const backend = getBackend();
+    
+    try {
+        await backend.addDoc('securityEvents', {
+            type: type,
+            email: details.email ? String(details.email).trim().toLowerCase() : null,
+            userId: details.userId || null,
+            reason: details.reason || null,
+            retryAt: details.retryAt ? new Date(details.retryAt) : null,
+            userAgent: typeof navigator !== 'undefined' && navigator.userAgent ? navigator.userAgent : null,
+            createdAt: backend.serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Security event log error:', error);
+    }
+}
+
+/**
+ * Fields of `after` that differ from `before`, as `{ field: { before, after } }`
+ * Pass `before` as null for a new document. Bookkeeping fields are skipped.
+ */
+function auditChanges(before, after) {
+    const changes = {};
+    
+    Object.keys(after || {})
+        .filter(field => !AUDIT_IGNORED_FIELDS.includes(field))
+        .forEach(field => {
+            const previous = before && before[field] !== undefined ? before[field] : null;
+            const next = after[field] !== undefined ? after[field] : null;
+            
+            if (JSON.stringify(toExportValue(previous)) !== JSON.stringify(toExportValue(next))) {
+                changes[field] = { before: previous, after: next };
+            }
+        });
+    
+    return changes;
+}
+
+const AUDIT_IGNORED_FIELDS = ['createdAt', 'updatedAt', 'statusHistory', 'reservations'];
+
+/**
+ * Build an auditLogs entry for a change made by the signed-in admin
+ */
+function auditEntry(action, targetCollection, targetId, changes, stationId = null) {
+    const backend = getBackend();
+    const user = backend.getCurrentUser();
+    
+    return {
+        action: action,
+        actorId: user ? user.uid : null,
+        actorEmail: user && user.email ? user.email.toLowerCase() : null,
+        targetCollection: targetCollection,
+        targetId: targetId,
+        stationId: stationId,
+        changes: changes,
+        createdAt: backend.serverTimestamp()
+    };
+}
+
+/**
+ * Commit an admin write together with its audit entry
+ * `write(transaction)` makes the change and may be async to read first; the
+ * entry goes into the same transaction, so neither is kept without the other.
+ */
+async function writeWithAudit(write, action, targetCollection, targetId, changes, stationId = null) {
+    const backend = getBackend();
+    
+    await backend.runTransaction(async (transaction) => {
+        await write(transaction);
+        transaction.set('auditLogs', backend.newId('auditLogs'),
+            auditEntry(action, targetCollection, targetId, changes, stationId));
+    });
+}
+
+/**
+ * Query spec for the user search filters `{ email, phone, vehicleType }`
+ * Firestore allows a range on one field only, and results must be ordered by it.
+ */
+function userSearchQuery(filters = {}) {
+    const where = filters.vehicleType ? [['vehicleType', '==', filters.vehicleType]] : [];
+    const prefixField = filters.phone ? 'phone' : 'email';
+    const prefix = filters.phone
+        ? String(filters.phone).trim()
+        : String(filters.email || '').trim().toLowerCase();
+    
+    if (prefix) {
+        where.push([prefixField, '>=', prefix], [prefixField, '<=', prefix + '\uf8ff']);
+    }
+    
+    return {
+        where: where,
+        orderBy: [[prefixField, 'asc']]
+    };
+}
+
+/**
+ * Query spec for the audit log filters `{ action, actorEmail, targetCollection, targetId, since, until }`
+ */
+function auditLogQuery(filters = {}) {
+    const where = ['action', 'actorEmail', 'targetCollection', 'targetId']
+        .filter(field => filters[field])
+        .map(field => [field, '==', field === 'actorEmail' ? String(filters[field]).trim().toLowerCase() : filters[field]]);
+    
+    if (filters.since) where.push(['createdAt', '>=', new Date(toMillis(filters.since))]);
+    if (filters.until) where.push(['createdAt', '<=', new Date(toMillis(filters.until))]);
+    
+    return {
+        where: where,
+        orderBy: [['createdAt', 'desc']]
+    };
+}
+
+/**
+ * Build a typed failure the UI can branch on via `code`
+ */
+function typedFailure(code, message, details = {}) {
+    return {
+        success: false,
+        code: code,
+        error: message,
+        ...details
+    };
+}
+
+/**
+ * Validate caller data for a write against databaseSchema and schemaRules
+ * Unknown and managed fields are stripped rather than rejected. With
+ * `partial` (updates) only the fields present are checked, and dotted keys
+ * address nested fields as they do in updateDoc. Returns the cleaned `data`,
+ * `fieldErrors` keyed by field path (empty when valid) and the `stripped` paths.
+ */
+function validateDocument(collectionName, input, options = {}) {
+    const schema = databaseSchema[collectionName];
+    const rules = schemaRules[collectionName];
+    const result = { data: {}, fieldErrors: {}, stripped: [] };
+    
+    Object.entries(input || {}).forEach(([key, value]) => {
+        const fieldSchema = options.partial
+            ? key.split('.').reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), schema)
+            : schema[key];
+        
+        if (fieldSchema === undefined || rules.managed.includes(key.split('.')[0])) {
+            result.stripped.push(key);
+            return;
+        }
+        
+        // Firestore rejects undefined values, so treat them as absent
+        if (value === undefined) return;
+        
+        const cleaned = validateField(key, value, fieldSchema, rules, result.fieldErrors);
+        if (cleaned !== undefined) {
+            result.data[key] = cleaned;
+        }
+    });
+    
+    rules.required.forEach(path => {
+        const parentPath = path.split('.').slice(0, -1).join('.');
+        const parentWritten = parentPath && (parentPath in result.data || getPath(result.data, parentPath) !== undefined);
+        
+        // Updates only check what they write (undefined counts as not written); nested fields only count when their parent is written
+        const inScope = options.partial ? ((input || {})[path] !== undefined || parentWritten) : (!parentPath || parentWritten);
+        if (!inScope || result.fieldErrors[path] || result.fieldErrors[parentPath]) return;
+        
+        const value = path in result.data ? result.data[path] : getPath(result.data, path);
+        const missing = value === undefined || value === null ||
+            (typeof value === 'string' && !value.trim()) ||
+            (Array.isArray(value) && value.length === 0);
+        
+        if (missing) {
+            result.fieldErrors[path] = 'This field is required';
+        }
+    });
+    
+    return result;
+}
+
+/**
+ * Check one value against its schema node; records errors and returns the cleaned value
+ */
+function validateField(path, value, fieldSchema, rules, fieldErrors) {
+    if (value === null) {
+        return null;
+    }
+    
+    if (Array.isArray(fieldSchema)) {
+        if (!Array.isArray(value)) {
+            fieldErrors[path] = 'Must be a list';
+            return undefined;
+        }
+        return value.map((item, index) => validateField(`${path}.${index}`, item, fieldSchema[0], rules, fieldErrors));
     }
-};
+    
+    if (isPlainObject(fieldSchema)) {
+        if (!isPlainObject(value)) {
+            fieldErrors[path] = 'Must be an object';
+            return undefined;
+        }
+        
+        const cleaned = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            if (fieldSchema[key] === undefined || entry === undefined) return;
+            const cleanedEntry = validateField(`${path}.${key}`, entry, fieldSchema[key], rules, fieldErrors);
+            if (cleanedEntry !== undefined) cleaned[key] = cleanedEntry;
+        });
+        return cleaned;
+    }
+    
+    const typeChecks = {
+        string: entry => typeof entry === 'string',
+        number: entry => typeof entry === 'number' && Number.isFinite(entry),
+        boolean: entry => typeof entry === 'boolean',
+        timestamp: entry => entry instanceof Date ? !Number.isNaN(entry.getTime()) : Boolean(entry && typeof entry.toMillis === 'function'),
+        object: entry => isPlainObject(entry)
+    };
+    
+    if (!typeChecks[fieldSchema](value)) {
+        fieldErrors[path] = `Must be a ${fieldSchema}`;
+        return undefined;
+    }
+    
+    const allowed = rules.enums[path];
+    if (allowed && !allowed.includes(value)) {
+        fieldErrors[path] = `Must be one of: ${allowed.join(', ')}`;
+        return undefined;
+    }
+    
+    return value;
+}
+
+/**
+ * Typed failure for a write that failed validateDocument
+ */
+function validationFailure(fieldErrors) {
+    return typedFailure('validation_failed', 'Some fields are missing or invalid', {
+        fieldErrors: fieldErrors
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function getPath(data, path) {
+    return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+/**
+ * Failure for a slot charging type the station does not offer, or null when it is offered
+ */
+function slotChargingTypeError(station, chargingType) {
+    const offered = station.chargingTypes || [];
+    if (!offered.includes(chargingType)) {
+        return typedFailure('invalid_charging_type', 
+            `Charging type must be one of: ${offered.join(', ') || 'none configured for this station'}`);
+    }
+    return null;
+}
+
+/**
+ * Shift a station's totalSlots and availableSlots as one of its slots is added or retired
+ * Transactions can't run queries, so the counters move by the slot's delta
+ * inside the caller's transaction instead of being recounted afterwards.
+ * Reads the station, so call it before the transaction's writes.
+ */
+async function adjustStationSlotCounts(transaction, stationId, totalDelta, availableDelta) {
+    const stationDoc = await transaction.get('chargingStations', stationId);
+    if (!stationDoc) return;
+    
+    const station = stationDoc.data;
+    const totalSlots = Math.max((station.totalSlots || 0) + totalDelta, 0);
+    
+    transaction.update('chargingStations', stationId, {
+        totalSlots: totalSlots,
+        availableSlots: Math.min(Math.max((station.availableSlots || 0) + availableDelta, 0), totalSlots),
+        updatedAt: getBackend().serverTimestamp()
+    });
+}
+
+/**
+ * Attach live listeners to several documents or queries at once
+ * Targets are `{ collection, id }` for a document or `{ collection, query }`
+ * for a query. `onResults` fires with the latest result of every target, but
+ * only once each target has reported at least once, so callers never see
+ * partial state.
+ */
+function listenToAll(targets, onResults, onError) {
+    const backend = getBackend();
+    const latest = new Array(targets.length);
+    let reported = 0;
+    
+    const unsubscribers = targets.map((target, index) => {
+        const onNext = (result) => {
+            if (latest[index] === undefined) reported++;
+            latest[index] = result;
+            
+            if (reported === targets.length) {
+                onResults([...latest]);
+            }
+        };
+        
+        return target.id !== undefined
+            ? backend.subscribeDoc(target.collection, target.id, onNext, onError)
+            : backend.subscribeQuery(target.collection, target.query, onNext, onError);
+    });
+    
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * Live listener behind dbMethods.subscribeToUserBookings, once access is checked
+ */
+function listenToUserBookings(userId, callback) {
+    return listenToAll([
+        {
+            collection: 'bookings',
+            query: {
+                where: [['userId', '==', userId]],
+                orderBy: [['bookingDate', 'desc']]
+            }
+        }
+    ], ([bookingDocs]) => {
+        callback({
+            success: true,
+            bookings: bookingDocs.map(doc => ({ bookingId: doc.id, ...doc.data }))
+        });
+    }, (error) => {
+        console.error('Bookings subscription error:', error);
+        callback({ success: false, error: error.message });
+    });
+}
+
+/**
+ * One station query per geohash cell covering a search circle
+ */
+function nearbyStationQueries(latitude, longitude, radiusKm) {
+    return geohashQueryBounds(latitude, longitude, radiusKm).map(([start, end]) => ({
+        where: [
+            ['isActive', '==', true],
+            ['geohash', '>=', start],
+            ['geohash', '<=', end]
+        ],
+        orderBy: [['geohash']]
+    }));
+}
+
+/**
+ * Merge per-cell station results, keep those inside the radius, nearest first
+ */
+function stationsWithinRadius(cellResults, latitude, longitude, radiusKm) {
+    // Neighbouring cells can return the same station, so key by id
+    const stationsById = new Map();
+    
+    cellResults.forEach(docs => {
+        docs.forEach(doc => {
+            const station = doc.data;
+            if (!station.location || stationsById.has(doc.id)) return;
+            
+            const distance = calculateDistance(
+                latitude, longitude,
+                station.location.latitude, station.location.longitude
+            );
+            
+            if (distance <= radiusKm) {
+                stationsById.set(doc.id, {
+                    stationId: doc.id,
+                    ...station,
+                    distance: distance
+                });
+            }
+        });
+    });
+    
+    return [...stationsById.values()].sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Add the slot and tariff details station search filters on
+ * `maxPower` is the strongest active slot, `freeSlotsNow` counts active slots
+ * with no reservation covering this moment and `currentPrice` is the per-kWh
+ * rate in force now, or null when the station has no tariff.
+ */
+async function withSearchDetails(stations, now = clockNow()) {
+    const PricingEngine = requireShared('PricingEngine', '../js/booking/pricing-engine.js');
+    const backend = getBackend();
+    const stationIds = stations.map(station => station.stationId);
+    
+    const slotDocs = (await Promise.all(inFilterChunks(stationIds).map(ids => backend.queryDocs('chargingSlots', {
+        where: [['stationId', 'in', ids], ['isActive', '==', true]]
+    })))).flat();
+    
+    return stations.map(station => {
+        const slots = slotDocs.filter(doc => doc.data.stationId === station.stationId).map(doc => doc.data);
+        const freeSlots = slots.filter(slot => !slotHeldAt(slot.reservations || [], now));
+        
+        return {
+            ...station,
+            maxPower: Math.max(0, ...slots.map(slot => slot.maxPower || 0)),
+            freeSlotsNow: freeSlots.length,
+            currentPrice: station.tariff
+                ? PricingEngine.ratesAt(station.tariff, PricingEngine.minuteOfDay(station.tariff, now)).perKwh
+                : null
+        };
+    });
+}
+
+/**
+ * Normalize Firestore Timestamps, Dates, ISO strings and epoch numbers to milliseconds
+ */
+function toMillis(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    
+    const millis = typeof value === 'number' ? value : new Date(value).getTime();
+    return Number.isNaN(millis) ? null : millis;
+}
+
+/**
+ * Check whether two half-open time ranges [start, end) overlap
+ */
+function timeRangesOverlap(startA, endA, startB, endB) {
+    return startA < endB && startB < endA;
+}
+
+/**
+ * Check whether any of a slot's reservations covers the given moment
+ */
+function slotHeldAt(reservations, now) {
+    return reservations.some(reservation => reservation.startTime <= now && now < reservation.endTime);
+}
+
+/**
+ * A station's availableSlots after one of its slots changes availability, or null when it doesn't change
+ * The counter tracks slots that no reservation holds right now.
+ */
+function availableSlotsAfter(station, wasAvailable, isAvailable) {
+    if (wasAvailable === isAvailable) {
+        return null;
+    }
+    
+    const availableSlots = (station.availableSlots || 0) + (isAvailable ? 1 : -1);
+    return Math.min(Math.max(availableSlots, 0), station.totalSlots || Infinity);
+}
+
+const PAGE_SIZE_LIMIT = 50; // matches the query limit in deployment-config.js
+
+/**
+ * Fetch one page of a query
+ * Pages are ordered by the spec's orderBy plus the document id, so documents
+ * sharing a sort value are never skipped or repeated. Returns
+ * `{ docs, nextCursor }`, with a null cursor on the last page, or null when
+ * `options.cursor` does not belong to this query.
+ */
+async function queryPage(collectionName, spec, options = {}) {
+    const ordering = pageOrdering(spec);
+    const pageSize = pageSizeFor(options);
+    const pageSpec = { ...spec, orderBy: ordering, limit: pageSize + 1 };
+    
+    if (options.cursor) {
+        const startAfter = decodeCursor(options.cursor);
+        if (!startAfter || startAfter.length !== ordering.length) return null;
+        pageSpec.startAfter = startAfter;
+    }
+    
+    // One extra document tells us whether another page follows
+    const docs = await getBackend().queryDocs(collectionName, pageSpec);
+    const pageDocs = docs.slice(0, pageSize);
+    
+    return {
+        docs: pageDocs,
+        nextCursor: docs.length > pageSize ? pageCursor(ordering, pageDocs[pageDocs.length - 1]) : null
+    };
+}
+
+/**
+ * queryPage for a query limited to documents whose `field` is one of `values`
+ * Firestore caps `in` filters at 30 values, so each chunk of values is paged
+ * with the same cursor and the pages are merged back into one.
+ */
+async function queryPageIn(collectionName, field, values, spec, options = {}) {
+    const pages = await Promise.all(inFilterChunks(values).map(chunk => queryPage(collectionName, {
+        ...spec,
+        where: [[field, 'in', chunk], ...(spec.where || [])]
+    }, options)));
+    
+    if (pages.some(page => !page)) return null;
+    if (pages.length === 1) return pages[0];
+    
+    const ordering = pageOrdering(spec);
+    const pageSize = pageSizeFor(options);
+    const docs = pages.flatMap(page => page.docs).sort((a, b) => compareInOrder(a, b, ordering));
+    const pageDocs = docs.slice(0, pageSize);
+    const hasMore = docs.length > pageSize || pages.some(page => page.nextCursor !== null);
+    
+    return {
+        docs: pageDocs,
+        nextCursor: hasMore ? pageCursor(ordering, pageDocs[pageDocs.length - 1]) : null
+    };
+}
+
+/**
+ * Split values into groups small enough for a Firestore `in` filter
+ */
+function inFilterChunks(values) {
+    const chunks = [];
+    for (let index = 0; index < values.length; index += 30) {
+        chunks.push(values.slice(index, index + 30));
+    }
+    return chunks;
+}
+
+/**
+ * A query's orderBy plus the document id as the final tie-breaker
+ */
+function pageOrdering(spec) {
+    const ordering = [...(spec.orderBy || [])];
+    const lastDirection = ordering.length ? (ordering[ordering.length - 1][1] || 'asc') : 'asc';
+    ordering.push(['__name__', lastDirection]);
+    return ordering;
+}
+
+/**
+ * Requested page size, clamped to 1..PAGE_SIZE_LIMIT
+ */
+function pageSizeFor(options) {
+    return Math.min(Math.max(parseInt(options.pageSize, 10) || PAGE_SIZE_LIMIT, 1), PAGE_SIZE_LIMIT);
+}
+
+/**
+ * Cursor that continues a query after `doc`
+ */
+function pageCursor(ordering, doc) {
+    return encodeCursor(ordering.map(([field]) => (field === '__name__' ? doc.id : doc.data[field])));
+}
+
+/**
+ * Compare two documents the way a query with this ordering returns them
+ */
+function compareInOrder(a, b, ordering) {
+    const sortValue = (doc, field) => {
+        if (field === '__name__') return doc.id;
+        const value = doc.data[field];
+        return value instanceof Date || (value && typeof value.toMillis === 'function') ? toMillis(value) : value;
+    };
+    
+    for (const [field, direction] of ordering) {
+        const left = sortValue(a, field);
+        const right = sortValue(b, field);
+        if (left !== right) {
+            return (left < right ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Fetch every document of a query, a page at a time
+ */
+async function queryAll(collectionName, spec) {
+    const docs = [];
+    let cursor = null;
+    
+    do {
+        const page = await queryPage(collectionName, spec, { cursor: cursor });
+        docs.push(...page.docs);
+        cursor = page.nextCursor;
+    } while (cursor);
+    
+    return docs;
+}
+
+/**
+ * Copy of a value with dates and timestamps as ISO strings, for JSON export
+ */
+function toExportValue(value) {
+    if (value instanceof Date || (value && typeof value.toMillis === 'function')) {
+        return new Date(toMillis(value)).toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toExportValue);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toExportValue(item)]));
+    }
+    return value;
+}
+
+/**
+ * Encode sort values as an opaque, URL-safe cursor token
+ */
+function encodeCursor(values) {
+    const serializable = values.map(value => (
+        value instanceof Date || (value && typeof value.toMillis === 'function')
+            ? { date: toMillis(value) }
+            : value
+    ));
+    return btoa(encodeURIComponent(JSON.stringify(serializable)));
+}
+
+/**
+ * Decode a cursor token back to sort values, or null when it is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(decodeURIComponent(atob(cursor)));
+        if (!Array.isArray(values)) return null;
+        
+        return values.map(value => (value && typeof value === 'object' && 'date' in value ? new Date(value.date) : value));
+    } catch (error) {
+        return null;
+    }
+}
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_PRECISION = 9; // ~5m cells, plenty for station lookups
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+/**
+ * Encode a coordinate as a base32 geohash
+ */
+function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+    const latRange = [-90, 90];
+    const lonRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let charIndex = 0;
+    let evenBit = true;
+    
+    while (hash.length < precision) {
+        // Bits alternate between longitude and latitude, longitude first
+        const range = evenBit ? lonRange : latRange;
+        const value = evenBit ? longitude : latitude;
+        const mid = (range[0] + range[1]) / 2;
+        
+        if (value >= mid) {
+            charIndex = (charIndex << 1) | 1;
+            range[0] = mid;
+        } else {
+            charIndex = charIndex << 1;
+            range[1] = mid;
+        }
+        
+        evenBit = !evenBit;
+        
+        if (++bits === 5) {
+            hash += GEOHASH_BASE32[charIndex];
+            bits = 0;
+            charIndex = 0;
+        }
+    }
+    
+    return hash;
+}
+
+/**
+ * Geohash prefix ranges whose cells together cover a search circle
+ * Picks the finest precision that covers the circle's bounding box with at
+ * most `maxCells` cells, so each search is a handful of small range queries.
+ */
+function geohashQueryBounds(latitude, longitude, radiusKm, maxCells = 9) {
+    const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+    const lonDelta = radiusKm / (KM_PER_DEGREE_LATITUDE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+    const minLat = Math.max(latitude - latDelta, -90);
+    const maxLat = Math.min(latitude + latDelta, 90);
+    
+    let precision = GEOHASH_PRECISION;
+    let cellLat;
+    let cellLon;
+    
+    for (; precision > 1; precision--) {
+        const totalBits = precision * 5;
+        cellLon = 360 / Math.pow(2, Math.ceil(totalBits / 2));
+        cellLat = 180 / Math.pow(2, Math.floor(totalBits / 2));
+        
+        const cells = (Math.ceil((maxLat - minLat) / cellLat) + 1) *
+            (Math.ceil((2 * lonDelta) / cellLon) + 1);
+        if (cells <= maxCells) break;
+    }
+    
+    if (precision === 1) {
+        cellLon = 45;
+        cellLat = 45;
+    }
+    
+    // Step a cell at a time across the box, always including the far edges
+    const steps = (min, max, size) => {
+        const points = [];
+        for (let value = min; value < max; value += size) points.push(value);
+        points.push(max);
+        return points;
+    };
+    
+    const prefixes = new Set();
+    steps(minLat, maxLat, cellLat).forEach(lat => {
+        steps(longitude - lonDelta, longitude + lonDelta, cellLon).forEach(lon => {
+            const wrappedLon = ((lon + 540) % 360) - 180;
+            prefixes.add(encodeGeohash(lat, wrappedLon, precision));
+        });
+    });
+    
+    return [...prefixes].sort().map(prefix => [prefix, prefix + '\uf8ff']);
+}
+
+/**
+ * Geohash field for a station write, or nothing when no location is given
+ */
+function stationGeohashFields(location) {
+    if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+        return {};
+    }
+    return { geohash: encodeGeohash(location.latitude, location.longitude) };
+}
+
+/**
+ * Demo seed data with each station's geohash filled in, so nearby search finds them
+ */
+function withStationGeohashes(seed) {
+    const stations = (seed.collections || {}).chargingStations || {};
+    
+    Object.values(stations).forEach(station => {
+        Object.assign(station, stationGeohashFields(station.location));
+    });
+    
+    return seed;
+}
+
+/**
+ * Location a station ends up with after a partial update, or null when the update leaves it alone
+ * A whole `location` replaces the stored one; dotted `location.*` keys change only those fields.
+ */
+function updatedStationLocation(stored, data) {
+    const dottedKeys = Object.keys(data).filter(key => key.startsWith('location.'));
+    if (!data.location && dottedKeys.length === 0) {
+        return null;
+    }
+    
+    const location = { ...(data.location || stored.location || {}) };
+    dottedKeys.forEach(key => {
+        location[key.slice('location.'.length)] = data[key];
+    });
+    return location;
+}
 
 /**
  * Helper function to calculate distance between two points
@@ -468,19 +3521,37 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
 if (typeof window !== 'undefined') {
     window.FirebaseConfig = {
         initializeFirebase,
+        initializeMemoryBackend,
+        initializeBackend,
+        getBackend,
         firebaseServices,
         databaseSchema,
+        bookingLifecycle,
+        adminRoles,
+        schemaRules,
+        validateDocument,
         authMethods,
         dbMethods
     };
+
+    // Pages only load this script, so pick a backend as soon as it runs
+    if (!firebaseServices.backend) {
+        initializeBackend();
+    }
 }
 
 // For module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         initializeFirebase,
+        initializeMemoryBackend,
+        getBackend,
         firebaseServices,
         databaseSchema,
+        bookingLifecycle,
+        adminRoles,
+        schemaRules,
+        validateDocument,
         authMethods,
         dbMethods
     };
@@ -0,0 +1,788 @@
+/**
+ * Admin Dashboard
+ * Author: MiniMax Agent
+ * Description: Today's bookings at a glance plus station and slot management
+ */
+
+class AdminDashboard {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.stations = new Map();
+        this.stationsCursor = null;
+        this.bookings = new Map();
+        this.bookingsCursor = null;
+        this.drivers = new Map();
+        this.slots = new Map();
+        this.slotStation = null;
+        this.init();
+    }
+
+    /**
+     * Initialize the admin dashboard
+     */
+    init() {
+        this.setupEventListeners();
+
+        // AuthManager records the signed-in user before this listener runs
+        window.FirebaseConfig.authMethods.onAuthStateChanged((user) => {
+            if (!user || !this.authManager.validateAuth('admin')) return;
+
+            if (this.authManager.hasPermission('stations:create')) {
+                document.getElementById('addStationButton').style.display = 'inline-flex';
+            }
+
+            if (this.authManager.hasPermission('bookings:read')) {
+                document.getElementById('bookingsSection').style.display = 'block';
+                this.loadBookings();
+            }
+
+            this.loadStations();
+        });
+
+        this.logger.info('AdminDashboard initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const forms = {
+            stationForm: this.handleStationSave.bind(this),
+            slotForm: this.handleSlotSave.bind(this)
+        };
+
+        Object.entries(forms).forEach(([formId, handler]) => {
+            const form = document.getElementById(formId);
+            if (form) {
+                form.addEventListener('submit', handler);
+            }
+        });
+
+        const buttons = {
+            addStationButton: () => this.openStationForm(null),
+            stationsLoadMore: () => this.loadStations(this.stationsCursor),
+            bookingsLoadMore: () => this.loadBookings(this.bookingsCursor),
+            refreshBookingsButton: () => this.loadBookings(),
+            slotFormReset: () => this.resetSlotForm(),
+            logoutButton: () => this.authManager.signOut()
+        };
+
+        Object.entries(buttons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        document.querySelectorAll('[data-close-panel]').forEach(button => {
+            button.addEventListener('click', () => this.hidePanels());
+        });
+
+        // Row buttons are rendered later, so listen on the table bodies
+        ['stationsTableBody', 'slotsTableBody', 'bookingsTableBody'].forEach(tbodyId => {
+            const tbody = document.getElementById(tbodyId);
+            if (tbody) {
+                tbody.addEventListener('click', (e) => {
+                    const button = e.target.closest('button[data-action]');
+                    if (button) {
+                        this.handleRowAction(button.dataset.action, button.dataset.id, button);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Load the first page of stations, or the page after `cursor`
+     */
+    async loadStations(cursor = null) {
+        const resetLoading = this.showLoading(cursor ? document.getElementById('stationsLoadMore') : null, 'Loading...');
+
+        try {
+            // Only admins who can edit stations see deactivated ones
+            const includeInactive = this.authManager.hasPermission('stations:write');
+            const result = await window.FirebaseConfig.dbMethods.getChargingStations({ cursor: cursor, includeInactive: includeInactive });
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            if (!cursor) this.stations.clear();
+            result.stations.forEach(station => this.stations.set(station.stationId, station));
+
+            this.renderStations();
+            this.renderBookings();
+            this.stationsCursor = result.nextCursor;
+            document.getElementById('stationsLoadMore').style.display = result.nextCursor ? 'inline-flex' : 'none';
+        } catch (error) {
+            this.logger.error('Station list error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Render the loaded stations with the actions this admin may take on each
+     */
+    renderStations() {
+        const tbody = document.getElementById('stationsTableBody');
+        tbody.innerHTML = '';
+
+        this.stations.forEach(station => {
+            const row = document.createElement('tr');
+            const active = station.isActive !== false;
+
+            row.appendChild(this.cell(station.name || station.stationId));
+            row.appendChild(this.cell(station.address || '—'));
+            row.appendChild(this.cell((station.chargingTypes || []).join(', ') || '—'));
+            row.appendChild(this.cell(station.chargingSpeed || '—'));
+            row.appendChild(this.cell(`${station.availableSlots || 0} / ${station.totalSlots || 0}`));
+            row.appendChild(this.cell(this.statusBadge(active ? '' : 'inactive', active ? 'Active' : 'Deactivated')));
+
+            const actions = document.createElement('div');
+            actions.className = 'admin-row-actions';
+            if (this.authManager.hasPermission('stations:write', station.stationId)) {
+                actions.appendChild(this.actionButton('Edit', 'edit-station', station.stationId, 'btn-outline'));
+                actions.appendChild(active
+                    ? this.actionButton('Deactivate', 'deactivate-station', station.stationId, 'btn-danger')
+                    : this.actionButton('Activate', 'activate-station', station.stationId, 'btn-outline'));
+            }
+            if (this.authManager.hasPermission('slots:write', station.stationId)) {
+                actions.appendChild(this.actionButton('Slots', 'manage-slots', station.stationId, 'btn-outline'));
+            }
+            row.appendChild(this.cell(actions));
+
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('stationsEmpty').style.display = this.stations.size ? 'none' : 'block';
+    }
+
+    /**
+     * Load the first page of today's bookings, or the page after `cursor`
+     */
+    async loadBookings(cursor = null) {
+        const button = document.getElementById(cursor ? 'bookingsLoadMore' : 'refreshBookingsButton');
+        const resetLoading = this.showLoading(button, 'Loading...');
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.getBookingsForDay(new Date(), { cursor: cursor });
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            if (!cursor) this.bookings.clear();
+            result.bookings.forEach(booking => this.bookings.set(booking.bookingId, booking));
+
+            await this.loadDrivers(result.bookings);
+            this.renderBookings();
+            this.bookingsCursor = result.nextCursor;
+            document.getElementById('bookingsLoadMore').style.display = result.nextCursor ? 'inline-flex' : 'none';
+        } catch (error) {
+            this.logger.error('Booking list error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Look up driver names for bookings, when this admin may read driver accounts
+     */
+    async loadDrivers(bookings) {
+        if (!this.authManager.hasPermission('users:read')) return;
+
+        const missing = [...new Set(bookings.map(booking => booking.userId))]
+            .filter(userId => userId && !this.drivers.has(userId));
+
+        // A refused or missing profile just leaves that driver unnamed
+        const profiles = await Promise.all(missing.map(userId => window.FirebaseConfig.dbMethods.getUserProfile(userId)));
+        profiles.forEach((result, index) => {
+            this.drivers.set(missing[index], result.success ? result.profile : null);
+        });
+    }
+
+    /**
+     * Render today's bookings with a count per status
+     */
+    renderBookings() {
+        const tbody = document.getElementById('bookingsTableBody');
+        const lifecycle = window.FirebaseConfig.bookingLifecycle;
+        const counts = {};
+        tbody.innerHTML = '';
+
+        this.bookings.forEach(booking => {
+            const row = document.createElement('tr');
+            const station = this.stations.get(booking.stationId);
+            const driver = this.drivers.get(booking.userId);
+            counts[booking.status] = (counts[booking.status] || 0) + 1;
+
+            row.appendChild(this.cell(`${window.evApp.formatDate(AdminDashboard.toMillis(booking.startTime), 'time')} – ${window.evApp.formatDate(AdminDashboard.toMillis(booking.endTime), 'time')}`));
+            row.appendChild(this.cell(station ? station.name : booking.stationId));
+            row.appendChild(this.cell(booking.slotId || '—'));
+            row.appendChild(this.cell(driver ? `${driver.firstName || ''} ${driver.lastName || ''}`.trim() || driver.email : booking.userId));
+            row.appendChild(this.cell(this.statusBadge(booking.status, AdminDashboard.STATUS_LABELS[booking.status] || booking.status)));
+
+            const actions = document.createElement('div');
+            actions.className = 'admin-row-actions';
+            if (this.authManager.hasPermission('bookings:write', booking.stationId)) {
+                Object.keys(lifecycle.transitions[booking.status] || {})
+                    .filter(nextStatus => lifecycle.canTransition(booking.status, nextStatus, 'admin'))
+                    .forEach(nextStatus => {
+                        const button = this.actionButton(AdminDashboard.TRANSITION_LABELS[nextStatus], 'booking-status', booking.bookingId,
+                            nextStatus === 'cancelled' ? 'btn-danger' : 'btn-outline');
+                        button.dataset.status = nextStatus;
+                        actions.appendChild(button);
+                    });
+            }
+            row.appendChild(this.cell(actions));
+
+            tbody.appendChild(row);
+        });
+
+        const summary = Object.entries(counts)
+            .map(([status, count]) => `${count} ${(AdminDashboard.STATUS_LABELS[status] || status).toLowerCase()}`)
+            .join(', ');
+        document.getElementById('bookingSummary').textContent = this.bookings.size
+            ? `${this.bookings.size} booking${this.bookings.size === 1 ? '' : 's'} today: ${summary}`
+            : 'Nothing booked for today yet';
+        document.getElementById('bookingsEmpty').style.display = this.bookings.size ? 'none' : 'block';
+    }
+
+    /**
+     * Dispatch a row button
+     */
+    async handleRowAction(action, id, button) {
+        switch (action) {
+            case 'edit-station':
+                this.openStationForm(this.stations.get(id));
+                break;
+
+            case 'deactivate-station':
+                if (window.confirm('Deactivate this station? Existing bookings are kept, but no new ones can be made.')) {
+                    await this.setStationActive(id, false);
+                }
+                break;
+
+            case 'activate-station':
+                await this.setStationActive(id, true);
+                break;
+
+            case 'manage-slots':
+                await this.openSlotsPanel(this.stations.get(id));
+                break;
+
+            case 'edit-slot':
+                this.fillSlotForm(this.slots.get(id));
+                break;
+
+            case 'retire-slot':
+                if (window.confirm('Retire this slot? It can no longer be booked.')) {
+                    await this.retireSlot(id);
+                }
+                break;
+
+            case 'booking-status':
+                await this.changeBookingStatus(this.bookings.get(id), button.dataset.status);
+                break;
+
+            default:
+                return;
+        }
+    }
+
+    /**
+     * Open the station form, empty for a new station or filled for an edit
+     */
+    openStationForm(station) {
+        this.hidePanels();
+        this.clearStationErrors();
+
+        const values = {
+            stationId: station ? station.stationId : '',
+            stationName: station ? station.name : '',
+            stationAddress: station ? station.address : '',
+            stationLatitude: station && station.location ? station.location.latitude : '',
+            stationLongitude: station && station.location ? station.location.longitude : '',
+            stationChargingTypes: station ? (station.chargingTypes || []).join(', ') : '',
+            stationSpeed: station && station.chargingSpeed ? station.chargingSpeed : 'standard',
+            stationPhone: station && station.contact ? station.contact.phone || '' : '',
+            stationEmail: station && station.contact ? station.contact.email || '' : ''
+        };
+        Object.entries(values).forEach(([inputId, value]) => {
+            document.getElementById(inputId).value = value;
+        });
+        document.getElementById('stationFormTitle').textContent = station ? `Edit ${station.name}` : 'Add Station';
+
+        const panel = document.getElementById('stationForm');
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Create or update the station in the form
+     */
+    async handleStationSave(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const stationId = formData.get('stationId');
+        const number = (name) => (formData.get(name) === '' ? undefined : Number(formData.get(name)));
+        const stationData = {
+            name: (formData.get('name') || '').trim(),
+            address: (formData.get('address') || '').trim(),
+            location: {
+                latitude: number('latitude'),
+                longitude: number('longitude')
+            },
+            chargingTypes: (formData.get('chargingTypes') || '').split(',').map(type => type.trim()).filter(Boolean),
+            chargingSpeed: formData.get('chargingSpeed'),
+            contact: {
+                phone: (formData.get('phone') || '').trim(),
+                email: (formData.get('email') || '').trim()
+            }
+        };
+
+        this.clearStationErrors();
+        const latitude = stationData.location.latitude;
+        const longitude = stationData.location.longitude;
+        if (latitude !== undefined && !(latitude >= -90 && latitude <= 90)) {
+            this.showError('stationLatitudeError', 'Latitude must be between -90 and 90');
+            return;
+        }
+        if (longitude !== undefined && !(longitude >= -180 && longitude <= 180)) {
+            this.showError('stationLongitudeError', 'Longitude must be between -180 and 180');
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('stationSaveButton'), 'Saving...');
+
+        try {
+            const dbMethods = window.FirebaseConfig.dbMethods;
+            const result = stationId
+                ? await dbMethods.updateChargingStation(stationId, stationData)
+                : await dbMethods.createChargingStation(stationData);
+
+            if (!result.success) {
+                if (result.fieldErrors) {
+                    this.showFieldErrors(result.fieldErrors, AdminDashboard.STATION_ERROR_IDS, 'stationFormError');
+                } else {
+                    this.showError('stationFormError', this.getErrorMessage(result.code, result.error));
+                }
+                return;
+            }
+
+            this.hidePanels();
+            this.showNotification(stationId ? 'Station updated' : 'Station created', 'success');
+            await this.loadStations();
+        } catch (error) {
+            this.logger.error('Station save error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Deactivate or reactivate a station
+     */
+    async setStationActive(stationId, isActive) {
+        try {
+            const result = await window.FirebaseConfig.dbMethods.updateChargingStation(stationId, { isActive: isActive });
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            this.stations.set(stationId, { ...this.stations.get(stationId), isActive: isActive });
+            this.renderStations();
+            this.showNotification(isActive ? 'Station activated' : 'Station deactivated', 'success');
+        } catch (error) {
+            this.logger.error('Station status error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Show a station's slots, retired ones included
+     */
+    async openSlotsPanel(station) {
+        this.hidePanels();
+        this.slotStation = station;
+        document.getElementById('slotsStationName').textContent = station.name;
+
+        const select = document.getElementById('slotChargingType');
+        select.innerHTML = '';
+        (station.chargingTypes || []).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            select.appendChild(option);
+        });
+
+        this.resetSlotForm();
+        await this.loadSlots();
+
+        const panel = document.getElementById('slotsPanel');
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async loadSlots() {
+        try {
+            const result = await window.FirebaseConfig.dbMethods.getStationSlots(this.slotStation.stationId, { includeRetired: true });
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            this.slots.clear();
+            result.slots.forEach(slot => this.slots.set(slot.slotId, slot));
+            this.renderSlots();
+        } catch (error) {
+            this.logger.error('Slot list error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        }
+    }
+
+    renderSlots() {
+        const tbody = document.getElementById('slotsTableBody');
+        tbody.innerHTML = '';
+
+        this.slots.forEach(slot => {
+            const row = document.createElement('tr');
+            const retired = slot.isActive === false;
+            const inUse = (slot.reservations || []).length > 0;
+
+            row.appendChild(this.cell(slot.slotNumber));
+            row.appendChild(this.cell(slot.chargingType || '—'));
+            row.appendChild(this.cell(slot.maxPower ? `${slot.maxPower} kW` : '—'));
+            row.appendChild(this.cell(this.statusBadge(retired ? 'inactive' : (inUse ? 'confirmed' : ''),
+                retired ? 'Retired' : (inUse ? 'Booked' : 'Free'))));
+
+            const actions = document.createElement('div');
+            actions.className = 'admin-row-actions';
+            if (!retired) {
+                actions.appendChild(this.actionButton('Edit', 'edit-slot', slot.slotId, 'btn-outline'));
+                actions.appendChild(this.actionButton('Retire', 'retire-slot', slot.slotId, 'btn-danger'));
+            }
+            row.appendChild(this.cell(actions));
+
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('slotsEmpty').style.display = this.slots.size ? 'none' : 'block';
+    }
+
+    fillSlotForm(slot) {
+        this.clearSlotErrors();
+        document.getElementById('slotId').value = slot.slotId;
+        document.getElementById('slotNumber').value = slot.slotNumber;
+        document.getElementById('slotChargingType').value = slot.chargingType;
+        document.getElementById('slotMaxPower').value = slot.maxPower || '';
+        document.getElementById('slotFormTitle').textContent = `Edit Slot ${slot.slotNumber}`;
+    }
+
+    resetSlotForm() {
+        this.clearSlotErrors();
+        document.getElementById('slotForm').reset();
+        document.getElementById('slotId').value = '';
+        document.getElementById('slotFormTitle').textContent = 'Add Slot';
+    }
+
+    /**
+     * Add a slot to the open station, or update the one being edited
+     */
+    async handleSlotSave(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const slotId = formData.get('slotId');
+        const slotData = {
+            slotNumber: (formData.get('slotNumber') || '').trim() || undefined,
+            chargingType: formData.get('chargingType') || undefined,
+            maxPower: formData.get('maxPower')
+        };
+
+        this.clearSlotErrors();
+        const resetLoading = this.showLoading(document.getElementById('slotSaveButton'), 'Saving...');
+
+        try {
+            const dbMethods = window.FirebaseConfig.dbMethods;
+            const result = slotId
+                ? await dbMethods.updateChargingSlot(slotId, slotData)
+                : await dbMethods.createChargingSlot(this.slotStation.stationId, slotData);
+
+            if (!result.success) {
+                if (result.fieldErrors) {
+                    this.showFieldErrors(result.fieldErrors, AdminDashboard.SLOT_ERROR_IDS, 'slotFormError');
+                } else if (result.code === 'invalid_charging_type') {
+                    this.showError('slotChargingTypeError', result.error);
+                } else {
+                    this.showError('slotFormError', this.getErrorMessage(result.code, result.error));
+                }
+                return;
+            }
+
+            this.showNotification(slotId ? 'Slot updated' : 'Slot added', 'success');
+            this.resetSlotForm();
+            await this.loadSlots();
+            await this.loadStations();
+        } catch (error) {
+            this.logger.error('Slot save error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    async retireSlot(slotId) {
+        try {
+            const result = await window.FirebaseConfig.dbMethods.retireChargingSlot(slotId);
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            this.showNotification('Slot retired', 'success');
+            await this.loadSlots();
+            await this.loadStations();
+        } catch (error) {
+            this.logger.error('Slot retire error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Move a booking along its lifecycle as the signed-in admin
+     * Completing asks for the energy delivered; cancelling asks for a reason.
+     */
+    async changeBookingStatus(booking, nextStatus) {
+        const details = {};
+
+        if (nextStatus === 'completed') {
+            const energy = window.prompt('Energy delivered (kWh)', '0');
+            if (energy === null) return;
+            details.energyDeliveredKwh = Number(energy) || 0;
+        }
+        if (nextStatus === 'cancelled') {
+            const reason = window.prompt('Reason for cancelling this booking');
+            if (reason === null) return;
+            details.reason = reason.trim() || null;
+        }
+
+        try {
+            const actor = { userId: this.authManager.getCurrentUser().uid, role: 'admin' };
+            const result = await window.FirebaseConfig.dbMethods.updateBookingStatus(booking.bookingId, nextStatus, actor, details);
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            this.bookings.set(booking.bookingId, { ...booking, status: nextStatus });
+            this.renderBookings();
+            this.showNotification(`Booking ${(AdminDashboard.STATUS_LABELS[nextStatus] || nextStatus).toLowerCase()}`, 'success');
+        } catch (error) {
+            this.logger.error('Booking status error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        }
+    }
+
+    hidePanels() {
+        ['stationForm', 'slotsPanel'].forEach(panelId => {
+            document.getElementById(panelId).style.display = 'none';
+        });
+    }
+
+    /**
+     * Show validation errors by field path, unknown paths under the form
+     */
+    showFieldErrors(fieldErrors, errorIds, fallbackId) {
+        Object.entries(fieldErrors).forEach(([path, message]) => {
+            const field = Object.keys(errorIds).find(prefix => path === prefix || path.startsWith(`${prefix}.`));
+            this.showError(field ? errorIds[field] : fallbackId, message);
+        });
+    }
+
+    clearStationErrors() {
+        [...Object.values(AdminDashboard.STATION_ERROR_IDS), 'stationFormError'].forEach(errorId => this.clearError(errorId));
+    }
+
+    clearSlotErrors() {
+        [...Object.values(AdminDashboard.SLOT_ERROR_IDS), 'slotFormError'].forEach(errorId => this.clearError(errorId));
+    }
+
+    /**
+     * Table cell holding text or an element; text is never parsed as HTML
+     */
+    cell(content) {
+        const td = document.createElement('td');
+        if (typeof content === 'string') {
+            td.textContent = content;
+        } else {
+            td.appendChild(content);
+        }
+        return td;
+    }
+
+    actionButton(label, action, id, className) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-small ${className}`;
+        button.dataset.action = action;
+        button.dataset.id = id;
+        button.textContent = label;
+        return button;
+    }
+
+    statusBadge(variant, label) {
+        const badge = document.createElement('span');
+        badge.className = `status-badge ${variant}`.trim();
+        badge.textContent = label;
+        return badge;
+    }
+
+    /**
+     * Epoch milliseconds of a Date, Firestore Timestamp or date value
+     */
+    static toMillis(value) {
+        if (value && typeof value.toMillis === 'function') return value.toMillis();
+        if (value instanceof Date) return value.getTime();
+        return new Date(value).getTime();
+    }
+
+    /**
+     * Get error message from a data method error code
+     */
+    getErrorMessage(errorCode, fallback) {
+        const errorMap = {
+            'forbidden': 'Your admin role does not allow this.',
+            'not_signed_in': 'Please sign in again to continue.',
+            'mfa_required': 'Please sign in again and enter your two-step verification code.',
+            'station_not_found': 'This station no longer exists.',
+            'slot_not_found': 'This slot no longer exists.',
+            'slot_in_use': 'This slot still has open bookings. Cancel or complete them first.',
+            'booking_not_found': 'This booking no longer exists.',
+            'invalid_transition': 'This booking has already moved on. Refresh to see its status.'
+        };
+
+        return errorMap[errorCode] || fallback || 'An error occurred. Please try again.';
+    }
+
+    /**
+     * Show individual field error
+     */
+    showError(elementId, message) {
+        const errorElement = document.getElementById(elementId);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        } else {
+            this.showNotification(message, 'error');
+        }
+    }
+
+    /**
+     * Clear field error
+     */
+    clearError(elementId) {
+        const errorElement = document.getElementById(elementId);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(buttonElement, label) {
+        if (buttonElement) {
+            const originalText = buttonElement.innerHTML;
+            buttonElement.innerHTML = `<span class="loading"></span> ${label}`;
+            buttonElement.disabled = true;
+            return () => {
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+            };
+        }
+        return () => {};
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info', duration = 5000) {
+        if (window.evApp && window.evApp.showNotification) {
+            window.evApp.showNotification(message, type, duration);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[AdminDashboard] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[AdminDashboard] ERROR: ${message}`, error || '');
+        },
+        warn: (message, data = null) => {
+            console.warn(`[AdminDashboard] WARN: ${message}`, data || '');
+        }
+    };
+}
+
+AdminDashboard.STATUS_LABELS = {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    in_progress: 'Charging',
+    completed: 'Completed',
+    cancelled: 'Cancelled',
+    no_show: 'No-show'
+};
+
+AdminDashboard.TRANSITION_LABELS = {
+    confirmed: 'Confirm',
+    in_progress: 'Start',
+    completed: 'Complete',
+    cancelled: 'Cancel',
+    no_show: 'No-show'
+};
+
+// Validation paths from validateDocument and the elements that show them
+AdminDashboard.STATION_ERROR_IDS = {
+    name: 'stationNameError',
+    address: 'stationAddressError',
+    'location.latitude': 'stationLatitudeError',
+    'location.longitude': 'stationLongitudeError',
+    location: 'stationLatitudeError',
+    chargingTypes: 'stationChargingTypesError',
+    chargingSpeed: 'stationSpeedError',
+    'contact.phone': 'stationPhoneError',
+    'contact.email': 'stationEmailError'
+};
+
+AdminDashboard.SLOT_ERROR_IDS = {
+    slotNumber: 'slotNumberError',
+    chargingType: 'slotChargingTypeError',
+    maxPower: 'slotMaxPowerError'
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Only initialize on the admin dashboard
+    if (window.location.pathname.includes('admin-dashboard')) {
+        window.adminDashboard = new AdminDashboard();
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminDashboard;
+}
\ No newline at end of file
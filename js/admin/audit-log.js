@@ -0,0 +1,347 @@
+/**
+ * Audit Log Viewer
+ * Author: MiniMax Agent
+ * Description: Filterable list of admin changes with JSON and CSV export
+ */
+
+class AuditLogViewer {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.filters = {};
+        this.nextCursor = null;
+        this.init();
+    }
+
+    /**
+     * Initialize the audit log page
+     */
+    init() {
+        this.setupEventListeners();
+
+        // AuthManager records the signed-in user before this listener runs
+        window.FirebaseConfig.authMethods.onAuthStateChanged((user) => {
+            if (!user || !this.authManager.validateAuth('admin')) return;
+
+            if (!this.authManager.hasPermission('audit:read')) {
+                this.showNotification('Your admin role cannot view the audit log', 'error');
+                window.location.href = 'admin-dashboard.html';
+                return;
+            }
+
+            this.loadEntries();
+        });
+
+        this.logger.info('AuditLogViewer initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const filterForm = document.getElementById('auditFilterForm');
+        if (filterForm) {
+            filterForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.filters = this.readFilters(filterForm);
+                this.loadEntries();
+            });
+
+            // Clearing the form shows everything again
+            filterForm.addEventListener('reset', () => {
+                this.filters = {};
+                setTimeout(() => this.loadEntries(), 0);
+            });
+        }
+
+        const buttons = {
+            auditLoadMore: () => this.loadEntries(this.nextCursor),
+            exportJsonButton: () => this.handleExport('json'),
+            exportCsvButton: () => this.handleExport('csv'),
+            logoutButton: () => this.authManager.signOut()
+        };
+
+        Object.entries(buttons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+    }
+
+    /**
+     * Filters from the form; dates cover whole local days
+     */
+    readFilters(form) {
+        const formData = new FormData(form);
+        const filters = {};
+
+        ['targetCollection', 'action', 'actorEmail', 'targetId'].forEach(field => {
+            const value = (formData.get(field) || '').trim();
+            if (value) filters[field] = value;
+        });
+
+        const since = formData.get('since');
+        const until = formData.get('until');
+        if (since) filters.since = new Date(`${since}T00:00:00`).getTime();
+        if (until) filters.until = new Date(`${until}T23:59:59.999`).getTime();
+
+        return filters;
+    }
+
+    /**
+     * Load the first page for the current filters, or the page after `cursor`
+     */
+    async loadEntries(cursor = null) {
+        const button = document.getElementById(cursor ? 'auditLoadMore' : 'auditFilterButton');
+        const resetLoading = this.showLoading(button, 'Loading...');
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.getAuditLogs(this.filters, { cursor: cursor });
+            if (!result.success) {
+                this.showNotification(result.error || 'Could not load the audit log', 'error');
+                return;
+            }
+
+            this.renderEntries(result.entries, Boolean(cursor));
+            this.nextCursor = result.nextCursor;
+            document.getElementById('auditLoadMore').style.display = result.nextCursor ? 'inline-flex' : 'none';
+        } catch (error) {
+            this.logger.error('Audit log load error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Render entries into the table, replacing or after the rows already shown
+     */
+    renderEntries(entries, append) {
+        const tbody = document.getElementById('auditTableBody');
+        if (!append) tbody.innerHTML = '';
+
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+
+            row.appendChild(this.cell(window.evApp.formatDate(AuditLogViewer.toMillis(entry.createdAt), 'long')));
+            row.appendChild(this.cell(entry.actorEmail || entry.actorId || 'Unknown'));
+
+            const action = document.createElement('span');
+            action.className = 'audit-action';
+            action.textContent = entry.action;
+            row.appendChild(this.cell(action));
+
+            const target = document.createElement('code');
+            target.textContent = `${entry.targetCollection}/${entry.targetId}`;
+            row.appendChild(this.cell(target));
+
+            row.appendChild(this.cell(this.renderChanges(entry.changes || {})));
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('auditEmpty').style.display = tbody.children.length ? 'none' : 'block';
+    }
+
+    /**
+     * One line per changed field: old value struck through, new value after it
+     */
+    renderChanges(changes) {
+        const list = document.createElement('ul');
+        list.className = 'audit-changes';
+
+        Object.entries(changes).forEach(([field, change]) => {
+            const item = document.createElement('li');
+            const before = document.createElement('span');
+            const after = document.createElement('span');
+
+            before.className = 'audit-before';
+            before.textContent = AuditLogViewer.formatValue(change.before);
+            after.className = 'audit-after';
+            after.textContent = AuditLogViewer.formatValue(change.after);
+
+            item.append(`${field}: `, before, ' → ', after);
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Table cell holding text or an element; text is never parsed as HTML
+     */
+    cell(content) {
+        const td = document.createElement('td');
+        if (typeof content === 'string') {
+            td.textContent = content;
+        } else {
+            td.appendChild(content);
+        }
+        return td;
+    }
+
+    /**
+     * Download every entry matching the current filters
+     */
+    async handleExport(format) {
+        const buttonId = format === 'csv' ? 'exportCsvButton' : 'exportJsonButton';
+        const resetLoading = this.showLoading(document.getElementById(buttonId), 'Exporting...');
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.exportAuditLogs(this.filters);
+            if (!result.success) {
+                this.showNotification(result.error || 'Could not export the audit log', 'error');
+                return;
+            }
+
+            const filename = `ev-bunk-audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+            if (format === 'csv') {
+                this.downloadFile(AuditLogViewer.toCsv(result.entries), filename, 'text/csv');
+            } else {
+                this.downloadFile(JSON.stringify(result.entries, null, 2), filename, 'application/json');
+            }
+
+            this.logger.info('Audit log exported', { format: format, entries: result.entries.length });
+        } catch (error) {
+            this.logger.error('Audit log export error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Save text as a file through a temporary link
+     */
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Exported entries as CSV, one row per changed field
+     * Entries without field changes still get a row with the field columns empty.
+     */
+    static toCsv(entries) {
+        const rows = [AuditLogViewer.CSV_COLUMNS];
+
+        entries.forEach(entry => {
+            const base = [entry.createdAt, entry.actorEmail, entry.actorId, entry.action,
+                entry.targetCollection, entry.targetId, entry.stationId];
+            const changes = Object.entries(entry.changes || {});
+
+            if (changes.length === 0) {
+                rows.push([...base, '', '', '']);
+            }
+            changes.forEach(([field, change]) => {
+                rows.push([...base, field, change.before, change.after]);
+            });
+        });
+
+        return rows.map(row => row.map(AuditLogViewer.csvValue).join(',')).join('\r\n');
+    }
+
+    /**
+     * Quote a CSV value when needed and defuse spreadsheet formulas
+     */
+    static csvValue(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Short display form of a changed value
+     */
+    static formatValue(value) {
+        if (value === null || value === undefined) return '—';
+
+        const millis = AuditLogViewer.toMillis(value);
+        if (millis !== null && typeof value !== 'number' && typeof value !== 'string') {
+            return new Date(millis).toLocaleString();
+        }
+
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Epoch milliseconds of a Date, Firestore Timestamp or date value
+     */
+    static toMillis(value) {
+        if (value && typeof value.toMillis === 'function') return value.toMillis();
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'number' || typeof value === 'string') {
+            const millis = new Date(value).getTime();
+            return Number.isNaN(millis) ? null : millis;
+        }
+        return null;
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(buttonElement, label) {
+        if (buttonElement) {
+            const originalText = buttonElement.innerHTML;
+            buttonElement.innerHTML = `<span class="loading"></span> ${label}`;
+            buttonElement.disabled = true;
+            return () => {
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+            };
+        }
+        return () => {};
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info', duration = 5000) {
+        if (window.evApp && window.evApp.showNotification) {
+            window.evApp.showNotification(message, type, duration);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[AuditLogViewer] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[AuditLogViewer] ERROR: ${message}`, error || '');
+        },
+        warn: (message, data = null) => {
+            console.warn(`[AuditLogViewer] WARN: ${message}`, data || '');
+        }
+    };
+}
+
+AuditLogViewer.CSV_COLUMNS = ['createdAt', 'actorEmail', 'actorId', 'action', 'targetCollection', 'targetId', 'stationId', 'field', 'before', 'after'];
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Only initialize on the audit log page
+    if (window.location.pathname.includes('admin-audit')) {
+        window.auditLogViewer = new AuditLogViewer();
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLogViewer;
+}
\ No newline at end of file
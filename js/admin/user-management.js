@@ -0,0 +1,564 @@
+/**
+ * User Management Console
+ * Author: MiniMax Agent
+ * Description: Admin page for searching drivers, suspending and reactivating accounts, and granting or revoking admin roles
+ */
+
+class UserManagementConsole {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.filters = {};
+        this.usersCursor = null;
+        this.adminsCursor = null;
+        this.users = new Map();
+        this.admins = new Map();
+        this.init();
+    }
+
+    /**
+     * Initialize the user management page
+     */
+    init() {
+        this.setupEventListeners();
+
+        // AuthManager records the signed-in user before this listener runs
+        window.FirebaseConfig.authMethods.onAuthStateChanged((user) => {
+            if (!user || !this.authManager.validateAuth('admin')) return;
+
+            if (!this.authManager.hasPermission('users:read')) {
+                this.showNotification('Your admin role cannot manage users', 'error');
+                window.location.href = 'admin-dashboard.html';
+                return;
+            }
+
+            this.loadUsers();
+
+            if (this.authManager.hasPermission('admins:write')) {
+                this.populateRoleOptions();
+                document.getElementById('adminSection').style.display = 'block';
+                this.loadAdmins();
+            }
+        });
+
+        this.logger.info('UserManagementConsole initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const searchForm = document.getElementById('userSearchForm');
+        if (searchForm) {
+            searchForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSearch(searchForm);
+            });
+
+            // Clearing the form lists every driver again
+            searchForm.addEventListener('reset', () => {
+                this.filters = {};
+                this.clearError('userSearchError');
+                setTimeout(() => this.loadUsers(), 0);
+            });
+        }
+
+        const forms = {
+            suspendForm: this.handleSuspend.bind(this),
+            roleForm: this.handleRoleSave.bind(this)
+        };
+
+        Object.entries(forms).forEach(([formId, handler]) => {
+            const form = document.getElementById(formId);
+            if (form) {
+                form.addEventListener('submit', handler);
+            }
+        });
+
+        const buttons = {
+            usersLoadMore: () => this.loadUsers(this.usersCursor),
+            adminsLoadMore: () => this.loadAdmins(this.adminsCursor),
+            logoutButton: () => this.authManager.signOut()
+        };
+
+        Object.entries(buttons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        document.querySelectorAll('[data-close-panel]').forEach(button => {
+            button.addEventListener('click', () => this.hidePanels());
+        });
+
+        // Row buttons are rendered later, so listen on the table bodies
+        ['usersTableBody', 'adminsTableBody'].forEach(tbodyId => {
+            const tbody = document.getElementById(tbodyId);
+            if (tbody) {
+                tbody.addEventListener('click', (e) => {
+                    const button = e.target.closest('button[data-action]');
+                    if (button) {
+                        this.handleRowAction(button.dataset.action, button.dataset.id);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Run a search from the form
+     */
+    handleSearch(form) {
+        const formData = new FormData(form);
+        const filters = {};
+
+        ['email', 'phone', 'vehicleType'].forEach(field => {
+            const value = (formData.get(field) || '').trim();
+            if (value) filters[field] = value;
+        });
+
+        this.clearError('userSearchError');
+        if (filters.email && filters.phone) {
+            this.showError('userSearchError', 'Search by email or by phone, not both');
+            return;
+        }
+
+        this.filters = filters;
+        this.loadUsers();
+    }
+
+    /**
+     * Load the first page of drivers for the current search, or the page after `cursor`
+     */
+    async loadUsers(cursor = null) {
+        const button = document.getElementById(cursor ? 'usersLoadMore' : 'userSearchButton');
+        const resetLoading = this.showLoading(button, 'Loading...');
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.searchUsers(this.filters, { cursor: cursor });
+            if (!result.success) {
+                this.showError('userSearchError', this.getErrorMessage(result.code, result.error));
+                return;
+            }
+
+            if (!cursor) this.users.clear();
+            result.users.forEach(user => this.users.set(user.userId, user));
+
+            this.renderUsers();
+            this.usersCursor = result.nextCursor;
+            document.getElementById('usersLoadMore').style.display = result.nextCursor ? 'inline-flex' : 'none';
+        } catch (error) {
+            this.logger.error('User search error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Load the first page of admins, or the page after `cursor`
+     */
+    async loadAdmins(cursor = null) {
+        const resetLoading = this.showLoading(cursor ? document.getElementById('adminsLoadMore') : null, 'Loading...');
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.getAdminUsers({ cursor: cursor });
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            if (!cursor) this.admins.clear();
+            result.admins.forEach(admin => this.admins.set(admin.adminId, admin));
+
+            this.renderAdmins();
+            this.adminsCursor = result.nextCursor;
+            document.getElementById('adminsLoadMore').style.display = result.nextCursor ? 'inline-flex' : 'none';
+        } catch (error) {
+            this.logger.error('Admin list error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Render the loaded drivers
+     */
+    renderUsers() {
+        const tbody = document.getElementById('usersTableBody');
+        const canSuspend = this.authManager.hasPermission('users:write');
+        const canPromote = this.authManager.hasPermission('admins:write');
+        tbody.innerHTML = '';
+
+        this.users.forEach(user => {
+            const row = document.createElement('tr');
+            const suspended = user.isActive === false;
+
+            row.appendChild(this.cell(`${user.firstName || ''} ${user.lastName || ''}`.trim() || '—'));
+            row.appendChild(this.cell(user.email || '—'));
+            row.appendChild(this.cell(user.phone || '—'));
+            row.appendChild(this.cell(user.vehicleType || '—'));
+            row.appendChild(this.cell(this.statusBadge(!suspended, suspended ? 'Suspended' : 'Active')));
+
+            const actions = document.createElement('div');
+            actions.className = 'admin-row-actions';
+            if (canSuspend) {
+                actions.appendChild(suspended
+                    ? this.actionButton('Reactivate', 'reactivate', user.userId, 'btn-outline')
+                    : this.actionButton('Suspend', 'suspend', user.userId, 'btn-danger'));
+            }
+            if (canPromote && !(this.admins.get(user.userId) || {}).isActive) {
+                actions.appendChild(this.actionButton('Make Admin', 'make-admin', user.userId, 'btn-outline'));
+            }
+            row.appendChild(this.cell(actions));
+
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('usersEmpty').style.display = this.users.size ? 'none' : 'block';
+    }
+
+    /**
+     * Render the loaded admins
+     */
+    renderAdmins() {
+        const tbody = document.getElementById('adminsTableBody');
+        const roles = window.FirebaseConfig.adminRoles.roles;
+        const ownId = (this.authManager.getCurrentUser() || {}).uid;
+        tbody.innerHTML = '';
+
+        this.admins.forEach(admin => {
+            const row = document.createElement('tr');
+            const lastLogin = UserManagementConsole.toMillis(admin.lastLogin);
+
+            row.appendChild(this.cell(admin.email || admin.adminId));
+            row.appendChild(this.cell(roles[admin.role] ? roles[admin.role].label : admin.role));
+            row.appendChild(this.cell(Array.isArray(admin.stationIds) ? admin.stationIds.join(', ') : 'All stations'));
+            row.appendChild(this.cell(this.statusBadge(admin.isActive, admin.isActive ? 'Active' : 'Revoked')));
+            row.appendChild(this.cell(lastLogin ? window.evApp.formatDate(lastLogin, 'long') : 'Never'));
+
+            const actions = document.createElement('div');
+            actions.className = 'admin-row-actions';
+            if (admin.adminId !== ownId) {
+                actions.appendChild(this.actionButton(admin.isActive ? 'Change Role' : 'Restore', 'edit-role', admin.adminId, 'btn-outline'));
+                if (admin.isActive) {
+                    actions.appendChild(this.actionButton('Revoke', 'revoke', admin.adminId, 'btn-danger'));
+                }
+            }
+            row.appendChild(this.cell(actions));
+
+            tbody.appendChild(row);
+        });
+
+        // Drivers who just became admins lose their "Make Admin" button
+        this.renderUsers();
+    }
+
+    /**
+     * Dispatch a row button
+     */
+    async handleRowAction(action, id) {
+        switch (action) {
+            case 'suspend':
+                this.openSuspendPanel(this.users.get(id));
+                break;
+
+            case 'reactivate':
+                await this.setUserActive(id, true);
+                break;
+
+            case 'make-admin':
+                this.openRolePanel(id, this.users.get(id).email, null);
+                break;
+
+            case 'edit-role': {
+                const admin = this.admins.get(id);
+                this.openRolePanel(id, admin.email, admin);
+                break;
+            }
+
+            case 'revoke':
+                await this.revokeAdmin(this.admins.get(id));
+                break;
+
+            default:
+                return;
+        }
+    }
+
+    /**
+     * Ask for a suspension reason before suspending
+     */
+    openSuspendPanel(user) {
+        this.hidePanels();
+        document.getElementById('suspendUserId').value = user.userId;
+        document.getElementById('suspendTargetEmail').textContent = user.email;
+        document.getElementById('suspendReason').value = '';
+
+        const panel = document.getElementById('suspendForm');
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Suspend the driver picked in the panel
+     */
+    async handleSuspend(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const resetLoading = this.showLoading(document.getElementById('suspendButton'), 'Suspending...');
+
+        try {
+            await this.setUserActive(formData.get('userId'), false, formData.get('reason'));
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Suspend or reactivate a driver and refresh their row
+     */
+    async setUserActive(userId, isActive, reason = null) {
+        try {
+            const result = await window.FirebaseConfig.dbMethods.setUserActive(userId, isActive, reason);
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            this.users.set(userId, { ...this.users.get(userId), isActive: isActive });
+            this.renderUsers();
+            this.hidePanels();
+            this.showNotification(isActive ? 'Account reactivated' : 'Account suspended', 'success');
+        } catch (error) {
+            this.logger.error('Account status change error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Fill the role panel for a new or existing admin
+     */
+    openRolePanel(userId, email, admin) {
+        this.hidePanels();
+        this.clearError('roleFormError');
+        document.getElementById('roleUserId').value = userId;
+        document.getElementById('roleTargetEmail').textContent = email;
+        document.getElementById('roleSelect').value = admin ? admin.role : 'support_agent';
+        document.getElementById('roleStations').value = admin && Array.isArray(admin.stationIds) ? admin.stationIds.join(', ') : '';
+
+        const panel = document.getElementById('roleForm');
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Save the role picked in the panel
+     */
+    async handleRoleSave(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const stationIds = (formData.get('stationIds') || '').split(',').map(id => id.trim()).filter(Boolean);
+        this.clearError('roleFormError');
+
+        const resetLoading = this.showLoading(document.getElementById('roleSaveButton'), 'Saving...');
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.setAdminRole(formData.get('userId'), formData.get('role'), stationIds);
+            if (!result.success) {
+                this.showError('roleFormError', this.getErrorMessage(result.code, result.error));
+                return;
+            }
+
+            this.hidePanels();
+            this.showNotification('Admin role saved', 'success');
+            await this.loadAdmins();
+        } catch (error) {
+            this.logger.error('Role save error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Revoke an admin's role after confirmation
+     */
+    async revokeAdmin(admin) {
+        if (!window.confirm(`Revoke admin access for ${admin.email}?`)) return;
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.revokeAdminRole(admin.adminId);
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            this.showNotification('Admin access revoked', 'success');
+            await this.loadAdmins();
+        } catch (error) {
+            this.logger.error('Role revoke error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Role choices, in the order the role model lists them
+     */
+    populateRoleOptions() {
+        const select = document.getElementById('roleSelect');
+        select.innerHTML = '';
+
+        Object.entries(window.FirebaseConfig.adminRoles.roles).forEach(([role, definition]) => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = definition.label;
+            select.appendChild(option);
+        });
+    }
+
+    hidePanels() {
+        ['suspendForm', 'roleForm'].forEach(panelId => {
+            document.getElementById(panelId).style.display = 'none';
+        });
+    }
+
+    /**
+     * Table cell holding text or an element; text is never parsed as HTML
+     */
+    cell(content) {
+        const td = document.createElement('td');
+        if (typeof content === 'string') {
+            td.textContent = content;
+        } else {
+            td.appendChild(content);
+        }
+        return td;
+    }
+
+    actionButton(label, action, id, className) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-small ${className}`;
+        button.dataset.action = action;
+        button.dataset.id = id;
+        button.textContent = label;
+        return button;
+    }
+
+    statusBadge(active, label) {
+        const badge = document.createElement('span');
+        badge.className = active ? 'status-badge' : 'status-badge inactive';
+        badge.textContent = label;
+        return badge;
+    }
+
+    /**
+     * Epoch milliseconds of a Date or Firestore Timestamp, or null
+     */
+    static toMillis(value) {
+        if (value && typeof value.toMillis === 'function') return value.toMillis();
+        if (value instanceof Date) return value.getTime();
+        return null;
+    }
+
+    /**
+     * Get error message from a data method error code
+     */
+    getErrorMessage(errorCode, fallback) {
+        const errorMap = {
+            'forbidden': 'Your admin role does not allow this.',
+            'not_signed_in': 'Please sign in again to continue.',
+            'mfa_required': 'Please sign in again and enter your two-step verification code.',
+            'user_not_found': 'This account no longer exists.',
+            'own_account': 'You cannot suspend your own account.',
+            'own_role': 'You cannot change your own admin role.',
+            'not_admin': 'This account is not an admin.',
+            'validation_failed': 'Please pick a valid role.'
+        };
+
+        return errorMap[errorCode] || fallback || 'An error occurred. Please try again.';
+    }
+
+    /**
+     * Show an error message under a form
+     */
+    showError(elementId, message) {
+        const errorElement = document.getElementById(elementId);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        } else {
+            this.showNotification(message, 'error');
+        }
+    }
+
+    /**
+     * Clear an error message
+     */
+    clearError(elementId) {
+        const errorElement = document.getElementById(elementId);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(buttonElement, label) {
+        if (buttonElement) {
+            const originalText = buttonElement.innerHTML;
+            buttonElement.innerHTML = `<span class="loading"></span> ${label}`;
+            buttonElement.disabled = true;
+            return () => {
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+            };
+        }
+        return () => {};
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info', duration = 5000) {
+        if (window.evApp && window.evApp.showNotification) {
+            window.evApp.showNotification(message, type, duration);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[UserManagementConsole] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[UserManagementConsole] ERROR: ${message}`, error || '');
+        },
+        warn: (message, data = null) => {
+            console.warn(`[UserManagementConsole] WARN: ${message}`, data || '');
+        }
+    };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Only initialize on the user management page
+    if (window.location.pathname.includes('admin-users')) {
+        window.userManagementConsole = new UserManagementConsole();
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserManagementConsole;
+}
\ No newline at end of file
@@ -0,0 +1,495 @@
+/**
+ * Admin Authentication
+ * Author: MiniMax Agent
+ * Description: Admin-specific authentication logic for the admin login page
+ */
+
+class AdminAuthentication {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.formValidator = new FormValidator();
+        this.init();
+    }
+
+    /**
+     * Initialize admin authentication
+     */
+    init() {
+        this.setupEventListeners();
+        this.checkAuthStatus();
+        this.logger.info('AdminAuthentication initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const loginForm = document.getElementById('adminLoginForm');
+        if (loginForm) {
+            loginForm.addEventListener('submit', this.handleAdminLogin.bind(this));
+        }
+
+        // Two-step verification
+        const mfaForm = document.getElementById('adminMfaForm');
+        if (mfaForm) {
+            mfaForm.addEventListener('submit', this.handleMfaVerify.bind(this));
+        }
+
+        const enrollForm = document.getElementById('adminMfaEnrollForm');
+        if (enrollForm) {
+            enrollForm.addEventListener('submit', this.handleMfaEnroll.bind(this));
+        }
+
+        const recoveryDone = document.getElementById('recoveryCodesDone');
+        if (recoveryDone) {
+            recoveryDone.addEventListener('click', () => this.enterAdminPanel());
+        }
+
+        const mfaCancel = document.getElementById('mfaCancel');
+        if (mfaCancel) {
+            mfaCancel.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.cancelMfa();
+            });
+        }
+
+        // Clear field errors as the admin corrects them
+        ['adminEmail', 'adminPassword', 'mfaCode', 'enrollCode'].forEach(inputId => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.addEventListener('input', () => this.clearError(`${inputId}Error`));
+            }
+        });
+
+        // Password toggles
+        this.setupPasswordToggles();
+    }
+
+    /**
+     * Check current authentication status
+     */
+    checkAuthStatus() {
+        const session = this.authManager.getStoredSession();
+        if (session && session.isAdmin && session.status === 'mfa_pending') {
+            // Password accepted earlier, but the second step was never finished
+            this.showMfaStep(session.mfaEnabled);
+        } else if (session && session.isAdmin) {
+            // Admins already signed in go straight to the admin area
+            window.location.href = 'admin-dashboard.html';
+        }
+    }
+
+    /**
+     * Handle admin login
+     */
+    async handleAdminLogin(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const adminData = {
+            email: formData.get('adminEmail'),
+            password: formData.get('adminPassword')
+        };
+
+        // Validate form data
+        const validation = this.validateLoginForm(adminData);
+        if (!validation.isValid) {
+            this.showFormErrors(validation.errors);
+            return;
+        }
+
+        // Show loading state
+        const submitButton = document.getElementById('adminLoginButton');
+        const resetLoading = this.showLoading(submitButton);
+        let retryAt = null;
+
+        try {
+            // Decide where the session is kept before the sign-in stores it
+            await this.authManager.setRememberMe(Boolean(formData.get('adminRememberMe')));
+
+            // Authenticate and verify the admin record in one step
+            const result = await window.FirebaseConfig.authMethods.adminSignIn(
+                adminData.email,
+                adminData.password
+            );
+
+            if (result.success) {
+                this.logger.info('Admin login successful', { adminId: result.user.uid, role: result.role });
+                this.storeAdminSession(result);
+                this.enterAdminPanel();
+
+            } else if (result.code === 'mfa_required') {
+                this.logger.info('Password accepted, two-step verification required', { enrolled: result.enrolled });
+                this.showMfaStep(result.enrolled);
+
+            } else if (result.code === 'not_admin') {
+                this.logger.warn('Non-admin sign-in rejected', { email: adminData.email });
+                this.showError('adminEmailError', 'This account does not have admin access.');
+                this.showNotification('Admin access required. Drivers can sign in from the user login page.', 'error');
+            } else {
+                retryAt = result.retryAt || null;
+                this.showError('adminPasswordError', this.getErrorMessage(result.locked ? 'login_locked' : result.code));
+            }
+        } catch (error) {
+            this.logger.error('Admin login error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+
+        LoginThrottle.startRetryCountdown(submitButton, retryAt);
+    }
+
+    /**
+     * Swap the password form for the second step
+     */
+    showMfaStep(enrolled) {
+        document.getElementById('adminLoginForm').style.display = 'none';
+        document.getElementById('adminAuthTitle').textContent = 'Two-Step Verification';
+
+        if (enrolled) {
+            document.getElementById('adminAuthSubtitle').textContent = 'One more step to confirm it is you';
+            document.getElementById('adminMfaForm').style.display = 'block';
+            document.getElementById('mfaCode').focus();
+        } else {
+            document.getElementById('adminAuthSubtitle').textContent = 'Protect your admin account with an authenticator app';
+            this.startEnrollment();
+        }
+    }
+
+    /**
+     * Create a secret and show it for the authenticator app
+     */
+    async startEnrollment() {
+        const result = await window.FirebaseConfig.authMethods.startMfaEnrollment();
+
+        if (!result.success) {
+            if (result.code === 'mfa_already_enabled') {
+                this.showMfaStep(true);
+                return;
+            }
+            this.logger.error('Could not start two-step enrollment', result.error);
+            this.showNotification(result.error || 'Could not start two-step verification setup', 'error');
+            this.cancelMfa();
+            return;
+        }
+
+        // Group the key in fours so it is easier to type
+        document.getElementById('mfaSecret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+
+        const qrContainer = document.getElementById('mfaQrCode');
+        qrContainer.innerHTML = '';
+        if (window.QRCode) {
+            new QRCode(qrContainer, { text: result.otpauthUrl, width: 180, height: 180 });
+        }
+
+        document.getElementById('adminMfaEnrollForm').style.display = 'block';
+        document.getElementById('enrollCode').focus();
+    }
+
+    /**
+     * Confirm enrollment with the first code, then show the recovery codes
+     */
+    async handleMfaEnroll(event) {
+        event.preventDefault();
+
+        const code = (new FormData(event.target).get('enrollCode') || '').trim();
+        if (!code) {
+            this.showError('enrollCodeError', 'Enter the 6-digit code from your app');
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('mfaEnrollButton'));
+
+        try {
+            const result = await window.FirebaseConfig.authMethods.confirmMfaEnrollment(code);
+
+            if (result.success) {
+                this.logger.info('Two-step verification enabled', { adminId: result.user.uid });
+                this.storeAdminSession(result);
+                this.showRecoveryCodes(result.recoveryCodes);
+            } else if (result.code === 'mfa_not_started') {
+                this.showNotification(result.error, 'error');
+                this.startEnrollment();
+            } else {
+                this.showError('enrollCodeError', this.getErrorMessage(result.code, result.error));
+            }
+        } catch (error) {
+            this.logger.error('Two-step enrollment error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Show the one-time recovery codes
+     */
+    showRecoveryCodes(recoveryCodes) {
+        document.getElementById('adminMfaEnrollForm').style.display = 'none';
+
+        const list = document.getElementById('recoveryCodeList');
+        list.innerHTML = '';
+        recoveryCodes.forEach(recoveryCode => {
+            const item = document.createElement('li');
+            item.textContent = recoveryCode;
+            list.appendChild(item);
+        });
+
+        document.getElementById('mfaRecoveryCodes').style.display = 'block';
+    }
+
+    /**
+     * Finish sign-in with an authenticator or recovery code
+     */
+    async handleMfaVerify(event) {
+        event.preventDefault();
+
+        const code = (new FormData(event.target).get('mfaCode') || '').trim();
+        if (!code) {
+            this.showError('mfaCodeError', 'Enter your verification code');
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('mfaVerifyButton'));
+
+        try {
+            const result = await window.FirebaseConfig.authMethods.verifyAdminMfa(code);
+
+            if (result.success) {
+                this.logger.info('Two-step verification passed', { adminId: result.user.uid });
+                this.storeAdminSession(result);
+
+                if (result.usedRecoveryCode) {
+                    this.showNotification(`Recovery code used. ${result.recoveryCodesRemaining} left.`, 'warning');
+                }
+                this.enterAdminPanel();
+            } else if (result.code === 'not_signed_in' || result.code === 'not_admin') {
+                this.showNotification(result.error, 'error');
+                this.cancelMfa();
+            } else if (result.code === 'login_locked') {
+                this.logger.warn('Two-step verification locked out');
+                await this.cancelMfa();
+                this.showError('adminPasswordError', this.getErrorMessage(result.code));
+                LoginThrottle.startRetryCountdown(document.getElementById('adminLoginButton'), result.retryAt);
+            } else {
+                this.showError('mfaCodeError', this.getErrorMessage(result.code, result.error));
+            }
+        } catch (error) {
+            this.logger.error('Two-step verification error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Abandon the second step and go back to the password form
+     */
+    async cancelMfa() {
+        await this.authManager.signOut();
+
+        ['adminMfaForm', 'adminMfaEnrollForm', 'mfaRecoveryCodes'].forEach(elementId => {
+            document.getElementById(elementId).style.display = 'none';
+        });
+        document.getElementById('adminAuthTitle').textContent = 'Admin Portal';
+        document.getElementById('adminAuthSubtitle').textContent = 'Sign in to manage charging stations and monitor operations';
+        document.getElementById('adminLoginForm').style.display = 'block';
+    }
+
+    /**
+     * Store the admin session before leaving so the dashboard guard sees it
+     */
+    storeAdminSession(result) {
+        this.authManager.currentUser = result.user;
+        this.authManager.isAdmin = true;
+        this.authManager.storeUserSession(result.user, {
+            isAdmin: true,
+            role: result.role,
+            permissions: result.permissions,
+            stationIds: result.stationIds,
+            mfaRequired: result.mfaRequired,
+            mfaEnabled: result.mfaEnabled,
+            mfaVerified: result.mfaVerified
+        });
+    }
+
+    /**
+     * Open the admin dashboard
+     */
+    enterAdminPanel() {
+        this.showNotification('Welcome back! Opening the admin panel...', 'success');
+
+        setTimeout(() => {
+            window.location.href = 'admin-dashboard.html';
+        }, 1000);
+    }
+
+    /**
+     * Setup password toggle buttons
+     */
+    setupPasswordToggles() {
+        const toggles = document.querySelectorAll('.password-toggle');
+
+        toggles.forEach(toggle => {
+            toggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                const targetId = toggle.getAttribute('data-target');
+                const targetInput = document.getElementById(targetId);
+
+                if (targetInput) {
+                    const type = targetInput.getAttribute('type') === 'password' ? 'text' : 'password';
+                    targetInput.setAttribute('type', type);
+
+                    const icon = toggle.querySelector('i');
+                    icon.className = type === 'password' ? 'fas fa-eye' : 'fas fa-eye-slash';
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate login form
+     */
+    validateLoginForm(adminData) {
+        const errors = [];
+
+        // Email validation
+        const emailValidation = this.formValidator.validate('Email', adminData.email, 'email');
+        if (!emailValidation.isValid) {
+            errors.push({ field: 'adminEmailError', message: emailValidation.message });
+        }
+
+        // Password validation
+        if (!adminData.password || adminData.password.length < 6) {
+            errors.push({ field: 'adminPasswordError', message: 'Password must be at least 6 characters' });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Show form errors
+     */
+    showFormErrors(errors) {
+        errors.forEach(error => {
+            this.showError(error.field, error.message);
+        });
+    }
+
+    /**
+     * Show individual field error
+     */
+    showError(fieldId, message) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+
+            // Add error class to input if exists
+            const inputId = fieldId.replace('Error', '');
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.classList.add('error');
+            }
+        }
+    }
+
+    /**
+     * Clear field error
+     */
+    clearError(fieldId) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+
+            // Remove error class from input if exists
+            const inputId = fieldId.replace('Error', '');
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.classList.remove('error');
+            }
+        }
+    }
+
+    /**
+     * Get error message from an auth error code
+     */
+    getErrorMessage(errorCode, fallback) {
+        const errorMap = {
+            'auth/user-not-found': 'Invalid admin email or password.',
+            'auth/wrong-password': 'Invalid admin email or password.',
+            'auth/invalid-credential': 'Invalid admin email or password.',
+            'auth/invalid-email': 'Please enter a valid email address.',
+            'auth/user-disabled': 'This account has been disabled. Please contact a super admin.',
+            'auth/too-many-requests': 'Too many failed attempts. Please try again later.',
+            'admin_check_failed': 'Could not verify admin access. Please try again.',
+            'login_throttled': 'Too many failed attempts. Please wait before trying again.',
+            'login_locked': 'Too many failed attempts. Sign-in for this account is paused for 15 minutes.',
+            'mfa_invalid_code': 'That code is not valid or was already used. Wait for a new code and try again.'
+        };
+
+        return errorMap[errorCode] || fallback || 'An error occurred. Please try again.';
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(buttonElement) {
+        if (buttonElement) {
+            const originalText = buttonElement.innerHTML;
+            buttonElement.innerHTML = '<span class="loading"></span> Verifying...';
+            buttonElement.disabled = true;
+            return () => {
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+            };
+        }
+        return () => {};
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info', duration = 5000) {
+        if (window.evApp && window.evApp.showNotification) {
+            window.evApp.showNotification(message, type, duration);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[AdminAuth] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[AdminAuth] ERROR: ${message}`, error || '');
+        },
+        warn: (message, data = null) => {
+            console.warn(`[AdminAuth] WARN: ${message}`, data || '');
+        }
+    };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Only initialize on the admin login page
+    if (window.location.pathname.includes('admin-login')) {
+        window.adminAuth = new AdminAuthentication();
+        console.log('AdminAuthentication initialized');
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminAuthentication;
+}
\ No newline at end of file
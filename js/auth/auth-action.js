@@ -0,0 +1,224 @@
+/**
+ * Auth Action Handler
+ * Author: MiniMax Agent
+ * Description: Landing page for links in account emails (email verification, email change, password reset)
+ *
+ * Links arrive as auth-action.html?mode=<mode>&oobCode=<code>&continueUrl=<url>,
+ * the format Firebase uses for a custom email action handler.
+ */
+
+class AuthActionHandler {
+    constructor() {
+        const params = new URLSearchParams(window.location.search);
+        this.mode = params.get('mode');
+        this.actionCode = params.get('oobCode');
+        this.continueUrl = AuthActionHandler.safeContinueUrl(params.get('continueUrl'));
+        this.init();
+    }
+
+    /**
+     * Initialize the handler for the link's mode
+     */
+    init() {
+        const handlers = {
+            verifyEmail: this.handleVerifyEmail.bind(this),
+            verifyAndChangeEmail: this.handleEmailChange.bind(this),
+            resetPassword: this.handleResetPassword.bind(this)
+        };
+
+        if (!this.actionCode || !handlers[this.mode]) {
+            this.showResult('error', 'Invalid link', 'This link is incomplete or not supported. Please request a new one.');
+            return;
+        }
+
+        handlers[this.mode]();
+        this.logger.info('AuthActionHandler initialized', { mode: this.mode });
+    }
+
+    /**
+     * Confirm an email address
+     */
+    async handleVerifyEmail() {
+        const result = await window.FirebaseConfig.authMethods.verifyEmail(this.actionCode);
+
+        if (result.success) {
+            this.showResult('success', 'Email verified', 'Your email address is confirmed. You can now sign in and book charging slots.');
+            return;
+        }
+
+        this.logger.error('Email verification failed', result.code);
+        this.showResult('error', 'Verification failed', this.getErrorMessage(result.code));
+    }
+
+    /**
+     * Confirm a new email address; the account switches to it now
+     */
+    async handleEmailChange() {
+        const result = await window.FirebaseConfig.authMethods.confirmEmailChange(this.actionCode);
+
+        if (result.success) {
+            this.showResult('success', 'Email updated', 'Your email address has been changed. Use the new address the next time you sign in.');
+            return;
+        }
+
+        this.logger.error('Email change failed', result.code);
+        this.showResult('error', 'Email change failed', this.getErrorMessage(result.code));
+    }
+
+    /**
+     * Check the reset link, then ask for the new password
+     */
+    async handleResetPassword() {
+        const result = await window.FirebaseConfig.authMethods.verifyPasswordResetCode(this.actionCode);
+
+        if (!result.success) {
+            this.logger.error('Password reset link rejected', result.code);
+            this.showResult('error', 'Reset link not valid', this.getErrorMessage(result.code));
+            return;
+        }
+
+        this.accountEmail = result.email;
+        document.getElementById('actionStatus').style.display = 'none';
+        document.getElementById('resetAccountEmail').textContent = result.email;
+
+        const form = document.getElementById('resetPasswordForm');
+        form.style.display = 'block';
+        form.addEventListener('submit', this.handleResetSubmit.bind(this));
+    }
+
+    /**
+     * Save the new password
+     */
+    async handleResetSubmit(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const newPassword = formData.get('newPassword') || '';
+        const confirmNewPassword = formData.get('confirmNewPassword') || '';
+
+        this.clearError('newPasswordError');
+        this.clearError('confirmNewPasswordError');
+
+        const passwordCheck = PasswordPolicy.default.validate(newPassword, { email: this.accountEmail });
+        if (!passwordCheck.isValid) {
+            this.showError('newPasswordError', passwordCheck.message);
+            return;
+        }
+        if (newPassword !== confirmNewPassword) {
+            this.showError('confirmNewPasswordError', 'Passwords do not match');
+            return;
+        }
+
+        const button = document.getElementById('resetPasswordButton');
+        button.disabled = true;
+
+        const result = await window.FirebaseConfig.authMethods.confirmPasswordReset(this.actionCode, newPassword);
+        button.disabled = false;
+
+        if (result.success) {
+            event.target.style.display = 'none';
+            document.getElementById('actionStatus').style.display = 'block';
+            this.showResult('success', 'Password updated', 'Your password has been reset. Sign in with your new password.');
+        } else if (result.code === 'password_policy') {
+            this.showError('newPasswordError', result.error);
+        } else if (result.code === 'auth/weak-password') {
+            this.showError('newPasswordError', this.getErrorMessage(result.code));
+        } else {
+            event.target.style.display = 'none';
+            document.getElementById('actionStatus').style.display = 'block';
+            this.showResult('error', 'Reset failed', this.getErrorMessage(result.code));
+        }
+    }
+
+    /**
+     * Show individual field error
+     */
+    showError(fieldId, message) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        }
+    }
+
+    /**
+     * Clear field error
+     */
+    clearError(fieldId) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show the outcome and the way forward
+     */
+    showResult(type, title, message) {
+        const status = document.getElementById('actionStatus');
+        status.classList.add(type);
+
+        document.getElementById('actionIcon').className = type === 'success'
+            ? 'fas fa-check-circle'
+            : 'fas fa-exclamation-circle';
+        document.getElementById('actionTitle').textContent = title;
+        document.getElementById('actionMessage').textContent = message;
+
+        const continueLink = document.getElementById('actionContinue');
+        continueLink.href = this.continueUrl || 'user-login.html';
+        continueLink.style.display = 'inline-flex';
+    }
+
+    /**
+     * Get error message from an action code error
+     */
+    getErrorMessage(errorCode) {
+        const errorMap = {
+            'auth/invalid-action-code': 'This link is invalid or has already been used. Please request a new one.',
+            'auth/expired-action-code': 'This link has expired. Please request a new one.',
+            'auth/weak-password': 'Password is too weak. Please choose a stronger password.',
+            'auth/user-disabled': 'This account has been disabled. Please contact support.',
+            'auth/user-not-found': 'The account for this link no longer exists.',
+            'auth/email-already-in-use': 'Another account already uses this email address.'
+        };
+
+        return errorMap[errorCode] || 'Something went wrong. Please try the link again.';
+    }
+
+    /**
+     * Only follow continue URLs back into this site
+     */
+    static safeContinueUrl(continueUrl) {
+        if (!continueUrl) return null;
+
+        try {
+            const url = new URL(continueUrl, window.location.href);
+            return url.origin === window.location.origin ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[AuthAction] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[AuthAction] ERROR: ${message}`, error || '');
+        }
+    };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.authActionHandler = new AuthActionHandler();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthActionHandler;
+}
\ No newline at end of file
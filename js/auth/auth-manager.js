@@ -8,6 +8,11 @@ class AuthManager {
     constructor() {
         this.currentUser = null;
         this.isAdmin = false;
+        this.expiring = false;
+        this.lastActivityWrite = 0;
+        this.sessionMonitor = null;
+        this.idleWarning = null;
+        this.authChannel = null;
         this.init();
     }
 
@@ -15,18 +20,19 @@ class AuthManager {
      * Initialize authentication manager
      */
     init() {
+        this.announceExpiredSession();
+        this.setupCrossTabSync();
         this.setupAuthStateListener();
+        this.startSessionMonitor();
         this.logger.info('AuthManager initialized');
     }
 
     /**
-     * Setup Firebase auth state listener
+     * Setup auth state listener on the active data backend
      */
     setupAuthStateListener() {
-        if (typeof window.firebase !== 'undefined' && window.FirebaseConfig) {
-            const { auth, onAuthStateChanged } = window.firebase;
-            
-            onAuthStateChanged(auth, async (user) => {
+        if (window.FirebaseConfig && window.FirebaseConfig.firebaseServices.backend) {
+            window.FirebaseConfig.authMethods.onAuthStateChanged(async (user) => {
                 if (user) {
                     await this.handleUserLogin(user);
                 } else {
@@ -43,10 +49,27 @@ class AuthManager {
         try {
             this.currentUser = user;
             
+            // A backend sign-in outlives the app session it came with; end both together
+            const stored = this.readSession();
+            const expiryReason = stored && stored.userId === user.uid ? this.getExpiryReason(stored) : null;
+            if (expiryReason) {
+                await this.expireSession(expiryReason);
+                return;
+            }
+            
             // Check if user is admin
             const adminCheck = await window.FirebaseConfig.authMethods.checkAdminRole(user.uid);
             this.isAdmin = adminCheck.isAdmin;
             
+            // Drivers suspended by an admin are signed out wherever they still are
+            if (!adminCheck.isAdmin) {
+                const profile = await window.FirebaseConfig.dbMethods.getUserProfile(user.uid);
+                if (profile.success && profile.profile.isActive === false) {
+                    await this.expireSession('suspended');
+                    return;
+                }
+            }
+            
             // Store user session
             this.storeUserSession(user, adminCheck);
             
@@ -56,6 +79,19 @@ class AuthManager {
                 isAdmin: this.isAdmin 
             });
             
+            // Unverified drivers stay on the login page until they verify
+            if (this.isAwaitingVerification()) {
+                return;
+            }
+            
+            // Two-step verification happens on the admin login page
+            if (this.isAwaitingMfa()) {
+                if (window.location.pathname.includes('user-login')) {
+                    window.location.href = 'admin-login.html';
+                }
+                return;
+            }
+            
             // Show success notification
             this.showNotification('Authentication successful!', 'success');
             
@@ -72,12 +108,25 @@ class AuthManager {
      * Handle user logout
      */
     handleUserLogout() {
+        const session = this.readSession();
+        
         this.currentUser = null;
         this.isAdmin = false;
         this.clearUserSession();
         
         this.logger.info('User logged out');
         
+        if (session) {
+            this.broadcastAuthEvent('logout', { userId: session.userId });
+        }
+        
+        // Signed-out visitors are expected on the public pages, so leave them there
+        const publicPages = ['login', 'register', 'index'];
+        const currentPage = window.location.pathname;
+        if (currentPage === '/' || publicPages.some(page => currentPage.includes(page))) {
+            return;
+        }
+        
         // Redirect to appropriate login page
         if (window.location.pathname.includes('admin')) {
             window.location.href = 'admin-login.html';
@@ -86,21 +135,103 @@ class AuthManager {
         }
     }
 
+    /**
+     * Choose how long the next sign-in lasts; call before signing in
+     * Remembered sessions live in localStorage for REMEMBER_ME_TTL_MS and survive
+     * browser restarts. Others live in sessionStorage and end with the tab.
+     */
+    async setRememberMe(rememberMe) {
+        // A fresh sign-in starts a fresh session
+        this.clearUserSession();
+        sessionStorage.setItem('ev_bunk_remember_me', rememberMe ? 'true' : 'false');
+        
+        const result = await window.FirebaseConfig.authMethods.setPersistence(rememberMe);
+        if (!result.success) {
+            this.logger.warn('Could not set sign-in persistence', result.error);
+        }
+    }
+
     /**
      * Store user session
+     * Refreshing the session for the same user keeps its login time and expiry.
      */
     storeUserSession(user, adminCheck) {
+        const now = Date.now();
+        const previous = this.readSession();
+        const sameUser = Boolean(previous && previous.userId === user.uid);
+        
+        const rememberChoice = sessionStorage.getItem('ev_bunk_remember_me');
+        const rememberMe = rememberChoice !== null
+            ? rememberChoice === 'true'
+            : Boolean(sameUser && previous.rememberMe);
+        
+        // A passed two-step check lasts until sign-out, across auth state refreshes
+        const mfaVerified = adminCheck.mfaVerified === true || Boolean(sameUser && previous.mfaVerified);
+        
+        // 'unverified' sessions may only resend or confirm the verification email;
+        // 'mfa_pending' sessions may only finish two-step verification
+        let status = 'active';
+        if (adminCheck.isAdmin) {
+            if (adminCheck.mfaRequired && !mfaVerified) status = 'mfa_pending';
+        } else if (!user.emailVerified) {
+            status = 'unverified';
+        }
+        
         const sessionData = {
             userId: user.uid,
             email: user.email,
             displayName: user.displayName,
+            status: status,
             isAdmin: adminCheck.isAdmin,
             role: adminCheck.role,
             permissions: adminCheck.permissions || [],
-            loginTime: Date.now()
+            stationIds: adminCheck.stationIds || null,
+            mfaRequired: Boolean(adminCheck.mfaRequired),
+            mfaEnabled: Boolean(adminCheck.mfaEnabled),
+            mfaVerified: mfaVerified,
+            rememberMe: rememberMe,
+            loginTime: sameUser && previous.loginTime ? previous.loginTime : now,
+            expiresAt: sameUser && previous.expiresAt
+                ? previous.expiresAt
+                : now + (rememberMe ? AuthManager.REMEMBER_ME_TTL_MS : AuthManager.SESSION_TTL_MS),
+            lastActivity: now
+        };
+        
+        this.writeSession(sessionData);
+        
+        // Let other tabs know about a new sign-in or a change in access
+        if (!sameUser) {
+            this.broadcastAuthEvent('login', { session: this.sessionSummary(sessionData) });
+        } else if (JSON.stringify(this.sessionSummary(previous)) !== JSON.stringify(this.sessionSummary(sessionData))) {
+            this.broadcastAuthEvent('session_updated', { session: this.sessionSummary(sessionData) });
+        }
+    }
+
+    /**
+     * The parts of a session other tabs need to follow along
+     */
+    sessionSummary(session) {
+        return {
+            userId: session.userId,
+            status: session.status,
+            isAdmin: Boolean(session.isAdmin),
+            role: session.role || null,
+            permissions: session.permissions || [],
+            stationIds: session.stationIds || null,
+            mfaRequired: Boolean(session.mfaRequired),
+            mfaVerified: Boolean(session.mfaVerified)
         };
+    }
+
+    /**
+     * Write the session to the storage its remember-me choice calls for
+     */
+    writeSession(sessionData) {
+        const storage = sessionData.rememberMe ? localStorage : sessionStorage;
+        const other = sessionData.rememberMe ? sessionStorage : localStorage;
         
-        localStorage.setItem('ev_bunk_session', JSON.stringify(sessionData));
+        storage.setItem('ev_bunk_session', JSON.stringify(sessionData));
+        other.removeItem('ev_bunk_session');
     }
 
     /**
@@ -109,15 +240,17 @@ class AuthManager {
     clearUserSession() {
         localStorage.removeItem('ev_bunk_session');
         sessionStorage.removeItem('ev_bunk_session');
+        sessionStorage.removeItem('ev_bunk_remember_me');
+        this.hideIdleWarning();
     }
 
     /**
-     * Get stored session
+     * Read the stored session as-is, expired or not
      */
-    getStoredSession() {
+    readSession() {
         try {
-            const session = localStorage.getItem('ev_bunk_session') || 
-                          sessionStorage.getItem('ev_bunk_session');
+            const session = sessionStorage.getItem('ev_bunk_session') ||
+                          localStorage.getItem('ev_bunk_session');
             return session ? JSON.parse(session) : null;
         } catch (error) {
             this.logger.error('Error retrieving session', error);
@@ -125,21 +258,400 @@ class AuthManager {
         }
     }
 
+    /**
+     * Get stored session
+     * Expired sessions are never returned; finding one signs the user out.
+     */
+    getStoredSession() {
+        const session = this.readSession();
+        if (!session) return null;
+        
+        const expiryReason = this.getExpiryReason(session);
+        if (expiryReason) {
+            this.expireSession(expiryReason);
+            return null;
+        }
+        
+        return session;
+    }
+
+    /**
+     * Why a session is no longer valid: 'expired', 'idle', or null while it is
+     * Sessions written before expiry existed have no `expiresAt` and count as expired.
+     */
+    getExpiryReason(session, now = Date.now()) {
+        if (!session.expiresAt || now >= session.expiresAt) return 'expired';
+        
+        if (this.idleTimeoutApplies(session) &&
+            now - (session.lastActivity || session.loginTime || 0) >= AuthManager.IDLE_TIMEOUT_MS) {
+            return 'idle';
+        }
+        
+        return null;
+    }
+
+    /**
+     * Remembered driver sessions are meant to last, so only they skip the idle timeout
+     */
+    idleTimeoutApplies(session) {
+        return !session.rememberMe || Boolean(session.isAdmin);
+    }
+
+    /**
+     * End an expired session and sign out of the backend
+     */
+    async expireSession(reason, options = {}) {
+        if (this.expiring) return;
+        this.expiring = true;
+        
+        try {
+            const session = this.readSession();
+            this.clearUserSession();
+            this.logger.info('Session expired', { reason });
+            
+            if (session && !options.fromOtherTab) {
+                this.broadcastAuthEvent('expired', { userId: session.userId, reason: reason });
+            }
+            
+            // The login page explains why after the redirect, then returns here
+            sessionStorage.setItem('ev_bunk_session_expired', reason);
+            sessionStorage.setItem('ev_bunk_intended_destination', window.location.pathname);
+            
+            await window.FirebaseConfig.authMethods.signOut();
+            this.handleUserLogout();
+        } catch (error) {
+            this.logger.error('Error ending expired session', error);
+        } finally {
+            this.expiring = false;
+        }
+    }
+
+    /**
+     * Tell the user why they had to sign in again
+     */
+    announceExpiredSession() {
+        const reason = sessionStorage.getItem('ev_bunk_session_expired');
+        if (!reason) return;
+        
+        sessionStorage.removeItem('ev_bunk_session_expired');
+        
+        if (reason === 'account_deleted') {
+            this.showNotification('Your account has been deleted. Thank you for charging with us.', 'success');
+            return;
+        }
+        if (reason === 'suspended') {
+            this.showNotification('Your account has been suspended. Please contact support.', 'error');
+            return;
+        }
+        this.showNotification(reason === 'idle'
+            ? 'You were signed out after a period of inactivity. Please sign in again.'
+            : 'Your session has expired. Please sign in again.', 'warning');
+    }
+
+    /**
+     * Watch for activity and check the session on a timer
+     */
+    startSessionMonitor() {
+        if (this.sessionMonitor || typeof document === 'undefined') return;
+        
+        const onActivity = () => this.recordActivity();
+        ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, onActivity, { passive: true });
+        });
+        
+        this.sessionMonitor = setInterval(() => this.checkSessionTimeout(), AuthManager.SESSION_CHECK_INTERVAL_MS);
+    }
+
+    /**
+     * Push the idle deadline back (written at most every ACTIVITY_WRITE_INTERVAL_MS)
+     */
+    recordActivity(force = false) {
+        // Once the warning is up, only "Stay signed in" keeps the session
+        if (this.idleWarning && !force) return;
+        
+        const now = Date.now();
+        if (!force && now - this.lastActivityWrite < AuthManager.ACTIVITY_WRITE_INTERVAL_MS) return;
+        
+        const session = this.readSession();
+        if (!session || this.getExpiryReason(session, now)) return;
+        
+        this.lastActivityWrite = now;
+        this.writeSession({ ...session, lastActivity: now });
+        
+        // Activity in any tab keeps every tab's session alive
+        this.broadcastAuthEvent('activity', { userId: session.userId });
+    }
+
+    /**
+     * Expire the session or warn before the idle timeout
+     */
+    checkSessionTimeout() {
+        const session = this.readSession();
+        if (!session) {
+            this.hideIdleWarning();
+            return;
+        }
+        
+        const expiryReason = this.getExpiryReason(session);
+        if (expiryReason) {
+            this.expireSession(expiryReason);
+            return;
+        }
+        
+        if (!this.idleTimeoutApplies(session)) return;
+        
+        const idleDeadline = (session.lastActivity || session.loginTime) + AuthManager.IDLE_TIMEOUT_MS;
+        if (idleDeadline - Date.now() <= AuthManager.IDLE_WARNING_MS) {
+            this.showIdleWarning(idleDeadline);
+        } else {
+            this.hideIdleWarning();
+        }
+    }
+
+    /**
+     * Prompt before an idle sign-out, with a live countdown
+     */
+    showIdleWarning(idleDeadline) {
+        if (!this.idleWarning) {
+            const warning = document.createElement('div');
+            warning.className = 'session-warning';
+            warning.setAttribute('role', 'alertdialog');
+            warning.innerHTML = `
+                <div class="session-warning-content">
+                    <i class="fas fa-hourglass-half"></i>
+                    <p>You will be signed out in <strong class="session-warning-countdown"></strong> because of inactivity.</p>
+                    <div class="session-warning-actions">
+                        <button type="button" class="btn btn-primary" data-action="stay">Stay Signed In</button>
+                        <button type="button" class="btn btn-outline" data-action="signout">Sign Out</button>
+                    </div>
+                </div>
+            `;
+            
+            warning.querySelector('[data-action="stay"]').addEventListener('click', () => {
+                this.hideIdleWarning();
+                this.recordActivity(true);
+            });
+            warning.querySelector('[data-action="signout"]').addEventListener('click', () => {
+                this.hideIdleWarning();
+                this.signOut();
+            });
+            
+            document.body.appendChild(warning);
+            this.idleWarning = { element: warning, timer: null };
+        }
+        
+        // Restart the countdown against the latest deadline
+        clearInterval(this.idleWarning.timer);
+        const countdown = this.idleWarning.element.querySelector('.session-warning-countdown');
+        const tick = () => {
+            const secondsLeft = Math.max(0, Math.ceil((idleDeadline - Date.now()) / 1000));
+            countdown.textContent = `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+            if (secondsLeft === 0) this.checkSessionTimeout();
+        };
+        tick();
+        this.idleWarning.timer = setInterval(tick, 1000);
+    }
+
+    /**
+     * Remove the idle prompt
+     */
+    hideIdleWarning() {
+        if (!this.idleWarning) return;
+        
+        clearInterval(this.idleWarning.timer);
+        this.idleWarning.element.remove();
+        this.idleWarning = null;
+    }
+
+    /**
+     * Listen for sign-ins, sign-outs and session changes made in other tabs
+     * BroadcastChannel where available, otherwise storage events on a scratch key.
+     */
+    setupCrossTabSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.authChannel = new BroadcastChannel('ev_bunk_auth');
+            this.authChannel.onmessage = (event) => this.handleAuthBroadcast(event.data);
+        } else if (typeof window.addEventListener === 'function') {
+            window.addEventListener('storage', (event) => {
+                if (event.key !== 'ev_bunk_auth_event' || !event.newValue) return;
+                try {
+                    this.handleAuthBroadcast(JSON.parse(event.newValue));
+                } catch (error) {
+                    this.logger.error('Unreadable auth event from another tab', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Tell the other tabs about an auth change
+     */
+    broadcastAuthEvent(type, details = {}) {
+        const message = { type: type, tabId: AuthManager.TAB_ID, at: Date.now(), ...details };
+        
+        try {
+            if (this.authChannel) {
+                this.authChannel.postMessage(message);
+            } else if (typeof BroadcastChannel === 'undefined') {
+                // Only other tabs see storage events, and only for a value that changes
+                localStorage.setItem('ev_bunk_auth_event', JSON.stringify(message));
+                localStorage.removeItem('ev_bunk_auth_event');
+            }
+        } catch (error) {
+            this.logger.error('Error broadcasting auth event', error);
+        }
+    }
+
+    /**
+     * Bring this tab in line with an auth change made in another tab
+     */
+    handleAuthBroadcast(message) {
+        if (!message || message.tabId === AuthManager.TAB_ID) return;
+        
+        const session = this.readSession();
+        
+        switch (message.type) {
+            case 'logout':
+                if (session && session.userId === message.userId) {
+                    this.logger.info('Signed out in another tab');
+                    this.clearUserSession();
+                    // The backend may already be signed out and stay silent, so leave the page either way
+                    window.FirebaseConfig.authMethods.signOut().then(() => this.handleUserLogout());
+                }
+                break;
+                
+            case 'expired':
+                if (session && session.userId === message.userId) {
+                    this.expireSession(message.reason, { fromOtherTab: true });
+                }
+                break;
+                
+            case 'login':
+                if (session && session.userId !== message.session.userId) {
+                    // A different account signed in; this tab's session is stale
+                    this.logger.info('Another account signed in in another tab');
+                    this.clearUserSession();
+                    window.location.reload();
+                } else if (!session && this.isLoginPage()) {
+                    // Let the login page pick up the new sign-in and move on
+                    window.location.reload();
+                }
+                break;
+                
+            case 'session_updated':
+                if (session && session.userId === message.session.userId) {
+                    this.applySessionUpdate(session, message.session);
+                }
+                break;
+                
+            case 'activity':
+                if (session && session.userId === message.userId && message.at > (session.lastActivity || 0)) {
+                    this.writeSession({ ...session, lastActivity: message.at });
+                    this.hideIdleWarning();
+                }
+                break;
+                
+            default:
+                return;
+        }
+        
+        // Pages can re-render on auth changes from other tabs
+        if (typeof window.dispatchEvent === 'function' && typeof CustomEvent !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('ev-bunk-auth-changed', { detail: message }));
+        }
+    }
+
+    /**
+     * Take on a role, permission or status change from another tab
+     */
+    applySessionUpdate(session, update) {
+        const updated = {
+            ...session,
+            status: update.status,
+            isAdmin: update.isAdmin,
+            role: update.role,
+            permissions: update.permissions,
+            stationIds: update.stationIds,
+            mfaRequired: update.mfaRequired,
+            mfaVerified: update.mfaVerified
+        };
+        this.writeSession(updated);
+        this.isAdmin = updated.isAdmin;
+        
+        this.logger.info('Session updated in another tab', { role: updated.role });
+        
+        // Pages this session may no longer open
+        const currentPage = window.location.pathname;
+        if (currentPage.includes('admin') && !currentPage.includes('admin-login') && !updated.isAdmin) {
+            this.showNotification('Your admin access has changed', 'error');
+            this.redirectToLogin('admin');
+        }
+    }
+
+    /**
+     * Check if this page is a sign-in or registration page
+     */
+    isLoginPage() {
+        const currentPage = window.location.pathname;
+        return currentPage.includes('login') || currentPage.includes('register');
+    }
+
     /**
      * Check if user is authenticated
      */
     isAuthenticated() {
-        return this.currentUser !== null || this.getStoredSession() !== null;
+        const session = this.getStoredSession();
+        if (!session || session.status !== 'active') return false;
+        
+        // Once the backend has reported a user, the session must be theirs
+        return !this.currentUser || this.currentUser.uid === session.userId;
+    }
+
+    /**
+     * Check if the signed-in driver still has to verify their email address
+     */
+    isAwaitingVerification() {
+        const session = this.getStoredSession();
+        return Boolean(session && session.status === 'unverified');
+    }
+
+    /**
+     * Check if the signed-in admin still has to pass two-step verification
+     */
+    isAwaitingMfa() {
+        const session = this.getStoredSession();
+        return Boolean(session && session.status === 'mfa_pending');
+    }
+
+    /**
+     * Check if user has permission, on a given station when `stationId` is passed
+     * Reads the cached session, so use it to show or hide controls only;
+     * dbMethods re-checks the admin record on every admin write.
+     */
+    hasPermission(permission, stationId = null) {
+        const session = this.getStoredSession();
+        if (!session || !session.isAdmin || session.status !== 'active') return false;
+        
+        return window.FirebaseConfig.adminRoles.allows(session, permission, stationId);
     }
 
     /**
-     * Check if user has permission
+     * Check a permission against the admin's current record on the server
+     * Refreshes the cached session when the role or stations have changed.
      */
-    hasPermission(permission) {
+    async verifyPermission(permission, stationId = null) {
+        if (!this.currentUser) return false;
+        
+        const adminCheck = await window.FirebaseConfig.authMethods.checkAdminRole(this.currentUser.uid);
+        if (adminCheck.error) return false;
+        
         const session = this.getStoredSession();
-        if (!session || !session.permissions) return false;
+        if (session && session.userId === this.currentUser.uid) {
+            this.isAdmin = adminCheck.isAdmin;
+            this.storeUserSession(this.currentUser, adminCheck);
+        }
         
-        return session.permissions.includes(permission);
+        return adminCheck.isAdmin === true && window.FirebaseConfig.adminRoles.allows(adminCheck, permission, stationId);
     }
 
     /**
@@ -149,17 +661,17 @@ class AuthManager {
         const currentPage = window.location.pathname;
         const session = this.getStoredSession();
         
+        // AdminAuthentication verifies the role and routes from the admin login page itself
+        if (currentPage.includes('admin-login')) return;
+        
         if (session && session.isAdmin) {
             // Admin user trying to access admin area
-            if (currentPage.includes('admin-login') || currentPage.includes('user-login')) {
+            if (currentPage.includes('user-login')) {
                 window.location.href = 'admin-dashboard.html';
             }
         } else {
             // Regular user
-            if (currentPage.includes('admin-login')) {
-                this.showNotification('Please use user login', 'warning');
-                window.location.href = 'user-login.html';
-            } else if (currentPage.includes('admin-dashboard')) {
+            if (currentPage.includes('admin-dashboard')) {
                 this.showNotification('Admin access required', 'error');
                 window.location.href = 'user-login.html';
             }
@@ -196,21 +708,13 @@ class AuthManager {
     async getUserProfile() {
         if (!this.currentUser) return null;
         
-        try {
-            const { doc, getDoc } = window.firebase;
-            const docSnap = await getDoc(
-                doc(window.FirebaseConfig.firebaseServices.firestore, 'users', this.currentUser.uid)
-            );
-            
-            if (docSnap.exists()) {
-                return { userId: docSnap.id, ...docSnap.data() };
-            }
-            
-            return null;
-        } catch (error) {
-            this.logger.error('Error fetching user profile', error);
+        const result = await window.FirebaseConfig.dbMethods.getUserProfile(this.currentUser.uid);
+        if (!result.success) {
+            this.logger.error('Error fetching user profile', result.error);
             return null;
         }
+        
+        return result.profile;
     }
 
     /**
@@ -221,24 +725,88 @@ class AuthManager {
             throw new Error('User not authenticated');
         }
         
-        try {
-            const { doc, updateDoc, serverTimestamp } = window.firebase;
-            const { firestore } = window.FirebaseConfig.firebaseServices;
-            
-            await updateDoc(doc(firestore, 'users', this.currentUser.uid), {
-                ...updateData,
-                updatedAt: serverTimestamp()
-            });
-            
+        const result = await window.FirebaseConfig.dbMethods.updateUserProfile(this.currentUser.uid, updateData);
+        
+        if (result.success) {
             this.logger.info('User profile updated', { userId: this.currentUser.uid });
-            return { success: true };
-        } catch (error) {
-            this.logger.error('Error updating user profile', error);
-            return {
-                success: false,
-                error: error.message
-            };
+        } else {
+            this.logger.error('Error updating user profile', result.error);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Change the signed-in user's password
+     */
+    async changePassword(currentPassword, newPassword) {
+        if (!this.currentUser) {
+            throw new Error('User not authenticated');
+        }
+
+        const result = await window.FirebaseConfig.authMethods.changePassword(currentPassword, newPassword);
+
+        if (result.success) {
+            this.logger.info('Password changed', { userId: this.currentUser.uid });
+        } else {
+            this.logger.error('Error changing password', result.code);
         }
+
+        return result;
+    }
+
+    /**
+     * Send a confirmation link to a new email address
+     */
+    async requestEmailChange(newEmail, currentPassword) {
+        if (!this.currentUser) {
+            throw new Error('User not authenticated');
+        }
+
+        const result = await window.FirebaseConfig.authMethods.requestEmailChange(newEmail, currentPassword);
+
+        if (result.success) {
+            this.logger.info('Email change requested', { userId: this.currentUser.uid });
+        } else {
+            this.logger.error('Error requesting email change', result.code);
+        }
+
+        return result;
+    }
+
+    /**
+     * Collect the signed-in user's profile and bookings for download
+     */
+    async exportUserData() {
+        if (!this.currentUser) {
+            throw new Error('User not authenticated');
+        }
+
+        return window.FirebaseConfig.dbMethods.exportUserData(this.currentUser.uid);
+    }
+
+    /**
+     * Delete the signed-in driver's account; the login page confirms it afterwards
+     */
+    async deleteAccount(currentPassword) {
+        if (!this.currentUser) {
+            throw new Error('User not authenticated');
+        }
+
+        const userId = this.currentUser.uid;
+
+        // Set before the sign-out it causes, which redirects to the login page
+        sessionStorage.setItem('ev_bunk_session_expired', 'account_deleted');
+        const result = await window.FirebaseConfig.authMethods.deleteAccount(currentPassword);
+
+        if (result.success) {
+            this.logger.info('Account deleted', { userId: userId });
+        } else {
+            sessionStorage.removeItem('ev_bunk_session_expired');
+            this.logger.error('Error deleting account', result.code);
+        }
+
+        return result;
     }
 
     /**
@@ -260,6 +828,14 @@ class AuthManager {
     validateAuth(requiredRole = 'user') {
         const session = this.getStoredSession();
         
+        // Admins flagged for two-step verification need a verified session
+        if (requiredRole === 'admin' && session && session.isAdmin &&
+            session.mfaRequired && !session.mfaVerified) {
+            this.showNotification('Complete two-step verification to continue', 'error');
+            this.redirectToLogin('admin');
+            return false;
+        }
+        
         if (!this.isAuthenticated() || !session) {
             this.redirectToLogin(requiredRole);
             return false;
@@ -294,45 +870,27 @@ class AuthManager {
     }
 
     /**
-     * Password strength validation
+     * Password strength for the meter, scored by the shared PasswordPolicy
+     * `context` is `{ email, firstName, lastName, displayName }` of the account owner.
      */
-    validatePasswordStrength(password) {
-        const requirements = {
-            minLength: password.length >= 8,
-            hasUppercase: /[A-Z]/.test(password),
-            hasLowercase: /[a-z]/.test(password),
-            hasNumbers: /\d/.test(password),
-            hasSpecialChar: /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)
-        };
-        
-        const strength = Object.values(requirements).filter(Boolean).length;
-        
+    validatePasswordStrength(password, context = {}) {
+        const policy = window.PasswordPolicy.default;
+        const result = policy.validate(password, context);
+        const strength = policy.strength(password, context);
+
         return {
-            requirements,
-            strength,
-            isStrong: strength >= 4,
-            feedback: this.getPasswordFeedback(strength, requirements)
+            requirements: result.requirements,
+            strength: strength.score,
+            maxStrength: strength.maxScore,
+            isStrong: result.isValid,
+            feedback: {
+                level: strength.level,
+                message: strength.label,
+                feedback: strength.missing
+            }
         };
     }
 
-    /**
-     * Get password feedback
-     */
-    getPasswordFeedback(strength, requirements) {
-        const feedback = [];
-        
-        if (!requirements.minLength) feedback.push('At least 8 characters');
-        if (!requirements.hasUppercase) feedback.push('One uppercase letter');
-        if (!requirements.hasLowercase) feedback.push('One lowercase letter');
-        if (!requirements.hasNumbers) feedback.push('One number');
-        if (!requirements.hasSpecialChar) feedback.push('One special character');
-        
-        if (strength < 2) return { level: 'weak', message: 'Password is too weak', feedback };
-        if (strength < 4) return { level: 'medium', message: 'Password is okay', feedback };
-        if (strength < 5) return { level: 'strong', message: 'Password is strong', feedback };
-        return { level: 'very-strong', message: 'Password is very strong', feedback };
-    }
-
     /**
      * Logger utility
      */
@@ -349,6 +907,14 @@ class AuthManager {
     };
 }
 
+AuthManager.SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+AuthManager.REMEMBER_ME_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+AuthManager.IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+AuthManager.IDLE_WARNING_MS = 2 * 60 * 1000; // warn this long before an idle sign-out
+AuthManager.SESSION_CHECK_INTERVAL_MS = 15 * 1000;
+AuthManager.ACTIVITY_WRITE_INTERVAL_MS = 30 * 1000;
+AuthManager.TAB_ID = Date.now().toString(36) + Math.random().toString(36).substr(2, 6); // ignores this page's own broadcasts
+
 // Export for global use
 if (typeof window !== 'undefined') {
     window.AuthManager = AuthManager;
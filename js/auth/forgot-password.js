@@ -0,0 +1,179 @@
+/**
+ * Forgot Password
+ * Author: MiniMax Agent
+ * Description: Password reset request page for drivers and admins
+ */
+
+class ForgotPassword {
+    constructor() {
+        this.formValidator = new FormValidator();
+
+        // Admins arrive with ?from=admin and should land back on the admin login
+        const fromAdmin = new URLSearchParams(window.location.search).get('from') === 'admin';
+        this.loginPage = fromAdmin ? 'admin-login.html' : 'user-login.html';
+
+        this.init();
+    }
+
+    /**
+     * Initialize the reset request page
+     */
+    init() {
+        ['backToLogin', 'signInLink'].forEach(linkId => {
+            const link = document.getElementById(linkId);
+            if (link) link.href = this.loginPage;
+        });
+
+        const form = document.getElementById('forgotPasswordForm');
+        if (form) {
+            form.addEventListener('submit', this.handleResetRequest.bind(this));
+        }
+
+        const emailInput = document.getElementById('email');
+        if (emailInput) {
+            emailInput.addEventListener('input', () => this.clearError('emailError'));
+        }
+
+        this.logger.info('ForgotPassword initialized');
+    }
+
+    /**
+     * Handle reset request
+     */
+    async handleResetRequest(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const email = (new FormData(form).get('email') || '').trim();
+
+        const emailValidation = this.formValidator.validate('Email', email, 'email');
+        if (!emailValidation.isValid) {
+            this.showError('emailError', emailValidation.message);
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('resetButton'));
+
+        try {
+            const result = await window.FirebaseConfig.authMethods.requestPasswordReset(email, this.loginPage);
+
+            if (result.success) {
+                this.logger.info('Password reset requested');
+                this.showSentState(email);
+            } else {
+                this.showError('emailError', this.getErrorMessage(result.code));
+            }
+        } catch (error) {
+            this.logger.error('Password reset request error', error);
+            this.showError('emailError', 'An unexpected error occurred. Please try again.');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Swap the form for the "check your inbox" message
+     */
+    showSentState(email) {
+        document.getElementById('forgotPasswordForm').style.display = 'none';
+        document.getElementById('resetEmail').textContent = email;
+        document.getElementById('resetSent').style.display = 'block';
+
+        // In demo mode no mail is sent, so link straight to the message
+        const backend = window.FirebaseConfig.firebaseServices.backend;
+        const demoLink = document.getElementById('demoResetLink');
+        if (backend && backend.outbox && demoLink) {
+            const latest = backend.outbox
+                .filter(mail => mail.mode === 'resetPassword' && mail.to === email.toLowerCase())
+                .pop();
+            if (latest) {
+                demoLink.href = latest.link;
+                demoLink.style.display = 'inline-block';
+            }
+        }
+    }
+
+    /**
+     * Show individual field error
+     */
+    showError(fieldId, message) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+
+            const input = document.getElementById(fieldId.replace('Error', ''));
+            if (input) {
+                input.classList.add('error');
+            }
+        }
+    }
+
+    /**
+     * Clear field error
+     */
+    clearError(fieldId) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+
+            const input = document.getElementById(fieldId.replace('Error', ''));
+            if (input) {
+                input.classList.remove('error');
+            }
+        }
+    }
+
+    /**
+     * Get error message from an auth error code
+     */
+    getErrorMessage(errorCode) {
+        const errorMap = {
+            'auth/invalid-email': 'Please enter a valid email address.',
+            'auth/missing-email': 'Please enter your email address.',
+            'auth/too-many-requests': 'Too many reset requests. Please wait a few minutes and try again.',
+            'auth/network-request-failed': 'Network error. Check your connection and try again.'
+        };
+
+        return errorMap[errorCode] || 'We could not send the reset email. Please try again.';
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(buttonElement) {
+        if (buttonElement) {
+            const originalText = buttonElement.innerHTML;
+            buttonElement.innerHTML = '<span class="loading"></span> Sending...';
+            buttonElement.disabled = true;
+            return () => {
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+            };
+        }
+        return () => {};
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[ForgotPassword] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[ForgotPassword] ERROR: ${message}`, error || '');
+        }
+    };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.forgotPassword = new ForgotPassword();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgotPassword;
+}
\ No newline at end of file
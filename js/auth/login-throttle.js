@@ -0,0 +1,178 @@
+/**
+ * Login Throttle
+ * Author: MiniMax Agent
+ * Description: Per-email failed sign-in tracking with progressive delays and temporary lockout
+ *
+ * After FREE_ATTEMPTS failures each further attempt must wait twice as long
+ * as the last (from BASE_DELAY_MS up to MAX_DELAY_MS); LOCKOUT_THRESHOLD
+ * failures lock the email out for LOCKOUT_MS. Failures older than
+ * ATTEMPT_WINDOW_MS are forgotten. State lives in localStorage, so this slows
+ * down guessing in the browser; it is not a substitute for server-side limits.
+ */
+
+class LoginThrottle {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Storage-like object for attempt counts (defaults to localStorage when available)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.memory = {}; // used when there is no storage, e.g. under Node
+    }
+
+    /**
+     * Whether a sign-in for this email may be attempted now
+     * Returns `{ allowed, failures }`, plus `reason` ('delayed' or 'locked')
+     * and `retryAt` (epoch ms) when it may not.
+     */
+    check(email, now = Date.now()) {
+        const entry = this.read(email, now);
+        if (!entry) return { allowed: true, failures: 0 };
+
+        if (entry.lockedUntil && now < entry.lockedUntil) {
+            return { allowed: false, reason: 'locked', retryAt: entry.lockedUntil, failures: entry.failures };
+        }
+        if (entry.nextAttemptAt && now < entry.nextAttemptAt) {
+            return { allowed: false, reason: 'delayed', retryAt: entry.nextAttemptAt, failures: entry.failures };
+        }
+        return { allowed: true, failures: entry.failures };
+    }
+
+    /**
+     * Count a failed attempt; returns the resulting `check` status
+     */
+    recordFailure(email, now = Date.now()) {
+        const entry = this.read(email, now) || { failures: 0 };
+
+        entry.failures += 1;
+        entry.lastFailure = now;
+
+        if (entry.failures >= LoginThrottle.LOCKOUT_THRESHOLD) {
+            entry.lockedUntil = now + LoginThrottle.LOCKOUT_MS;
+            entry.nextAttemptAt = entry.lockedUntil;
+        } else {
+            entry.nextAttemptAt = now + LoginThrottle.delayAfter(entry.failures);
+        }
+
+        this.write(email, entry);
+        return this.check(email, now);
+    }
+
+    /**
+     * Forget the failures for an email after a successful sign-in
+     */
+    recordSuccess(email) {
+        this.write(email, null);
+    }
+
+    /**
+     * Wait required after this many consecutive failures
+     */
+    static delayAfter(failures) {
+        if (failures <= LoginThrottle.FREE_ATTEMPTS) return 0;
+
+        const delay = LoginThrottle.BASE_DELAY_MS * Math.pow(2, failures - LoginThrottle.FREE_ATTEMPTS - 1);
+        return Math.min(delay, LoginThrottle.MAX_DELAY_MS);
+    }
+
+    /**
+     * Current entry for an email, or null once it has lapsed
+     */
+    read(email, now) {
+        const entry = this.load()[LoginThrottle.key(email)];
+        if (!entry) return null;
+
+        // A finished lockout starts the count again
+        if (entry.lockedUntil && now >= entry.lockedUntil) return null;
+        if (!entry.lockedUntil && now - entry.lastFailure > LoginThrottle.ATTEMPT_WINDOW_MS) return null;
+
+        return { ...entry };
+    }
+
+    write(email, entry) {
+        const entries = this.load();
+        if (entry) {
+            entries[LoginThrottle.key(email)] = entry;
+        } else {
+            delete entries[LoginThrottle.key(email)];
+        }
+
+        if (this.storage) {
+            this.storage.setItem(LoginThrottle.STORAGE_KEY, JSON.stringify(entries));
+        } else {
+            this.memory = entries;
+        }
+    }
+
+    load() {
+        if (!this.storage) return { ...this.memory };
+
+        try {
+            return JSON.parse(this.storage.getItem(LoginThrottle.STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static key(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Keep a sign-in button disabled with a live "Try again in m:ss" until `retryAt`
+     * Restarting the countdown on the same button keeps its original label.
+     */
+    static startRetryCountdown(buttonElement, retryAt) {
+        if (!buttonElement || !retryAt) return;
+
+        const previous = LoginThrottle.countdowns.get(buttonElement);
+        if (previous) clearInterval(previous.timer);
+        const originalText = previous ? previous.originalText : buttonElement.innerHTML;
+        const countdown = { originalText, timer: null };
+        LoginThrottle.countdowns.set(buttonElement, countdown);
+
+        const tick = () => {
+            const remaining = Math.ceil((retryAt - Date.now()) / 1000);
+            if (remaining <= 0) {
+                clearInterval(countdown.timer);
+                LoginThrottle.countdowns.delete(buttonElement);
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+                return;
+            }
+
+            const minutes = Math.floor(remaining / 60);
+            const seconds = String(remaining % 60).padStart(2, '0');
+            buttonElement.innerHTML = `<i class="fas fa-hourglass-half"></i> Try again in ${minutes}:${seconds}`;
+            buttonElement.disabled = true;
+        };
+
+        tick();
+        if (LoginThrottle.countdowns.get(buttonElement) === countdown) {
+            countdown.timer = setInterval(tick, 1000);
+        }
+    }
+}
+
+LoginThrottle.STORAGE_KEY = 'ev_bunk_login_attempts';
+LoginThrottle.FREE_ATTEMPTS = 2;
+LoginThrottle.BASE_DELAY_MS = 2 * 1000;
+LoginThrottle.MAX_DELAY_MS = 30 * 1000;
+LoginThrottle.LOCKOUT_THRESHOLD = 5;
+LoginThrottle.LOCKOUT_MS = 15 * 60 * 1000;
+LoginThrottle.ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+
+// Running retry countdowns by button, so a restart can clear the old timer
+LoginThrottle.countdowns = new WeakMap();
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.LoginThrottle = LoginThrottle;
+}
+
+// For module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoginThrottle;
+}
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Password Policy
+ * Author: MiniMax Agent
+ * Description: The one set of password rules used by registration, password reset, change password and the strength meter
+ *
+ * Rules come from PasswordPolicy.DEFAULTS and can be overridden with
+ * PasswordPolicy.configure(). Checks that need to know who the password is
+ * for take a context of `{ email, firstName, lastName, displayName }`.
+ */
+
+class PasswordPolicy {
+    /**
+     * @param {Object} options - Overrides for PasswordPolicy.DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...PasswordPolicy.DEFAULTS, ...options };
+    }
+
+    /**
+     * Check a password against every rule
+     * Returns `{ isValid, failures, message, requirements }`: `failures` lists
+     * the broken rule names in order, `message` is the first one's error.
+     */
+    validate(password, context = {}) {
+        const value = String(password || '');
+        const options = this.options;
+
+        const requirements = {
+            minLength: value.length >= options.minLength,
+            maxLength: value.length <= options.maxLength,
+            uppercase: !options.requireUppercase || /[A-Z]/.test(value),
+            lowercase: !options.requireLowercase || /[a-z]/.test(value),
+            number: !options.requireNumber || /\d/.test(value),
+            symbol: !options.requireSymbol || PasswordPolicy.SYMBOL_PATTERN.test(value),
+            notCommon: !options.blockCommon || !PasswordPolicy.isCommon(value),
+            notPersonal: !options.blockPersonalInfo || !PasswordPolicy.containsPersonalInfo(value, context)
+        };
+
+        const failures = Object.keys(requirements).filter(rule => !requirements[rule]);
+
+        return {
+            isValid: failures.length === 0,
+            failures,
+            message: failures.length ? this.errorMessage(failures[0]) : null,
+            requirements
+        };
+    }
+
+    /**
+     * Score a password for the strength meter
+     * Returns `{ score, maxScore, level, label, isValid, missing }`. A password
+     * that breaks the policy never rates above "medium".
+     */
+    strength(password, context = {}) {
+        const value = String(password || '');
+        const result = this.validate(value, context);
+
+        const checks = [
+            value.length >= this.options.minLength,
+            /[A-Z]/.test(value),
+            /[a-z]/.test(value),
+            /\d/.test(value),
+            PasswordPolicy.SYMBOL_PATTERN.test(value)
+        ];
+        let score = checks.filter(Boolean).length;
+        if (value.length >= this.options.minLength + 4) score += 1;
+        score = Math.min(score, PasswordPolicy.MAX_SCORE);
+
+        let level;
+        if (!result.isValid) {
+            level = score < 3 ? 'weak' : 'medium';
+        } else {
+            level = score < PasswordPolicy.MAX_SCORE ? 'strong' : 'very-strong';
+        }
+
+        return {
+            score,
+            maxScore: PasswordPolicy.MAX_SCORE,
+            level,
+            label: PasswordPolicy.LEVEL_LABELS[level],
+            isValid: result.isValid,
+            missing: result.failures.map(rule => this.hint(rule))
+        };
+    }
+
+    /**
+     * Sentence shown next to the password field when a rule is broken
+     */
+    errorMessage(rule) {
+        const options = this.options;
+        const messages = {
+            minLength: `Password must be at least ${options.minLength} characters`,
+            maxLength: `Password must be at most ${options.maxLength} characters`,
+            uppercase: 'Password must include an uppercase letter',
+            lowercase: 'Password must include a lowercase letter',
+            number: 'Password must include a number',
+            symbol: 'Password must include a special character',
+            notCommon: 'This password is too common. Please choose one that is harder to guess',
+            notPersonal: 'Password must not contain your name or email address'
+        };
+        return messages[rule];
+    }
+
+    /**
+     * Short requirement text for the strength meter's checklist
+     */
+    hint(rule) {
+        const options = this.options;
+        const hints = {
+            minLength: `At least ${options.minLength} characters`,
+            maxLength: `At most ${options.maxLength} characters`,
+            uppercase: 'One uppercase letter',
+            lowercase: 'One lowercase letter',
+            number: 'One number',
+            symbol: 'One special character',
+            notCommon: 'Not a commonly used password',
+            notPersonal: 'No name or email address'
+        };
+        return hints[rule];
+    }
+
+    /**
+     * Whether a password is on the blocklist, ignoring case and a trailing run
+     * of digits or symbols ("Password123!" counts as "password")
+     */
+    static isCommon(password) {
+        const lowered = String(password || '').toLowerCase();
+        const stem = lowered.replace(/[\d\W_]+$/, '');
+        const blocklist = PasswordPolicy.commonPasswordSet();
+
+        return blocklist.has(lowered) || (stem.length >= 4 && blocklist.has(stem));
+    }
+
+    /**
+     * Whether a password contains the email's local part or a name of 3+ letters
+     */
+    static containsPersonalInfo(password, context = {}) {
+        const lowered = String(password || '').toLowerCase();
+        const emailName = String(context.email || '').toLowerCase().split('@')[0];
+        const names = [context.firstName, context.lastName, ...String(context.displayName || '').split(/\s+/)];
+
+        return [emailName, ...names]
+            .map(part => String(part || '').trim().toLowerCase())
+            .filter(part => part.length >= 3)
+            .some(part => lowered.includes(part));
+    }
+
+    static commonPasswordSet() {
+        if (!PasswordPolicy.commonSet) {
+            PasswordPolicy.commonSet = new Set(PasswordPolicy.COMMON_PASSWORDS);
+        }
+        return PasswordPolicy.commonSet;
+    }
+
+    /**
+     * The policy used across the app
+     */
+    static get default() {
+        if (!PasswordPolicy.instance) {
+            PasswordPolicy.instance = new PasswordPolicy();
+        }
+        return PasswordPolicy.instance;
+    }
+
+    /**
+     * Replace the app-wide policy, e.g. `PasswordPolicy.configure({ requireSymbol: true })`
+     */
+    static configure(options = {}) {
+        PasswordPolicy.instance = new PasswordPolicy(options);
+        return PasswordPolicy.instance;
+    }
+}
+
+PasswordPolicy.DEFAULTS = {
+    minLength: 8,
+    maxLength: 128,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: false,
+    blockCommon: true,
+    blockPersonalInfo: true
+};
+
+PasswordPolicy.MAX_SCORE = 5;
+PasswordPolicy.SYMBOL_PATTERN = /[^A-Za-z0-9]/;
+PasswordPolicy.LEVEL_LABELS = {
+    weak: 'Password is too weak',
+    medium: 'Password is okay',
+    strong: 'Password is strong',
+    'very-strong': 'Password is very strong'
+};
+
+// Most common leaked passwords, kept local so no password leaves the browser
+PasswordPolicy.COMMON_PASSWORDS = [
+    'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'password1', 'pass', 'passpass',
+    '123456', '1234567', '12345678', '123456789', '1234567890', '0987654321',
+    '111111', '000000', '121212', '123123', '654321', '666666', '696969', '112233',
+    'qwerty', 'qwertyuiop', 'qwerty123', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r',
+    '1qaz2wsx', 'qazwsx', 'abc123', 'abcd1234', 'aa123456', 'iloveyou', 'letmein',
+    'welcome', 'welcome1', 'admin', 'administrator', 'root', 'login', 'master',
+    'secret', 'changeme', 'default', 'guest', 'test', 'testing', 'access', 'trustno1',
+    'monkey', 'dragon', 'football', 'baseball', 'basketball', 'soccer', 'hockey',
+    'cricket', 'superman', 'batman', 'starwars', 'pokemon', 'sunshine', 'princess',
+    'shadow', 'michael', 'jennifer', 'jordan', 'hunter', 'buster', 'charlie', 'thomas',
+    'daniel', 'andrew', 'joshua', 'jessica', 'ashley', 'summer', 'winter', 'freedom',
+    'whatever', 'mustang', 'ferrari', 'porsche', 'harley', 'ranger', 'tigger',
+    'cheese', 'cookie', 'chocolate', 'computer', 'internet', 'samsung', 'google',
+    'killer', 'pepper', 'ginger', 'hello', 'hello123', 'lovely', 'loveme', 'flower',
+    'qwe123', 'zaq12wsx', 'q1w2e3r4', 'q1w2e3r4t5', 'blink182', 'matrix',
+    'evbunk', 'evcharge', 'charging', 'recharge', 'electric', 'tesla'
+];
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.PasswordPolicy = PasswordPolicy;
+}
+
+// For module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PasswordPolicy;
+}
\ No newline at end of file
@@ -0,0 +1,488 @@
+/**
+ * User Profile
+ * Author: MiniMax Agent
+ * Description: Self-service page for drivers: profile details, email and password changes, data export and account deletion
+ */
+
+class UserProfile {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.formValidator = new FormValidator();
+        this.profile = null;
+        this.init();
+    }
+
+    /**
+     * Initialize the profile page
+     */
+    init() {
+        this.setupEventListeners();
+
+        // AuthManager records the signed-in user before this listener runs
+        window.FirebaseConfig.authMethods.onAuthStateChanged((user) => {
+            if (user && this.authManager.validateAuth('user')) {
+                this.loadProfile(user);
+            }
+        });
+
+        this.logger.info('UserProfile initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const handlers = {
+            profileForm: this.handleProfileSave.bind(this),
+            emailChangeForm: this.handleEmailChange.bind(this),
+            passwordChangeForm: this.handlePasswordChange.bind(this),
+            deleteAccountForm: this.handleDeleteAccount.bind(this)
+        };
+
+        Object.entries(handlers).forEach(([formId, handler]) => {
+            const form = document.getElementById(formId);
+            if (form) {
+                form.addEventListener('submit', handler);
+            }
+        });
+
+        const exportButton = document.getElementById('exportDataButton');
+        if (exportButton) {
+            exportButton.addEventListener('click', this.handleExport.bind(this));
+        }
+
+        const newPasswordInput = document.getElementById('newPassword');
+        if (newPasswordInput) {
+            newPasswordInput.addEventListener('input', (e) => {
+                this.updatePasswordStrength(e.target.value, document.getElementById('passwordStrength'));
+                this.clearError('newPasswordError');
+            });
+        }
+    }
+
+    /**
+     * Fill the page from the profile document
+     */
+    async loadProfile(user) {
+        const session = this.authManager.getStoredSession();
+        if (session && session.isAdmin) {
+            // Admin accounts have no driver profile
+            window.location.href = 'admin-dashboard.html';
+            return;
+        }
+
+        this.profile = await this.authManager.getUserProfile();
+        if (!this.profile) {
+            this.showNotification('Could not load your profile. Please try again.', 'error');
+            return;
+        }
+
+        ['firstName', 'lastName', 'phone', 'vehicleType'].forEach(field => {
+            const input = document.getElementById(field);
+            if (input) {
+                input.value = this.profile[field] || '';
+            }
+        });
+
+        document.getElementById('currentEmail').textContent = user.email;
+
+        const badge = document.getElementById('emailVerifiedBadge');
+        badge.textContent = user.emailVerified ? 'Verified' : 'Not verified';
+        badge.classList.toggle('verified', Boolean(user.emailVerified));
+    }
+
+    /**
+     * Save name, phone and vehicle
+     */
+    async handleProfileSave(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const updates = {
+            firstName: (formData.get('firstName') || '').trim(),
+            lastName: (formData.get('lastName') || '').trim(),
+            phone: (formData.get('phone') || '').trim(),
+            vehicleType: formData.get('vehicleType') || ''
+        };
+
+        ['firstName', 'lastName', 'phone', 'vehicleType'].forEach(field => this.clearError(`${field}Error`));
+
+        const errors = this.validateProfile(updates);
+        if (errors.length > 0) {
+            errors.forEach(error => this.showError(error.field, error.message));
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('profileSaveButton'), 'Saving...');
+
+        try {
+            const result = await this.authManager.updateUserProfile(updates);
+
+            if (result.success) {
+                this.profile = { ...this.profile, ...updates };
+                this.showNotification('Profile updated', 'success');
+            } else if (result.fieldErrors) {
+                Object.entries(result.fieldErrors).forEach(([field, message]) => {
+                    this.showError(`${field}Error`, message);
+                });
+            } else {
+                this.showNotification(result.error || 'Could not save your profile. Please try again.', 'error');
+            }
+        } catch (error) {
+            this.logger.error('Profile save error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Validate the editable profile fields
+     */
+    validateProfile(updates) {
+        const errors = [];
+        const labels = { firstName: 'First Name', lastName: 'Last Name', phone: 'Phone', vehicleType: 'Vehicle Type' };
+
+        Object.entries(labels).forEach(([field, label]) => {
+            if (!updates[field]) {
+                errors.push({ field: `${field}Error`, message: `${label} is required` });
+            }
+        });
+
+        if (updates.phone) {
+            const phoneValidation = this.formValidator.validate('Phone', updates.phone, 'phone');
+            if (!phoneValidation.isValid) {
+                errors.push({ field: 'phoneError', message: phoneValidation.message });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Send a confirmation link to the new email address
+     */
+    async handleEmailChange(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const newEmail = (formData.get('newEmail') || '').trim();
+        const currentPassword = formData.get('currentPassword') || '';
+
+        this.clearError('newEmailError');
+        this.clearError('emailCurrentPasswordError');
+        document.getElementById('emailChangeNotice').style.display = 'none';
+
+        const emailValidation = this.formValidator.validate('Email', newEmail, 'email');
+        if (!newEmail || !emailValidation.isValid) {
+            this.showError('newEmailError', emailValidation.message || 'Please enter a valid email address');
+            return;
+        }
+        if (!currentPassword) {
+            this.showError('emailCurrentPasswordError', 'Enter your current password');
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('emailChangeButton'), 'Sending...');
+
+        try {
+            const result = await this.authManager.requestEmailChange(newEmail, currentPassword);
+
+            if (result.success) {
+                form.reset();
+                const notice = document.getElementById('emailChangeNotice');
+                notice.textContent = `We sent a confirmation link to ${result.pendingEmail}. Your email changes once you follow it.`;
+                notice.style.display = 'block';
+            } else if (result.field === 'currentPassword') {
+                this.showError('emailCurrentPasswordError', this.getErrorMessage(result.code, result.error));
+            } else {
+                this.showError('newEmailError', this.getErrorMessage(result.code, result.error));
+            }
+        } catch (error) {
+            this.logger.error('Email change error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Change the password after confirming the current one
+     */
+    async handlePasswordChange(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const currentPassword = formData.get('currentPassword') || '';
+        const newPassword = formData.get('newPassword') || '';
+
+        this.clearError('currentPasswordError');
+        this.clearError('newPasswordError');
+
+        if (!currentPassword) {
+            this.showError('currentPasswordError', 'Enter your current password');
+            return;
+        }
+
+        const passwordCheck = PasswordPolicy.default.validate(newPassword, this.getPasswordContext());
+        if (!passwordCheck.isValid) {
+            this.showError('newPasswordError', passwordCheck.message);
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('passwordChangeButton'), 'Updating...');
+
+        try {
+            const result = await this.authManager.changePassword(currentPassword, newPassword);
+
+            if (result.success) {
+                form.reset();
+                this.updatePasswordStrength('', document.getElementById('passwordStrength'));
+                this.showNotification('Password changed', 'success');
+            } else if (result.field === 'currentPassword') {
+                this.showError('currentPasswordError', this.getErrorMessage(result.code, result.error));
+            } else {
+                this.showError('newPasswordError', this.getErrorMessage(result.code, result.error));
+            }
+        } catch (error) {
+            this.logger.error('Password change error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Download the profile and bookings as a JSON file
+     */
+    async handleExport() {
+        const resetLoading = this.showLoading(document.getElementById('exportDataButton'), 'Preparing...');
+
+        try {
+            const result = await this.authManager.exportUserData();
+            if (!result.success) {
+                this.showNotification(result.error || 'Could not export your data. Please try again.', 'error');
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `ev-bunk-my-data-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            this.logger.info('Data exported', { bookings: result.data.bookings.length });
+        } catch (error) {
+            this.logger.error('Data export error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Delete the account once the driver has typed DELETE and their password
+     */
+    async handleDeleteAccount(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const confirmation = (formData.get('deleteConfirmation') || '').trim();
+        const currentPassword = formData.get('currentPassword') || '';
+
+        this.clearError('deleteConfirmationError');
+        this.clearError('deletePasswordError');
+
+        if (confirmation !== 'DELETE') {
+            this.showError('deleteConfirmationError', 'Type DELETE in capitals to confirm');
+            return;
+        }
+        if (!currentPassword) {
+            this.showError('deletePasswordError', 'Enter your current password');
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('deleteAccountButton'), 'Deleting...');
+
+        try {
+            const result = await this.authManager.deleteAccount(currentPassword);
+
+            if (result.success) {
+                // The sign-out that follows takes the driver to the login page
+                this.showNotification('Your account has been deleted', 'success');
+                return;
+            }
+
+            if (result.field === 'currentPassword') {
+                this.showError('deletePasswordError', this.getErrorMessage(result.code, result.error));
+            } else {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+            }
+        } catch (error) {
+            this.logger.error('Account deletion error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Name and email the new password must not contain
+     */
+    getPasswordContext() {
+        const user = this.authManager.getCurrentUser();
+        return {
+            email: user ? user.email : '',
+            firstName: this.profile ? this.profile.firstName : '',
+            lastName: this.profile ? this.profile.lastName : ''
+        };
+    }
+
+    /**
+     * Update password strength indicator
+     */
+    updatePasswordStrength(password, indicator) {
+        if (!indicator) return;
+
+        if (password.length === 0) {
+            indicator.style.display = 'none';
+            return;
+        }
+
+        const strength = this.authManager.validatePasswordStrength(password, this.getPasswordContext());
+        const strengthBar = indicator.querySelector('.strength-fill');
+        const strengthText = indicator.querySelector('.strength-text');
+
+        indicator.style.display = 'block';
+        strengthBar.style.width = ((strength.strength / strength.maxStrength) * 100) + '%';
+
+        const colors = {
+            weak: '#ef4444',
+            medium: '#f59e0b',
+            strong: '#10b981',
+            'very-strong': '#059669'
+        };
+        strengthBar.style.background = colors[strength.feedback.level];
+        strengthText.textContent = strength.feedback.message;
+        strengthText.title = !strength.isStrong && strength.feedback.feedback.length > 0
+            ? `Missing: ${strength.feedback.feedback.join(', ')}`
+            : '';
+    }
+
+    /**
+     * Show individual field error
+     */
+    showError(fieldId, message) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+
+            // Add error class to input if exists
+            const inputId = fieldId.replace('Error', '');
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.classList.add('error');
+            }
+        } else {
+            this.showNotification(message, 'error');
+        }
+    }
+
+    /**
+     * Clear field error
+     */
+    clearError(fieldId) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+
+            // Remove error class from input if exists
+            const inputId = fieldId.replace('Error', '');
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.classList.remove('error');
+            }
+        }
+    }
+
+    /**
+     * Get error message from an auth or profile error code
+     */
+    getErrorMessage(errorCode, fallback) {
+        const errorMap = {
+            'auth/wrong-password': 'Incorrect password. Please try again.',
+            'auth/invalid-credential': 'Incorrect password. Please try again.',
+            'auth/requires-recent-login': 'For your security, please sign in again and retry.',
+            'auth/email-already-in-use': 'Another account already uses this email address.',
+            'auth/invalid-email': 'Please enter a valid email address.',
+            'auth/weak-password': 'Password is too weak. Please choose a stronger password.',
+            'auth/too-many-requests': 'Too many attempts. Please try again later.',
+            'auth/network-request-failed': 'Network error. Check your connection and try again.'
+        };
+
+        return errorMap[errorCode] || fallback || 'An error occurred. Please try again.';
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(buttonElement, label) {
+        if (buttonElement) {
+            const originalText = buttonElement.innerHTML;
+            buttonElement.innerHTML = `<span class="loading"></span> ${label}`;
+            buttonElement.disabled = true;
+            return () => {
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+            };
+        }
+        return () => {};
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info', duration = 5000) {
+        if (window.evApp && window.evApp.showNotification) {
+            window.evApp.showNotification(message, type, duration);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[UserProfile] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[UserProfile] ERROR: ${message}`, error || '');
+        },
+        warn: (message, data = null) => {
+            console.warn(`[UserProfile] WARN: ${message}`, data || '');
+        }
+    };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Only initialize on the profile page
+    if (window.location.pathname.includes('profile')) {
+        window.userProfile = new UserProfile();
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserProfile;
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * TOTP
+ * Author: MiniMax Agent
+ * Description: Time-based one-time passwords (RFC 6238) and recovery codes for admin two-step verification
+ *
+ * Secrets are base32 strings, the format authenticator apps expect. Every
+ * time-dependent method takes `{ now }` (epoch milliseconds) so tests can pin
+ * the clock. Hashing uses Web Crypto, so the code methods are async.
+ */
+
+class TOTP {
+    static get STEP_SECONDS() {
+        return 30;
+    }
+
+    static get DIGITS() {
+        return 6;
+    }
+
+    static get BASE32_ALPHABET() {
+        return 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    }
+
+    /**
+     * A new random secret (160 bits, as RFC 4226 recommends)
+     */
+    static generateSecret() {
+        return TOTP.base32Encode(TOTP.randomBytes(20));
+    }
+
+    /**
+     * Time step number for a moment
+     */
+    static stepAt(now = Date.now()) {
+        return Math.floor(now / 1000 / TOTP.STEP_SECONDS);
+    }
+
+    /**
+     * The code for a secret at a moment
+     */
+    static async generate(secret, options = {}) {
+        const step = options.step !== undefined ? options.step : TOTP.stepAt(options.now);
+        return TOTP.hotp(TOTP.base32Decode(secret), step);
+    }
+
+    /**
+     * Check a code, allowing `window` steps of clock drift either way
+     * Returns the matching step, or null. Steps at or before `afterStep` are
+     * refused so a code cannot be replayed.
+     */
+    static async verify(secret, code, options = {}) {
+        const normalized = String(code || '').replace(/\s+/g, '');
+        if (!new RegExp(`^\\d{${TOTP.DIGITS}}$`).test(normalized)) return null;
+
+        const key = TOTP.base32Decode(secret);
+        const current = TOTP.stepAt(options.now);
+        const drift = options.window !== undefined ? options.window : 1;
+        const afterStep = options.afterStep !== undefined && options.afterStep !== null ? options.afterStep : -Infinity;
+
+        for (let step = current - drift; step <= current + drift; step++) {
+            if (step <= afterStep) continue;
+            if (await TOTP.hotp(key, step) === normalized) return step;
+        }
+        return null;
+    }
+
+    /**
+     * Enrollment URI for authenticator apps, usually shown as a QR code
+     */
+    static otpauthUrl(secret, accountName, issuer = 'EV Recharge Bunk') {
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        // Some authenticator apps show a "+" literally, so encode spaces as %20
+        const query = [
+            `secret=${secret}`,
+            `issuer=${encodeURIComponent(issuer)}`,
+            'algorithm=SHA1',
+            `digits=${TOTP.DIGITS}`,
+            `period=${TOTP.STEP_SECONDS}`
+        ].join('&');
+        return `otpauth://totp/${label}?${query}`;
+    }
+
+    /**
+     * One-time recovery codes, formatted xxxxx-xxxxx
+     */
+    static generateRecoveryCodes(count = 8) {
+        const codes = [];
+        for (let i = 0; i < count; i++) {
+            const raw = TOTP.base32Encode(TOTP.randomBytes(7)).slice(0, 10).toLowerCase();
+            codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+        }
+        return codes;
+    }
+
+    /**
+     * Hash a recovery code for storage; case, spaces and dashes are ignored
+     */
+    static async hashRecoveryCode(code) {
+        const normalized = String(code || '').toLowerCase().replace(/[\s-]+/g, '');
+        const digest = await TOTP.subtle().digest('SHA-256', new TextEncoder().encode(normalized));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * HOTP (RFC 4226) for one counter value
+     */
+    static async hotp(keyBytes, counter) {
+        const message = new ArrayBuffer(8);
+        const view = new DataView(message);
+        view.setUint32(0, Math.floor(counter / 0x100000000));
+        view.setUint32(4, counter >>> 0);
+
+        const key = await TOTP.subtle().importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+        const mac = new Uint8Array(await TOTP.subtle().sign('HMAC', key, message));
+
+        // Dynamic truncation
+        const offset = mac[mac.length - 1] & 0x0f;
+        const binary = ((mac[offset] & 0x7f) << 24) |
+                       (mac[offset + 1] << 16) |
+                       (mac[offset + 2] << 8) |
+                       mac[offset + 3];
+
+        return String(binary % Math.pow(10, TOTP.DIGITS)).padStart(TOTP.DIGITS, '0');
+    }
+
+    static base32Encode(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (let i = 0; i < bytes.length; i++) {
+            value = (value << 8) | bytes[i];
+            bits += 8;
+            while (bits >= 5) {
+                output += TOTP.BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += TOTP.BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    static base32Decode(input) {
+        const cleaned = String(input || '').toUpperCase().replace(/[\s=-]+/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of cleaned) {
+            const index = TOTP.BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    static randomBytes(length) {
+        return TOTP.crypto().getRandomValues(new Uint8Array(length));
+    }
+
+    static crypto() {
+        if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+            return globalThis.crypto;
+        }
+        return require('crypto').webcrypto;
+    }
+
+    static subtle() {
+        return TOTP.crypto().subtle;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.TOTP = TOTP;
+}
+
+// For module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TOTP;
+}
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * User Authentication
  * Author: MiniMax Agent
- * Description: User-specific authentication logic for login and registration
+ * Description: User-specific authentication logic for login
  */
 
 class UserAuthentication {
@@ -30,11 +30,15 @@ class UserAuthentication {
             loginForm.addEventListener('submit', this.handleUserLogin.bind(this));
         }
 
-        // User registration form
-        const registerForm = document.getElementById('userRegisterForm');
-        if (registerForm) {
-            registerForm.addEventListener('submit', this.handleUserRegistration.bind(this));
-            this.setupPasswordValidation();
+        // Email verification notice
+        const resendButton = document.getElementById('resendVerificationButton');
+        if (resendButton) {
+            resendButton.addEventListener('click', this.handleResendVerification.bind(this));
+        }
+
+        const checkButton = document.getElementById('checkVerificationButton');
+        if (checkButton) {
+            checkButton.addEventListener('click', this.handleCheckVerification.bind(this));
         }
 
         // Password toggles
@@ -45,6 +49,11 @@ class UserAuthentication {
      * Check current authentication status
      */
     checkAuthStatus() {
+        if (this.authManager.isAwaitingVerification()) {
+            this.showVerificationNotice(this.authManager.getStoredSession().email);
+            return;
+        }
+
         if (this.authManager.isAuthenticated()) {
             const session = this.authManager.getStoredSession();
             if (session && !session.isAdmin) {
@@ -80,8 +89,12 @@ class UserAuthentication {
         // Show loading state
         const submitButton = form.querySelector('button[type="submit"]');
         const resetLoading = this.showLoading(submitButton);
+        let retryAt = null;
 
         try {
+            // Decide where the session is kept before the sign-in stores it
+            await this.authManager.setRememberMe(Boolean(formData.get('rememberMe')));
+
             // Attempt to sign in
             const result = await window.FirebaseConfig.authMethods.signIn(
                 userData.email, 
@@ -90,12 +103,6 @@ class UserAuthentication {
 
             if (result.success) {
                 this.logger.info('User login successful', { email: userData.email });
-                
-                // Check remember me
-                const rememberMe = formData.get('rememberMe');
-                if (rememberMe) {
-                    localStorage.setItem('ev_bunk_remember_me', 'true');
-                }
 
                 // Show success and redirect
                 this.showNotification('Login successful! Redirecting...', 'success');
@@ -105,8 +112,11 @@ class UserAuthentication {
                     window.location.href = destination;
                 }, 1500);
                 
+            } else if (result.code === 'email_unverified') {
+                this.showVerificationNotice(userData.email);
             } else {
-                this.showError('loginError', this.getErrorMessage(result.error));
+                retryAt = result.retryAt || null;
+                this.showError('loginError', this.getErrorMessage(result.locked ? 'login_locked' : result.code));
             }
         } catch (error) {
             this.logger.error('Login error', error);
@@ -114,165 +124,123 @@ class UserAuthentication {
         } finally {
             resetLoading();
         }
+
+        LoginThrottle.startRetryCountdown(submitButton, retryAt);
     }
 
     /**
-     * Handle user registration
+     * Show the verification notice in place of the login form
      */
-    async handleUserRegistration(event) {
-        event.preventDefault();
-        
-        const form = event.target;
-        const formData = new FormData(form);
-        const userData = {
-            firstName: formData.get('firstName'),
-            lastName: formData.get('lastName'),
-            email: formData.get('email'),
-            phone: formData.get('phone'),
-            password: formData.get('password'),
-            confirmPassword: formData.get('confirmPassword'),
-            vehicleType: formData.get('vehicleType'),
-            termsAccepted: formData.get('termsAccepted'),
-            newsletter: formData.get('newsletter')
-        };
-
-        // Validate form data
-        const validation = this.validateRegistrationForm(userData);
-        if (!validation.isValid) {
-            this.showFormErrors(validation.errors);
-            return;
-        }
-
-        // Show loading state
-        const submitButton = form.querySelector('button[type="submit"]');
-        const resetLoading = this.showLoading(submitButton);
+    showVerificationNotice(email) {
+        const notice = document.getElementById('verificationNotice');
+        const loginForm = document.getElementById('userLoginForm');
+        if (!notice) return;
 
-        try {
-            // Attempt to sign up
-            const result = await window.FirebaseConfig.authMethods.signUp(
-                userData.email, 
-                userData.password, 
-                {
-                    firstName: userData.firstName,
-                    lastName: userData.lastName,
-                    phone: userData.phone,
-                    vehicleType: userData.vehicleType
-                }
-            );
+        document.getElementById('verificationEmail').textContent = email || 'your email address';
+        notice.style.display = 'flex';
+        if (loginForm) loginForm.style.display = 'none';
 
-            if (result.success) {
-                this.logger.info('User registration successful', { email: userData.email });
-                
-                // Show success message
-                this.showNotification('Account created successfully! Please check your email for verification.', 'success');
-                
-                // Clear form
-                form.reset();
-                
-                // Redirect to login after 3 seconds
-                setTimeout(() => {
-                    window.location.href = 'user-login.html';
-                }, 3000);
-                
-            } else {
-                this.showError('registrationError', this.getErrorMessage(result.error));
-            }
-        } catch (error) {
-            this.logger.error('Registration error', error);
-            this.showError('registrationError', 'An unexpected error occurred. Please try again.');
-        } finally {
-            resetLoading();
-        }
+        this.showDemoVerificationLink(email);
     }
 
     /**
-     * Setup password validation for registration
+     * In demo mode no mail is sent, so link straight to the latest message
      */
-    setupPasswordValidation() {
-        const passwordInput = document.getElementById('password');
-        const confirmPasswordInput = document.getElementById('confirmPassword');
-        const strengthIndicator = document.getElementById('passwordStrength');
-
-        if (passwordInput) {
-            passwordInput.addEventListener('input', (e) => {
-                this.updatePasswordStrength(e.target.value, strengthIndicator);
-                this.validatePasswordMatch();
-            });
+    showDemoVerificationLink(email) {
+        const demoLink = document.getElementById('demoVerificationLink');
+        const backend = window.FirebaseConfig.firebaseServices.backend;
+        if (!demoLink || !backend || !backend.outbox) return;
+
+        const latest = backend.outbox
+            .filter(mail => mail.mode === 'verifyEmail' && mail.to === String(email || '').toLowerCase())
+            .pop();
+
+        if (latest) {
+            demoLink.href = latest.link;
+            demoLink.style.display = 'inline-block';
         }
+    }
 
-        if (confirmPasswordInput) {
-            confirmPasswordInput.addEventListener('input', () => {
-                this.validatePasswordMatch();
-            });
+    /**
+     * Resend the verification email, then hold the button for a minute
+     */
+    async handleResendVerification(event) {
+        const button = event.currentTarget;
+        const resetLoading = this.showLoading(button);
+
+        const result = await window.FirebaseConfig.authMethods.sendVerificationEmail();
+        resetLoading();
+
+        if (result.success) {
+            this.showNotification('Verification email sent. Please check your inbox.', 'success');
+            this.showDemoVerificationLink((this.authManager.getStoredSession() || {}).email);
+            this.startResendCooldown(button, 60);
+        } else if (result.code === 'already_verified') {
+            await this.handleCheckVerification();
+        } else if (result.code === 'not_signed_in') {
+            this.hideVerificationNotice();
+            this.showNotification(result.error, 'warning');
+        } else {
+            this.showNotification(this.getErrorMessage(result.code), 'error');
         }
     }
 
     /**
-     * Update password strength indicator
+     * Count down on the resend button so it is not clicked into rate limits
      */
-    updatePasswordStrength(password, indicator) {
-        if (!indicator) return;
+    startResendCooldown(button, seconds) {
+        const originalText = button.innerHTML;
+        let remaining = seconds;
+
+        button.disabled = true;
+        const tick = () => {
+            if (remaining <= 0) {
+                clearInterval(timer);
+                button.innerHTML = originalText;
+                button.disabled = false;
+                return;
+            }
+            button.textContent = `Resend in ${remaining}s`;
+            remaining--;
+        };
+        const timer = setInterval(tick, 1000);
+        tick();
+    }
 
-        const strength = this.authManager.validatePasswordStrength(password);
-        
-        const strengthBar = indicator.querySelector('.strength-fill');
-        const strengthText = indicator.querySelector('.strength-text');
+    /**
+     * Check whether the email has been verified in the meantime
+     */
+    async handleCheckVerification() {
+        const result = await window.FirebaseConfig.authMethods.refreshEmailVerification();
 
-        if (password.length === 0) {
-            indicator.style.display = 'none';
+        if (!result.success) {
+            this.hideVerificationNotice();
+            this.showNotification(result.error, 'warning');
             return;
         }
 
-        indicator.style.display = 'block';
-        
-        // Update progress bar
-        const percentage = (strength.strength / 5) * 100;
-        strengthBar.style.width = percentage + '%';
-        
-        // Set color based on strength
-        const colors = {
-            weak: '#ef4444',
-            medium: '#f59e0b',
-            strong: '#10b981',
-            'very-strong': '#059669'
-        };
-        strengthBar.style.background = colors[strength.feedback.level];
-        
-        // Update text
-        strengthText.textContent = strength.feedback.message;
-        
-        // Show requirements if not strong
-        if (!strength.isStrong && strength.feedback.feedback.length > 0) {
-            const requirementsList = strength.feedback.feedback.join(', ');
-            strengthText.title = `Missing: ${requirementsList}`;
-        } else {
-            strengthText.title = '';
+        if (!result.emailVerified) {
+            this.showNotification('Your email address is not verified yet. Open the link we sent you first.', 'warning');
+            return;
         }
+
+        // Replace the unverified session with a full one
+        await this.authManager.handleUserLogin(result.user);
+        this.showNotification('Email verified! Redirecting...', 'success');
+
+        setTimeout(() => {
+            window.location.href = this.authManager.getIntendedDestination();
+        }, 1500);
     }
 
     /**
-     * Validate password match
+     * Go back to the login form
      */
-    validatePasswordMatch() {
-        const password = document.getElementById('password');
-        const confirmPassword = document.getElementById('confirmPassword');
-        
-        if (password && confirmPassword) {
-            const passwordError = document.getElementById('passwordError');
-            const confirmPasswordError = document.getElementById('confirmPasswordError');
-            
-            if (password.value && confirmPassword.value) {
-                if (password.value !== confirmPassword.value) {
-                    this.showError('confirmPasswordError', 'Passwords do not match');
-                    password.classList.add('error');
-                    confirmPassword.classList.add('error');
-                } else {
-                    this.clearError('confirmPasswordError');
-                    password.classList.remove('error');
-                    confirmPassword.classList.remove('error');
-                }
-            }
-        }
+    hideVerificationNotice() {
+        const notice = document.getElementById('verificationNotice');
+        const loginForm = document.getElementById('userLoginForm');
+        if (notice) notice.style.display = 'none';
+        if (loginForm) loginForm.style.display = '';
     }
 
     /**
@@ -321,55 +289,6 @@ class UserAuthentication {
         };
     }
 
-    /**
-     * Validate registration form
-     */
-    validateRegistrationForm(userData) {
-        const errors = [];
-
-        // Required fields
-        const requiredFields = [
-            { name: 'First Name', value: userData.firstName, field: 'firstNameError' },
-            { name: 'Last Name', value: userData.lastName, field: 'lastNameError' },
-            { name: 'Email', value: userData.email, field: 'emailError' },
-            { name: 'Phone', value: userData.phone, field: 'phoneError' },
-            { name: 'Vehicle Type', value: userData.vehicleType, field: 'vehicleTypeError' }
-        ];
-
-        requiredFields.forEach(field => {
-            if (!field.value || field.value.trim() === '') {
-                errors.push({ field: field.field, message: `${field.name} is required` });
-            }
-        });
-
-        // Email validation
-        const emailValidation = this.formValidator.validate('Email', userData.email, 'email');
-        if (!emailValidation.isValid) {
-            errors.push({ field: 'emailError', message: emailValidation.message });
-        }
-
-        // Phone validation
-        const phoneValidation = this.formValidator.validate('Phone', userData.phone, 'phone');
-        if (!phoneValidation.isValid) {
-            errors.push({ field: 'phoneError', message: phoneValidation.message });
-        }
-
-        // Password validation
-        if (!userData.password || userData.password.length < 8) {
-            errors.push({ field: 'passwordError', message: 'Password must be at least 8 characters' });
-        }
-
-        // Terms acceptance
-        if (!userData.termsAccepted) {
-            errors.push({ field: 'termsError', message: 'You must accept the terms and conditions' });
-        }
-
-        return {
-            isValid: errors.length === 0,
-            errors
-        };
-    }
-
     /**
      * Show form errors
      */
@@ -422,11 +341,20 @@ class UserAuthentication {
         const errorMap = {
             'auth/user-not-found': 'No account found with this email address.',
             'auth/wrong-password': 'Incorrect password. Please try again.',
+            'auth/invalid-credential': 'Incorrect email or password. Please try again.',
             'auth/email-already-in-use': 'An account with this email already exists.',
             'auth/weak-password': 'Password is too weak. Please choose a stronger password.',
             'auth/invalid-email': 'Please enter a valid email address.',
+            'auth/missing-email': 'Please enter your email address.',
             'auth/user-disabled': 'This account has been disabled. Please contact support.',
-            'auth/too-many-requests': 'Too many failed attempts. Please try again later.'
+            'auth/too-many-requests': 'Too many failed attempts. Please try again later.',
+            'auth/requires-recent-login': 'For your security, please enter your current password again.',
+            'auth/expired-action-code': 'This link has expired. Please request a new one.',
+            'auth/invalid-action-code': 'This link is invalid or has already been used. Please request a new one.',
+            'auth/network-request-failed': 'Network error. Check your connection and try again.',
+            'login_throttled': 'Too many failed attempts. Please wait before trying again.',
+            'login_locked': 'Too many failed attempts. Sign-in for this email is paused for 15 minutes.',
+            'account_suspended': 'This account has been suspended. Please contact support.'
         };
 
         return errorMap[firebaseError] || 'An error occurred. Please try again.';
@@ -478,7 +406,7 @@ class UserAuthentication {
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     // Only initialize on authentication pages
-    const authPages = ['user-login', 'user-register', 'user-dashboard'];
+    const authPages = ['user-login', 'user-dashboard'];
     const currentPage = window.location.pathname;
     
     if (authPages.some(page => currentPage.includes(page))) {
@@ -0,0 +1,471 @@
+/**
+ * User Registration
+ * Author: MiniMax Agent
+ * Description: Registration page controller for creating driver accounts
+ */
+
+class UserRegistration {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.formValidator = new FormValidator();
+        this.init();
+    }
+
+    /**
+     * Initialize user registration
+     */
+    init() {
+        this.setupEventListeners();
+        this.checkAuthStatus();
+        this.logger.info('UserRegistration initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const registerForm = document.getElementById('userRegisterForm');
+        if (registerForm) {
+            registerForm.addEventListener('submit', this.handleRegistration.bind(this));
+        }
+
+        this.setupPasswordValidation();
+        this.setupFieldErrorClearing();
+        this.setupPasswordToggles();
+    }
+
+    /**
+     * Check current authentication status
+     */
+    checkAuthStatus() {
+        const session = this.authManager.getStoredSession();
+        if (session && !session.isAdmin) {
+            // Signed-in drivers have nothing to register
+            window.location.href = 'user-dashboard.html';
+        }
+    }
+
+    /**
+     * Handle registration form submit
+     */
+    async handleRegistration(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const userData = {
+            firstName: (formData.get('firstName') || '').trim(),
+            lastName: (formData.get('lastName') || '').trim(),
+            email: (formData.get('email') || '').trim(),
+            phone: (formData.get('phone') || '').trim(),
+            password: formData.get('password'),
+            confirmPassword: formData.get('confirmPassword'),
+            vehicleType: formData.get('vehicleType'),
+            termsAccepted: formData.get('termsAccepted') !== null,
+            newsletter: formData.get('newsletter') !== null
+        };
+
+        // Validate form data
+        this.clearAllErrors();
+        const validation = this.validateRegistrationForm(userData);
+        if (!validation.isValid) {
+            this.showFormErrors(validation.errors);
+            return;
+        }
+
+        // Show loading state
+        const submitButton = document.getElementById('registerButton');
+        const resetLoading = this.showLoading(submitButton);
+
+        try {
+            const result = await window.FirebaseConfig.authMethods.signUp(
+                userData.email,
+                userData.password,
+                {
+                    firstName: userData.firstName,
+                    lastName: userData.lastName,
+                    phone: userData.phone,
+                    vehicleType: userData.vehicleType,
+                    termsAccepted: userData.termsAccepted,
+                    newsletter: userData.newsletter
+                }
+            );
+
+            if (result.success) {
+                this.logger.info('User registration successful', { email: userData.email });
+
+                this.showNotification('Account created successfully! Please check your email for verification.', 'success');
+
+                form.reset();
+                this.updatePasswordStrength('', document.getElementById('passwordStrength'));
+
+                // Redirect to login after 3 seconds
+                setTimeout(() => {
+                    window.location.href = 'user-login.html';
+                }, 3000);
+
+            } else if (result.fieldErrors) {
+                // Schema errors are keyed by field name, matching the form's *Error elements
+                this.showFormErrors(Object.entries(result.fieldErrors).map(([field, message]) => ({
+                    field: `${field}Error`,
+                    message
+                })));
+            } else {
+                this.showSignUpError(result.code);
+            }
+        } catch (error) {
+            this.logger.error('Registration error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Show a sign-up failure next to the field it concerns
+     */
+    showSignUpError(errorCode) {
+        const fieldByCode = {
+            'auth/email-already-in-use': 'emailError',
+            'auth/invalid-email': 'emailError',
+            'auth/weak-password': 'passwordError'
+        };
+
+        const message = this.getErrorMessage(errorCode);
+
+        if (fieldByCode[errorCode]) {
+            this.showError(fieldByCode[errorCode], message);
+        } else {
+            this.showNotification(message, 'error');
+        }
+    }
+
+    /**
+     * Setup password validation
+     */
+    setupPasswordValidation() {
+        const passwordInput = document.getElementById('password');
+        const confirmPasswordInput = document.getElementById('confirmPassword');
+        const strengthIndicator = document.getElementById('passwordStrength');
+
+        if (passwordInput) {
+            passwordInput.addEventListener('input', (e) => {
+                this.updatePasswordStrength(e.target.value, strengthIndicator);
+                this.validatePasswordMatch();
+            });
+        }
+
+        if (confirmPasswordInput) {
+            confirmPasswordInput.addEventListener('input', () => {
+                this.validatePasswordMatch();
+            });
+        }
+    }
+
+    /**
+     * Clear a field's error as soon as it is edited
+     */
+    setupFieldErrorClearing() {
+        ['firstName', 'lastName', 'email', 'phone', 'password', 'vehicleType'].forEach(inputId => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+                input.addEventListener(eventName, () => this.clearError(`${inputId}Error`));
+            }
+        });
+
+        const termsCheckbox = document.getElementById('termsAccepted');
+        if (termsCheckbox) {
+            termsCheckbox.addEventListener('change', () => {
+                if (termsCheckbox.checked) this.clearError('termsAcceptedError');
+            });
+        }
+    }
+
+    /**
+     * Update password strength indicator
+     */
+    updatePasswordStrength(password, indicator) {
+        if (!indicator) return;
+
+        if (password.length === 0) {
+            indicator.style.display = 'none';
+            return;
+        }
+
+        const strength = this.authManager.validatePasswordStrength(password, this.getPasswordContext());
+
+        const strengthBar = indicator.querySelector('.strength-fill');
+        const strengthText = indicator.querySelector('.strength-text');
+
+        indicator.style.display = 'block';
+
+        // Update progress bar
+        const percentage = (strength.strength / strength.maxStrength) * 100;
+        strengthBar.style.width = percentage + '%';
+
+        // Set color based on strength
+        const colors = {
+            weak: '#ef4444',
+            medium: '#f59e0b',
+            strong: '#10b981',
+            'very-strong': '#059669'
+        };
+        strengthBar.style.background = colors[strength.feedback.level];
+
+        // Update text
+        strengthText.textContent = strength.feedback.message;
+
+        // Show requirements if not strong
+        if (!strength.isStrong && strength.feedback.feedback.length > 0) {
+            strengthText.title = `Missing: ${strength.feedback.feedback.join(', ')}`;
+        } else {
+            strengthText.title = '';
+        }
+    }
+
+    /**
+     * Name and email typed so far, which the password must not contain
+     */
+    getPasswordContext() {
+        const valueOf = (inputId) => {
+            const input = document.getElementById(inputId);
+            return input ? input.value.trim() : '';
+        };
+
+        return {
+            email: valueOf('email'),
+            firstName: valueOf('firstName'),
+            lastName: valueOf('lastName')
+        };
+    }
+
+    /**
+     * Validate password match
+     */
+    validatePasswordMatch() {
+        const password = document.getElementById('password');
+        const confirmPassword = document.getElementById('confirmPassword');
+
+        if (password && confirmPassword && password.value && confirmPassword.value) {
+            if (password.value !== confirmPassword.value) {
+                this.showError('confirmPasswordError', 'Passwords do not match');
+            } else {
+                this.clearError('confirmPasswordError');
+            }
+        }
+    }
+
+    /**
+     * Setup password toggle buttons
+     */
+    setupPasswordToggles() {
+        const toggles = document.querySelectorAll('.password-toggle');
+
+        toggles.forEach(toggle => {
+            toggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                const targetId = toggle.getAttribute('data-target');
+                const targetInput = document.getElementById(targetId);
+
+                if (targetInput) {
+                    const type = targetInput.getAttribute('type') === 'password' ? 'text' : 'password';
+                    targetInput.setAttribute('type', type);
+
+                    const icon = toggle.querySelector('i');
+                    icon.className = type === 'password' ? 'fas fa-eye' : 'fas fa-eye-slash';
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate registration form
+     */
+    validateRegistrationForm(userData) {
+        const errors = [];
+
+        // Required fields
+        const requiredFields = [
+            { name: 'First Name', value: userData.firstName, field: 'firstNameError' },
+            { name: 'Last Name', value: userData.lastName, field: 'lastNameError' },
+            { name: 'Email', value: userData.email, field: 'emailError' },
+            { name: 'Phone', value: userData.phone, field: 'phoneError' },
+            { name: 'Vehicle Type', value: userData.vehicleType, field: 'vehicleTypeError' }
+        ];
+
+        requiredFields.forEach(field => {
+            if (!field.value || field.value.trim() === '') {
+                errors.push({ field: field.field, message: `${field.name} is required` });
+            }
+        });
+
+        // Email validation
+        if (userData.email) {
+            const emailValidation = this.formValidator.validate('Email', userData.email, 'email');
+            if (!emailValidation.isValid) {
+                errors.push({ field: 'emailError', message: emailValidation.message });
+            }
+        }
+
+        // Phone validation
+        if (userData.phone) {
+            const phoneValidation = this.formValidator.validate('Phone', userData.phone, 'phone');
+            if (!phoneValidation.isValid) {
+                errors.push({ field: 'phoneError', message: phoneValidation.message });
+            }
+        }
+
+        // Password validation
+        const passwordCheck = PasswordPolicy.default.validate(userData.password, {
+            email: userData.email,
+            firstName: userData.firstName,
+            lastName: userData.lastName
+        });
+        if (!passwordCheck.isValid) {
+            errors.push({ field: 'passwordError', message: passwordCheck.message });
+        }
+
+        if (userData.password !== userData.confirmPassword) {
+            errors.push({ field: 'confirmPasswordError', message: 'Passwords do not match' });
+        }
+
+        // Terms acceptance
+        if (!userData.termsAccepted) {
+            errors.push({ field: 'termsAcceptedError', message: 'You must accept the terms and conditions' });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Show form errors
+     */
+    showFormErrors(errors) {
+        errors.forEach(error => {
+            this.showError(error.field, error.message);
+        });
+    }
+
+    /**
+     * Show individual field error
+     */
+    showError(fieldId, message) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+
+            // Add error class to input if exists
+            const inputId = fieldId.replace('Error', '');
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.classList.add('error');
+            }
+        } else {
+            // Errors for fields without a slot on the page still need to reach the user
+            this.showNotification(message, 'error');
+        }
+    }
+
+    /**
+     * Clear field error
+     */
+    clearError(fieldId) {
+        const errorElement = document.getElementById(fieldId);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+
+            // Remove error class from input if exists
+            const inputId = fieldId.replace('Error', '');
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.classList.remove('error');
+            }
+        }
+    }
+
+    /**
+     * Clear every field error on the form
+     */
+    clearAllErrors() {
+        document.querySelectorAll('#userRegisterForm .error-message').forEach(errorElement => {
+            this.clearError(errorElement.id);
+        });
+    }
+
+    /**
+     * Get error message from an auth error code
+     */
+    getErrorMessage(errorCode) {
+        const errorMap = {
+            'auth/email-already-in-use': 'An account with this email already exists.',
+            'auth/weak-password': 'Password is too weak. Please choose a stronger password.',
+            'auth/invalid-email': 'Please enter a valid email address.',
+            'auth/operation-not-allowed': 'Registration is currently disabled. Please try again later.',
+            'auth/too-many-requests': 'Too many attempts. Please try again later.'
+        };
+
+        return errorMap[errorCode] || 'An error occurred. Please try again.';
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(buttonElement) {
+        if (buttonElement) {
+            const originalText = buttonElement.innerHTML;
+            buttonElement.innerHTML = '<span class="loading"></span> Creating account...';
+            buttonElement.disabled = true;
+            return () => {
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+            };
+        }
+        return () => {};
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info', duration = 5000) {
+        if (window.evApp && window.evApp.showNotification) {
+            window.evApp.showNotification(message, type, duration);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[UserRegister] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[UserRegister] ERROR: ${message}`, error || '');
+        },
+        warn: (message, data = null) => {
+            console.warn(`[UserRegister] WARN: ${message}`, data || '');
+        }
+    };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Only initialize on the registration page
+    if (window.location.pathname.includes('user-register')) {
+        window.userRegistration = new UserRegistration();
+        console.log('UserRegistration initialized');
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserRegistration;
+}
\ No newline at end of file
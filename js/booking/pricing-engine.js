@@ -0,0 +1,233 @@
+/**
+ * Pricing Engine
+ * Author: MiniMax Agent
+ * Description: Tariff model and cost calculation for charging bookings
+ *
+ * A tariff is attached to a charging station (or overridden per slot):
+ * {
+ *     currency: 'INR',
+ *     perKwh: 12,                 // default energy rate
+ *     perMinute: 0.5,             // default time rate
+ *     sessionFee: 50,             // flat fee per booking
+ *     idleFee: { perMinute: 2, graceMinutes: 10 },
+ *     utcOffsetMinutes: 330,      // station local time; omit to use the browser's
+ *     bands: [                    // time-of-day overrides, start inclusive, end exclusive
+ *         { name: 'off-peak', start: '22:00', end: '06:00', perKwh: 8, perMinute: 0 },
+ *         { name: 'peak', start: '18:00', end: '22:00', perKwh: 15, perMinute: 1 }
+ *     ]
+ * }
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+class PricingEngine {
+    /**
+     * Itemized cost estimate at booking time
+     * Energy defaults to the slot running at `maxPower` for the whole window.
+     */
+    static estimate(tariff, { startTime, endTime, maxPower = 0, energyKwh = null }) {
+        const start = new Date(startTime).getTime();
+        const end = new Date(endTime).getTime();
+        const hours = Math.max(end - start, 0) / 3600000;
+
+        return PricingEngine.calculate(tariff, {
+            start,
+            end,
+            energyKwh: energyKwh !== null ? energyKwh : maxPower * hours,
+            idleMinutes: 0
+        });
+    }
+
+    /**
+     * Final cost at completion from the actual session
+     */
+    static finalize(tariff, { actualStartTime, actualDuration, energyKwh = 0, idleMinutes = 0 }) {
+        const start = new Date(actualStartTime).getTime();
+
+        return PricingEngine.calculate(tariff, {
+            start,
+            end: start + actualDuration * 60000,
+            energyKwh,
+            idleMinutes
+        });
+    }
+
+    /**
+     * Price a charging window
+     * Energy is spread evenly over the window, so each band is charged for the
+     * share of energy and minutes that fell inside it.
+     */
+    static calculate(tariff, { start, end, energyKwh = 0, idleMinutes = 0 }) {
+        const lineItems = [];
+        const totalMinutes = Math.max(end - start, 0) / 60000;
+
+        if (tariff.sessionFee) {
+            lineItems.push(PricingEngine.lineItem('session', null, 1, 'session', tariff.sessionFee));
+        }
+
+        const segments = PricingEngine.splitByBand(tariff, start, end);
+
+        // A zero-length session still pays for its energy at the rate in force when it started
+        if (segments.length === 0 && energyKwh > 0) {
+            const rates = PricingEngine.ratesAt(tariff, PricingEngine.minuteOfDay(tariff, start));
+            segments.push({ band: rates.band, perKwh: rates.perKwh, perMinute: 0, minutes: 0 });
+        }
+
+        segments.forEach(segment => {
+            const share = totalMinutes > 0 ? segment.minutes / totalMinutes : 1;
+
+            if (segment.perKwh) {
+                lineItems.push(PricingEngine.lineItem('energy', segment.band, energyKwh * share, 'kWh', segment.perKwh));
+            }
+
+            if (segment.perMinute) {
+                lineItems.push(PricingEngine.lineItem('time', segment.band, segment.minutes, 'minute', segment.perMinute));
+            }
+        });
+
+        const idleFee = tariff.idleFee || {};
+        const billableIdle = Math.max(idleMinutes - (idleFee.graceMinutes || 0), 0);
+        if (idleFee.perMinute && billableIdle > 0) {
+            lineItems.push(PricingEngine.lineItem('idle', null, billableIdle, 'minute', idleFee.perMinute));
+        }
+
+        return {
+            currency: tariff.currency || 'INR',
+            lineItems,
+            total: PricingEngine.round(lineItems.reduce((sum, item) => sum + item.amount, 0))
+        };
+    }
+
+    /**
+     * Split a window into consecutive segments, one per tariff band crossed
+     */
+    static splitByBand(tariff, start, end) {
+        const segments = [];
+        let cursor = start;
+
+        while (cursor < end) {
+            const minuteOfDay = PricingEngine.minuteOfDay(tariff, cursor);
+            const rates = PricingEngine.ratesAt(tariff, minuteOfDay);
+            const segmentEnd = Math.min(end, cursor + rates.minutesRemaining * 60000);
+            const minutes = (segmentEnd - cursor) / 60000;
+
+            // Merge with the previous segment when consecutive windows share a band
+            const previous = segments[segments.length - 1];
+            if (previous && previous.band === rates.band) {
+                previous.minutes += minutes;
+            } else {
+                segments.push({ band: rates.band, perKwh: rates.perKwh, perMinute: rates.perMinute, minutes });
+            }
+
+            cursor = segmentEnd;
+        }
+
+        return segments;
+    }
+
+    /**
+     * Rates in force at a minute of the day, and how long until they change
+     */
+    static ratesAt(tariff, minuteOfDay) {
+        const bands = (tariff.bands || []).map(band => ({
+            ...band,
+            startMinute: PricingEngine.parseClock(band.start),
+            endMinute: PricingEngine.parseClock(band.end)
+        }));
+
+        const active = bands.find(band => PricingEngine.inBand(band, minuteOfDay));
+
+        if (active) {
+            return {
+                band: active.name,
+                perKwh: active.perKwh !== undefined ? active.perKwh : tariff.perKwh || 0,
+                perMinute: active.perMinute !== undefined ? active.perMinute : tariff.perMinute || 0,
+                minutesRemaining: PricingEngine.minutesUntil(minuteOfDay, active.endMinute)
+            };
+        }
+
+        // Outside every band the default rates apply until the next band starts
+        const nextStart = bands.length > 0
+            ? Math.min(...bands.map(band => PricingEngine.minutesUntil(minuteOfDay, band.startMinute)))
+            : MINUTES_PER_DAY;
+
+        return {
+            band: 'standard',
+            perKwh: tariff.perKwh || 0,
+            perMinute: tariff.perMinute || 0,
+            minutesRemaining: nextStart
+        };
+    }
+
+    /**
+     * Whether a minute of the day falls in a band (bands may wrap past midnight)
+     */
+    static inBand(band, minuteOfDay) {
+        if (band.startMinute === band.endMinute) return true; // all-day band
+        if (band.startMinute < band.endMinute) {
+            return minuteOfDay >= band.startMinute && minuteOfDay < band.endMinute;
+        }
+        return minuteOfDay >= band.startMinute || minuteOfDay < band.endMinute;
+    }
+
+    /**
+     * Minutes from one minute of the day to the next occurrence of another
+     */
+    static minutesUntil(fromMinute, toMinute) {
+        const diff = (toMinute - fromMinute + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        return diff === 0 ? MINUTES_PER_DAY : diff;
+    }
+
+    /**
+     * Minute of the day (fractional) in the tariff's local time
+     */
+    static minuteOfDay(tariff, timestamp) {
+        if (typeof tariff.utcOffsetMinutes === 'number') {
+            const localMs = timestamp + tariff.utcOffsetMinutes * 60000;
+            return (((localMs / 60000) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        }
+
+        const date = new Date(timestamp);
+        return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60 + date.getMilliseconds() / 60000;
+    }
+
+    /**
+     * Parse 'HH:MM' into minutes after midnight ('24:00' is midnight)
+     */
+    static parseClock(clock) {
+        const [hours, minutes] = String(clock).split(':').map(Number);
+        return ((hours * 60 + (minutes || 0)) % MINUTES_PER_DAY);
+    }
+
+    /**
+     * Build a priced line item
+     */
+    static lineItem(type, band, quantity, unit, rate) {
+        return {
+            type,
+            band,
+            quantity: PricingEngine.round(quantity, 3),
+            unit,
+            rate,
+            amount: PricingEngine.round(quantity * rate)
+        };
+    }
+
+    /**
+     * Round to a number of decimal places (money defaults to 2)
+     */
+    static round(value, places = 2) {
+        const factor = Math.pow(10, places);
+        return Math.round((value + Number.EPSILON) * factor) / factor;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.PricingEngine = PricingEngine;
+}
+
+// For module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingEngine;
+}
\ No newline at end of file
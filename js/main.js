@@ -367,16 +367,26 @@ class FormValidator {
                 message: 'Please enter a valid phone number'
             },
             password: {
-                minLength: 6,
-                message: 'Password must be at least 6 characters long'
+                // Checked by PasswordPolicy where js/auth/password-policy.js is loaded
+                policy: true,
+                minLength: 8,
+                message: 'Password must be at least 8 characters'
             }
         };
     }
 
-    validate(field, value, type) {
+    /**
+     * `context` is passed to PasswordPolicy for rules that need the account's name or email
+     */
+    validate(field, value, type, context = {}) {
         const rule = this.rules[type];
         if (!rule) return { isValid: true };
 
+        if (value && rule.policy && window.PasswordPolicy) {
+            const result = window.PasswordPolicy.default.validate(value, context);
+            return result.isValid ? { isValid: true } : { isValid: false, message: result.message };
+        }
+
         if (rule.required && (!value || value.trim() === '')) {
             return { isValid: false, message: `${field} is required` };
         }
@@ -0,0 +1,145 @@
+/**
+ * Station Search Filter
+ * Author: MiniMax Agent
+ * Description: Shared filter model for station search, used by dbMethods and the search UI
+ *
+ * A filter looks like:
+ * {
+ *     chargingTypes: ['CCS2', 'Type 2'],  // station offers any of these
+ *     minPower: 50,                       // some active slot delivers at least this many kW
+ *     chargingSpeeds: ['fast', 'rapid'],  // station speed is any of these
+ *     availableNow: true,                 // some active slot is free right now
+ *     sortBy: 'distance'                  // 'distance', 'price' or 'power'
+ * }
+ *
+ * Filters run on search results, which carry `distance`, `maxPower`,
+ * `freeSlotsNow` and `currentPrice` (per kWh at search time, null without a tariff).
+ */
+
+class StationFilter {
+    static get sortOptions() {
+        return ['distance', 'price', 'power'];
+    }
+
+    /**
+     * An empty filter: every station matches, nearest first
+     */
+    static defaults() {
+        return {
+            chargingTypes: [],
+            minPower: null,
+            chargingSpeeds: [],
+            availableNow: false,
+            sortBy: 'distance'
+        };
+    }
+
+    /**
+     * Fill in defaults and coerce loosely typed input (form values, query strings)
+     */
+    static normalize(input = {}) {
+        const list = (value) => (Array.isArray(value) ? value : [value])
+            .filter(entry => entry !== undefined && entry !== null && String(entry).trim() !== '')
+            .map(entry => String(entry).trim());
+
+        const minPower = Number(input.minPower);
+
+        return {
+            chargingTypes: list(input.chargingTypes),
+            minPower: minPower > 0 ? minPower : null,
+            chargingSpeeds: list(input.chargingSpeeds !== undefined ? input.chargingSpeeds : input.chargingSpeed),
+            availableNow: input.availableNow === true || input.availableNow === 'true',
+            sortBy: StationFilter.sortOptions.includes(input.sortBy) ? input.sortBy : 'distance'
+        };
+    }
+
+    /**
+     * Whether a search result passes the filter
+     */
+    static matches(station, filter) {
+        if (filter.chargingTypes.length > 0 &&
+            !(station.chargingTypes || []).some(type => filter.chargingTypes.includes(type))) {
+            return false;
+        }
+
+        if (filter.minPower !== null && (station.maxPower || 0) < filter.minPower) {
+            return false;
+        }
+
+        if (filter.chargingSpeeds.length > 0 && !filter.chargingSpeeds.includes(station.chargingSpeed)) {
+            return false;
+        }
+
+        if (filter.availableNow && !(station.freeSlotsNow > 0)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Sort search results; ties (and stations without a price) fall back to distance
+     */
+    static sort(stations, sortBy = 'distance') {
+        const byDistance = (a, b) => (a.distance || 0) - (b.distance || 0);
+
+        const comparators = {
+            distance: byDistance,
+            price: (a, b) => {
+                if (a.currentPrice === b.currentPrice) return byDistance(a, b);
+                if (a.currentPrice === null || a.currentPrice === undefined) return 1;
+                if (b.currentPrice === null || b.currentPrice === undefined) return -1;
+                return a.currentPrice - b.currentPrice;
+            },
+            power: (a, b) => ((b.maxPower || 0) - (a.maxPower || 0)) || byDistance(a, b)
+        };
+
+        return [...stations].sort(comparators[sortBy] || byDistance);
+    }
+
+    /**
+     * Filter and sort search results in one go
+     */
+    static apply(stations, input = {}) {
+        const filter = StationFilter.normalize(input);
+        return StationFilter.sort(stations.filter(station => StationFilter.matches(station, filter)), filter.sortBy);
+    }
+
+    /**
+     * Round-trip a filter through a URL query string so searches can be shared and restored
+     */
+    static toQueryString(input = {}) {
+        const filter = StationFilter.normalize(input);
+        const params = new URLSearchParams();
+
+        filter.chargingTypes.forEach(type => params.append('type', type));
+        filter.chargingSpeeds.forEach(speed => params.append('speed', speed));
+        if (filter.minPower !== null) params.set('minPower', filter.minPower);
+        if (filter.availableNow) params.set('availableNow', 'true');
+        if (filter.sortBy !== 'distance') params.set('sort', filter.sortBy);
+
+        return params.toString();
+    }
+
+    static fromQueryString(queryString) {
+        const params = new URLSearchParams(queryString);
+
+        return StationFilter.normalize({
+            chargingTypes: params.getAll('type'),
+            chargingSpeeds: params.getAll('speed'),
+            minPower: params.get('minPower'),
+            availableNow: params.get('availableNow'),
+            sortBy: params.get('sort')
+        });
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.StationFilter = StationFilter;
+}
+
+// For module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StationFilter;
+}
\ No newline at end of file
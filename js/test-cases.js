@@ -4,6 +4,9 @@
  * Description: Comprehensive test suite for the application functionality
  */
 
+// Password given to every account seeded through withMemoryBackend
+const TEST_PASSWORD = 'Volt4ge-Route';
+
 class EVRechargeTestSuite {
     constructor() {
         this.testResults = [];
@@ -30,6 +33,9 @@ class EVRechargeTestSuite {
         // Authentication Tests
         await this.runAuthTests();
 
+        // Registration Tests
+        await this.runRegistrationTests();
+
         // Utility Function Tests
         await this.runUtilityTests();
 
@@ -42,6 +48,78 @@ class EVRechargeTestSuite {
         // User Management Tests
         await this.runUserManagementTests();
 
+        // Booking Lifecycle Tests
+        await this.runBookingLifecycleTests();
+
+        // Pricing Engine Tests
+        await this.runPricingTests();
+
+        // Slot Reservation Tests
+        await this.runSlotReservationTests();
+
+        // Geohash Tests
+        await this.runGeohashTests();
+
+        // Slot Management Tests
+        await this.runSlotManagementTests();
+
+        // Live Subscription Tests
+        await this.runSubscriptionTests();
+
+        // Memory Backend Tests
+        await this.runMemoryBackendTests();
+
+        // Pagination Tests
+        await this.runPaginationTests();
+
+        // Schema Validation Tests
+        await this.runSchemaValidationTests();
+
+        // Station Filter Tests
+        await this.runStationFilterTests();
+
+        // Admin Sign-in Tests
+        await this.runAdminSignInTests();
+
+        // Email Verification Tests
+        await this.runEmailVerificationTests();
+
+        // Password Reset Tests
+        await this.runPasswordResetTests();
+
+        // Admin Two-Step Verification Tests
+        await this.runAdminMfaTests();
+
+        // Session Expiry Tests
+        await this.runSessionExpiryTests();
+
+        // Cross-Tab Session Tests
+        await this.runCrossTabTests();
+
+        // Login Throttle Tests
+        await this.runLoginThrottleTests();
+
+        // Password Policy Tests
+        await this.runPasswordPolicyTests();
+
+        // Account Self-Service Tests
+        await this.runAccountSelfServiceTests();
+
+        // Admin Role Tests
+        await this.runAdminRoleTests();
+
+        // Audit Log Tests
+        await this.runAuditLogTests();
+
+        // User Management Tests
+        await this.runUserManagementConsoleTests();
+
+        // Admin Dashboard Tests
+        await this.runAdminDashboardTests();
+
+        // User Dashboard Tests
+        await this.runUserDashboardTests();
+
         // Display test results
         this.displayTestResults();
     }
@@ -89,26 +167,90 @@ class EVRechargeTestSuite {
         });
     }
 
+    /**
+     * Registration Tests
+     */
+    async runRegistrationTests() {
+        console.log('\n📝 Running Registration Tests...');
+
+        const { authMethods } = window.FirebaseConfig;
+        // The page controller without its DOM wiring
+        const registration = Object.assign(Object.create(UserRegistration.prototype), {
+            formValidator: new FormValidator()
+        });
+        const form = {
+            firstName: 'Priya',
+            lastName: 'Sharma',
+            email: 'priya.sharma@example.com',
+            phone: '+91 98765 43210',
+            password: TEST_PASSWORD,
+            confirmPassword: TEST_PASSWORD,
+            vehicleType: 'sedan',
+            termsAccepted: true,
+            newsletter: false
+        };
+        const errorFields = (userData) =>
+            registration.validateRegistrationForm(userData).errors.map(error => error.field).join();
+
+        // Test 4: Form Validation
+        this.test('The registration form should flag each missing or malformed field', () => {
+            return registration.validateRegistrationForm(form).isValid &&
+                   errorFields({ ...form, firstName: '', vehicleType: null }) === 'firstNameError,vehicleTypeError' &&
+                   errorFields({ ...form, email: 'priya.sharma', phone: '12345' }) === 'emailError,phoneError' &&
+                   errorFields({ ...form, confirmPassword: 'Volt4ge-Rout', termsAccepted: false }) === 'confirmPasswordError,termsAcceptedError';
+        });
+
+        // Test 5: Password Policy
+        await this.testAsync('Registration should apply the password policy on the form and again at sign-up', () => this.withMemoryBackend({}, async (backend) => {
+            const personal = registration.validateRegistrationForm({ ...form, password: 'Sharma2024x', confirmPassword: 'Sharma2024x' });
+            const refused = await authMethods.signUp(form.email, 'Sharma2024x', form);
+
+            return !personal.isValid && personal.errors[0].field === 'passwordError' &&
+                   personal.errors[0].message === 'Password must not contain your name or email address' &&
+                   refused.code === 'validation_failed' && refused.fieldErrors.password === personal.errors[0].message &&
+                   Object.keys(backend.accounts).length === 0;
+        }));
+
+        // Test 6: Email Verification
+        await this.testAsync('A new account should start unverified and be verified by the link mailed to it', () => this.withMemoryBackend({}, async (backend) => {
+            const created = await authMethods.signUp(form.email, form.password, form);
+            const unverified = (await backend.getDoc('users', created.user.uid)).data;
+            const link = backend.outbox.find(mail => mail.to === form.email && mail.mode === 'verifyEmail');
+
+            const verified = await authMethods.verifyEmail(link.code);
+            const profile = (await backend.getDoc('users', created.user.uid)).data;
+
+            const shown = [];
+            registration.showError = (fieldId, message) => shown.push(fieldId);
+            const duplicate = await authMethods.signUp(form.email, form.password, form);
+            registration.showSignUpError(duplicate.code);
+
+            return created.success && created.verificationSent && unverified.emailVerified === false &&
+                   verified.success && profile.emailVerified === true &&
+                   duplicate.code === 'auth/email-already-in-use' && shown.join() === 'emailError';
+        }));
+    }
+
     /**
      * Utility Function Tests
      */
     async runUtilityTests() {
         console.log('\n🔧 Running Utility Function Tests...');
         
-        // Test 4: ID Generation
+        // Test 7: ID Generation
         this.test('Unique ID generation should produce different IDs', () => {
             const id1 = this.generateTestId();
             const id2 = this.generateTestId();
             return id1 !== id2;
         });
 
-        // Test 5: Data Sanitization
+        // Test 8: Data Sanitization
         this.test('Input sanitization should remove harmful characters', () => {
             const sanitized = this.sanitizeInput('<script>alert("xss")</script>Hello');
             return !sanitized.includes('<script>') && sanitized === 'Hello';
         });
 
-        // Test 6: Date Formatting
+        // Test 9: Date Formatting
         this.test('Date formatting should work correctly', () => {
             const testDate = new Date('2025-01-06T10:30:00');
             const formatted = this.formatDate(testDate, 'short');
@@ -122,7 +264,7 @@ class EVRechargeTestSuite {
     async runValidationTests() {
         console.log('\n📝 Running Form Validation Tests...');
         
-        // Test 7: Email Validation
+        // Test 10: Email Validation
         this.test('Email validation should work for valid and invalid emails', () => {
             const validator = new FormValidator();
             
@@ -132,7 +274,7 @@ class EVRechargeTestSuite {
             return validEmail.isValid && !invalidEmail.isValid;
         });
 
-        // Test 8: Phone Number Validation
+        // Test 11: Phone Number Validation
         this.test('Phone validation should work for valid numbers', () => {
             const validator = new FormValidator();
             
@@ -142,7 +284,7 @@ class EVRechargeTestSuite {
             return validPhone.isValid && !invalidPhone.isValid;
         });
 
-        // Test 9: Required Field Validation
+        // Test 12: Required Field Validation
         this.test('Required field validation should detect empty fields', () => {
             const formData = { name: '', email: 'test@example.com' };
             const rules = {
@@ -161,20 +303,20 @@ class EVRechargeTestSuite {
     async runDistanceTests() {
         console.log('\n📍 Running Distance Calculation Tests...');
         
-        // Test 10: Distance Between Same Points
+        // Test 13: Distance Between Same Points
         this.test('Distance between same coordinates should be zero', () => {
             const distance = this.calculateDistance(40.7128, -74.0060, 40.7128, -74.0060);
             return Math.abs(distance) < 0.001; // Allow for floating point precision
         });
 
-        // Test 11: Distance Calculation Accuracy
+        // Test 14: Distance Calculation Accuracy
         this.test('Distance calculation should be within reasonable range', () => {
             // Distance between New York and Los Angeles (approximately 2445 miles / 3936 km)
             const distance = this.calculateDistance(40.7128, -74.0060, 34.0522, -118.2437);
             return distance > 3900 && distance < 4000; // Should be around 3936 km
         });
 
-        // Test 12: Distance Symmetry
+        // Test 15: Distance Symmetry
         this.test('Distance calculation should be symmetric', () => {
             const distance1 = this.calculateDistance(0, 0, 1, 1);
             const distance2 = this.calculateDistance(1, 1, 0, 0);
@@ -188,7 +330,7 @@ class EVRechargeTestSuite {
     async runUserManagementTests() {
         console.log('\n👥 Running User Management Tests...');
         
-        // Test 13: User Profile Validation
+        // Test 16: User Profile Validation
         this.test('User profile validation should work correctly', () => {
             const validProfile = {
                 firstName: 'John',
@@ -210,13 +352,13 @@ class EVRechargeTestSuite {
                    !this.validateUserProfile(invalidProfile);
         });
 
-        // Test 14: Vehicle Type Validation
+        // Test 17: Vehicle Type Validation
         this.test('Vehicle type validation should accept valid types', () => {
             const validTypes = ['sedan', 'suv', 'hatchback', 'truck', 'motorcycle', 'other'];
             return validTypes.every(type => this.isValidVehicleType(type));
         });
 
-        // Test 15: User Session Management
+        // Test 18: User Session Management
         this.test('User session management should handle state correctly', () => {
             const sessionManager = new AuthManager();
             
@@ -233,6 +375,1607 @@ class EVRechargeTestSuite {
         });
     }
 
+    /**
+     * Booking Lifecycle Tests
+     */
+    async runBookingLifecycleTests() {
+        console.log('\n📅 Running Booking Lifecycle Tests...');
+        const { bookingLifecycle, dbMethods } = window.FirebaseConfig;
+        const seed = {
+            collections: {
+                bookings: { 'booking-1': { bookingId: 'booking-1', userId: 'driver-1', stationId: 'station-1', status: 'pending' } }
+            },
+            accounts: [
+                { uid: 'driver-1', email: 'driver@example.com', emailVerified: true },
+                { uid: 'driver-2', email: 'other@example.com', emailVerified: true }
+            ]
+        };
+
+        // Test 19: Legal Transitions
+        this.test('Bookings should move forward through the lifecycle', () => {
+            return bookingLifecycle.canTransition('pending', 'confirmed') &&
+                   bookingLifecycle.canTransition('confirmed', 'in_progress') &&
+                   bookingLifecycle.canTransition('in_progress', 'completed');
+        });
+
+        // Test 20: Terminal Statuses
+        this.test('Cancelled and completed bookings should not change status', () => {
+            return !bookingLifecycle.canTransition('cancelled', 'completed') &&
+                   !bookingLifecycle.canTransition('completed', 'cancelled') &&
+                   !bookingLifecycle.canTransition('in_progress', 'cancelled');
+        });
+
+        // Test 21: Role Restrictions
+        this.test('Users should cancel but not confirm bookings', () => {
+            return bookingLifecycle.canTransition('pending', 'cancelled', 'user') &&
+                   !bookingLifecycle.canTransition('pending', 'confirmed', 'user') &&
+                   bookingLifecycle.canTransition('pending', 'confirmed', 'admin');
+        });
+
+        // Test 22: User Actor Is the Signed-In Driver
+        await this.testAsync('Drivers should only cancel their own bookings, as themselves', () => this.withMemoryBackend(seed, async (backend) => {
+            const actor = { userId: 'driver-1', role: 'user' };
+            const signedOut = await dbMethods.cancelBooking('booking-1', actor);
+
+            await backend.signIn('other@example.com', TEST_PASSWORD);
+            const impersonated = await dbMethods.cancelBooking('booking-1', actor);
+            const notOwner = await dbMethods.cancelBooking('booking-1', { userId: 'driver-2', role: 'user' });
+            await backend.signOut();
+
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const own = await dbMethods.cancelBooking('booking-1', actor);
+
+            return signedOut.code === 'invalid_actor' && impersonated.code === 'invalid_actor' &&
+                   notOwner.code === 'forbidden' && own.success;
+        }));
+    }
+
+    /**
+     * Pricing Engine Tests
+     */
+    async runPricingTests() {
+        console.log('\n💰 Running Pricing Engine Tests...');
+
+        const tariff = {
+            currency: 'INR',
+            perKwh: 12,
+            perMinute: 0.5,
+            sessionFee: 50,
+            idleFee: { perMinute: 2, graceMinutes: 10 },
+            utcOffsetMinutes: 0,
+            bands: [
+                { name: 'off-peak', start: '22:00', end: '06:00', perKwh: 8, perMinute: 0 },
+                { name: 'peak', start: '18:00', end: '22:00', perKwh: 15, perMinute: 1 }
+            ]
+        };
+
+        // Test 23: Band Start Is Inclusive
+        this.test('A session starting exactly at a band boundary should use the new band', () => {
+            const quote = PricingEngine.estimate(tariff, {
+                startTime: '2025-01-06T18:00:00Z',
+                endTime: '2025-01-06T18:30:00Z',
+                maxPower: 10
+            });
+            const bands = quote.lineItems.filter(item => item.band).map(item => item.band);
+            return bands.every(band => band === 'peak') && quote.total === 50 + 75 + 30;
+        });
+
+        // Test 24: Band End Is Exclusive
+        this.test('A session ending exactly at a band boundary should not enter the next band', () => {
+            const quote = PricingEngine.estimate(tariff, {
+                startTime: '2025-01-06T17:00:00Z',
+                endTime: '2025-01-06T18:00:00Z',
+                maxPower: 10
+            });
+            return quote.lineItems.every(item => item.band !== 'peak') && quote.total === 50 + 120 + 30;
+        });
+
+        // Test 25: Crossing a Boundary
+        this.test('Energy and minutes should be split across bands crossed', () => {
+            const quote = PricingEngine.estimate(tariff, {
+                startTime: '2025-01-06T17:30:00Z',
+                endTime: '2025-01-06T18:30:00Z',
+                maxPower: 10
+            });
+            const energy = quote.lineItems.filter(item => item.type === 'energy');
+            return energy.length === 2 &&
+                   energy[0].band === 'standard' && energy[0].quantity === 5 &&
+                   energy[1].band === 'peak' && energy[1].quantity === 5 &&
+                   quote.total === 230;
+        });
+
+        // Test 26: Band Wrapping Midnight
+        this.test('A band that wraps past midnight should apply on both sides of it', () => {
+            const quote = PricingEngine.finalize(tariff, {
+                actualStartTime: '2025-01-06T23:00:00Z',
+                actualDuration: 120,
+                energyKwh: 20
+            });
+            const energy = quote.lineItems.filter(item => item.type === 'energy');
+            return energy.length === 1 && energy[0].band === 'off-peak' && energy[0].amount === 160;
+        });
+
+        // Test 27: Idle Fee Grace Period
+        this.test('Idle fee should only charge minutes beyond the grace period', () => {
+            const withinGrace = PricingEngine.finalize(tariff, {
+                actualStartTime: '2025-01-06T10:00:00Z', actualDuration: 60, energyKwh: 10, idleMinutes: 10
+            });
+            const pastGrace = PricingEngine.finalize(tariff, {
+                actualStartTime: '2025-01-06T10:00:00Z', actualDuration: 60, energyKwh: 10, idleMinutes: 25
+            });
+            const idle = pastGrace.lineItems.find(item => item.type === 'idle');
+            return !withinGrace.lineItems.some(item => item.type === 'idle') &&
+                   idle.quantity === 15 && pastGrace.total - withinGrace.total === 30;
+        });
+
+        // Test 28: Zero-Length Session
+        this.test('A zero-length session should still pay for its energy at the rate in force', () => {
+            const quote = PricingEngine.finalize(tariff, {
+                actualStartTime: '2025-01-06T18:00:00Z',
+                actualDuration: 0,
+                energyKwh: 4
+            });
+            const energy = quote.lineItems.filter(item => item.type === 'energy');
+            return energy.length === 1 && energy[0].band === 'peak' && energy[0].quantity === 4 &&
+                   !quote.lineItems.some(item => item.type === 'time') && quote.total === 50 + 60;
+        });
+    }
+
+    /**
+     * Slot Reservation Tests
+     */
+    async runSlotReservationTests() {
+        console.log('\n🔒 Running Slot Reservation Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+        const hour = 60 * 60 * 1000;
+        const start = Date.now() + 24 * hour;
+        const seed = {
+            collections: {
+                users: { 'driver-1': { userId: 'driver-1', email: 'driver@example.com', isActive: true } },
+                chargingStations: { 'station-1': { stationId: 'station-1', name: 'Test Station', totalSlots: 1, availableSlots: 1, isActive: true } },
+                chargingSlots: { 'slot-1': { slotId: 'slot-1', stationId: 'station-1', slotNumber: '1', isActive: true, isAvailable: true, reservations: [] } }
+            },
+            accounts: [{ uid: 'driver-1', email: 'driver@example.com', emailVerified: true }]
+        };
+        const book = (from, to) => dbMethods.createBooking({
+            userId: 'driver-1', stationId: 'station-1', slotId: 'slot-1', startTime: from, endTime: to
+        });
+
+        // Test 29: Overlapping Windows
+        await this.testAsync('A booking overlapping a held window should be refused with the conflicting booking', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const first = await book(start, start + hour);
+            const overlap = await book(start + hour / 2, start + 2 * hour);
+
+            return first.success && overlap.code === 'slot_conflict' &&
+                   overlap.conflictingBookingId === first.bookingId &&
+                   overlap.conflictingWindow.startTime === start;
+        }));
+
+        // Test 30: Touching Windows
+        await this.testAsync('A booking starting exactly when another ends should be accepted', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const first = await book(start, start + hour);
+            const after = await book(start + hour, start + 2 * hour);
+            const before = await book(start - hour, start);
+
+            const slot = (await backend.getDoc('chargingSlots', 'slot-1')).data;
+            return first.success && after.success && before.success && slot.reservations.length === 3;
+        }));
+
+        // Test 31: Availability Counters
+        await this.testAsync('A slot should only count as taken while one of its bookings covers the current time', () => this.withMemoryBackend(seed, async (backend) => {
+            const actor = { userId: 'driver-1', role: 'user' };
+            const freeSlots = async () => (await backend.getDoc('chargingStations', 'station-1')).data.availableSlots;
+            backend.now = () => start + hour / 2;
+
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const later = await book(start + 2 * hour, start + 3 * hour);
+            const whileBookedLater = await freeSlots();
+
+            const current = await book(start, start + hour);
+            const whileBookedNow = await freeSlots();
+
+            await dbMethods.cancelBooking(current.bookingId, actor);
+            const slot = (await backend.getDoc('chargingSlots', 'slot-1')).data;
+
+            return later.success && whileBookedLater === 1 && whileBookedNow === 0 && await freeSlots() === 1 &&
+                   slot.isAvailable && slot.reservations.length === 1;
+        }));
+
+        // Test 32: Terminal Statuses Release the Slot
+        await this.testAsync('Completed and no-show bookings should hand their slot back', () => this.withMemoryBackend({
+            ...seed,
+            collections: {
+                ...seed.collections,
+                users: { 'driver-1': { ...seed.collections.users['driver-1'], emailVerified: true } },
+                adminUsers: { 'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true } }
+            },
+            accounts: [...seed.accounts, { uid: 'admin-1', email: 'admin@example.com' }]
+        }, async (backend) => {
+            const admin = { userId: 'admin-1', role: 'admin' };
+            const now = start + hour / 2;
+            const freeSlots = async () => (await backend.getDoc('chargingStations', 'station-1')).data.availableSlots;
+            backend.now = () => now;
+
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const missed = await book(start, start + hour);
+            await dbMethods.confirmBooking(missed.bookingId, admin);
+            const noShow = await dbMethods.markNoShow(missed.bookingId, admin, 'Driver never arrived');
+            const afterNoShow = await freeSlots();
+
+            const charged = await book(start, start + hour);
+            await dbMethods.confirmBooking(charged.bookingId, admin);
+            await dbMethods.startBooking(charged.bookingId, admin);
+            const whileCharging = await freeSlots();
+            await dbMethods.completeBooking(charged.bookingId, admin, { energyDeliveredKwh: 10 });
+
+            const slot = (await backend.getDoc('chargingSlots', 'slot-1')).data;
+            const booking = (await backend.getDoc('bookings', charged.bookingId)).data;
+            return noShow.success && afterNoShow === 1 && whileCharging === 0 && await freeSlots() === 1 &&
+                   slot.isAvailable && slot.reservations.length === 0 &&
+                   booking.statusHistory.every(entry => entry.at === now) && booking.updatedAt.getTime() === now;
+        }));
+    }
+
+    /**
+     * Geohash Tests
+     */
+    async runGeohashTests() {
+        console.log('\n🧭 Running Geohash Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+        const seed = {
+            collections: {
+                adminUsers: { 'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true } }
+            },
+            accounts: [{ uid: 'admin-1', email: 'admin@example.com' }]
+        };
+        const station = {
+            name: 'Test Station',
+            address: 'Test Address',
+            location: { latitude: 57.64911, longitude: 10.40744 },
+            chargingTypes: ['CCS2'],
+            chargingSpeed: 'fast'
+        };
+        const nearbyIds = async (latitude, longitude) =>
+            (await dbMethods.getNearbyStations(latitude, longitude, 5)).stations.map(result => result.stationId);
+
+        // Test 33: Geohash Encoding
+        await this.testAsync('New stations should be stored with the geohash of their location', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const created = await dbMethods.createChargingStation(station);
+
+            return (await backend.getDoc('chargingStations', created.stationId)).data.geohash === 'u4pruydqq';
+        }));
+
+        // Test 34: Moving a Station
+        await this.testAsync('Moving a station by whole or dotted location should re-hash it for nearby search', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const { stationId } = await dbMethods.createChargingStation(station);
+
+            await dbMethods.updateChargingStation(stationId, { 'location.latitude': 13.2, 'location.longitude': 77.75 });
+            const movedByField = (await nearbyIds(13.2, 77.75)).includes(stationId) &&
+                                 !(await nearbyIds(57.64911, 10.40744)).includes(stationId);
+
+            await dbMethods.updateChargingStation(stationId, { 'location.latitude': 13.25 });
+            const movedByLatitude = (await nearbyIds(13.25, 77.75)).includes(stationId);
+
+            await dbMethods.updateChargingStation(stationId, { location: { latitude: 57.64911, longitude: 10.40744 } });
+            const movedBack = (await backend.getDoc('chargingStations', stationId)).data.geohash === 'u4pruydqq';
+
+            return movedByField && movedByLatitude && movedBack;
+        }));
+
+        // Test 35: Geohash Backfill
+        await this.testAsync('Backfilling geohashes should need stations:write and audit each station it fixes', () => this.withMemoryBackend({
+            collections: {
+                ...seed.collections,
+                chargingStations: { 'station-1': { stationId: 'station-1', ...station, isActive: true } }
+            },
+            accounts: seed.accounts
+        }, async (backend) => {
+            const signedOut = await dbMethods.backfillStationGeohashes();
+
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const backfilled = await dbMethods.backfillStationGeohashes();
+            const again = await dbMethods.backfillStationGeohashes();
+            const entries = await backend.queryDocs('auditLogs', {});
+
+            return signedOut.code === 'not_signed_in' && backfilled.updated === 1 && again.updated === 0 &&
+                   (await nearbyIds(57.64911, 10.40744)).includes('station-1') &&
+                   entries.length === 1 && entries[0].data.changes.geohash.after === 'u4pruydqq';
+        }));
+    }
+
+    /**
+     * Slot Management Tests
+     */
+    async runSlotManagementTests() {
+        console.log('\n🔌 Running Slot Management Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+        const seed = {
+            collections: {
+                adminUsers: {
+                    'manager-1': { adminId: 'manager-1', email: 'manager@example.com', role: 'station_manager', stationIds: ['station-1'], isActive: true }
+                },
+                chargingStations: {
+                    'station-1': { stationId: 'station-1', name: 'Managed Station', chargingTypes: ['CCS2', 'Type2'], totalSlots: 0, availableSlots: 0, isActive: true },
+                    'station-2': { stationId: 'station-2', name: 'Other Station', chargingTypes: ['CCS2'], totalSlots: 0, availableSlots: 0, isActive: true }
+                }
+            },
+            accounts: [{ uid: 'manager-1', email: 'manager@example.com' }]
+        };
+        const station = async (backend) => (await backend.getDoc('chargingStations', 'station-1')).data;
+
+        // Test 36: Creating Slots
+        await this.testAsync('Adding a slot should check its charging type and station access and update the station counts', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('manager@example.com', TEST_PASSWORD);
+            const created = await dbMethods.createChargingSlot('station-1', { slotNumber: 1, chargingType: 'CCS2', maxPower: '150' });
+            const wrongType = await dbMethods.createChargingSlot('station-1', { slotNumber: 2, chargingType: 'CHAdeMO' });
+            const missingType = await dbMethods.createChargingSlot('station-1', { slotNumber: 2 });
+            const otherStation = await dbMethods.createChargingSlot('station-2', { slotNumber: 1, chargingType: 'CCS2' });
+
+            const slot = (await backend.getDoc('chargingSlots', created.slotId)).data;
+            const counts = await station(backend);
+
+            return created.success && slot.slotNumber === '1' && slot.maxPower === 150 && slot.isActive && slot.isAvailable &&
+                   wrongType.code === 'invalid_charging_type' && missingType.code === 'validation_failed' &&
+                   !otherStation.success && counts.totalSlots === 1 && counts.availableSlots === 1;
+        }));
+
+        // Test 37: Updating Slots
+        await this.testAsync('Editing a slot should change its number and power but leave availability alone', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('manager@example.com', TEST_PASSWORD);
+            const { slotId } = await dbMethods.createChargingSlot('station-1', { slotNumber: 1, chargingType: 'CCS2', maxPower: 50 });
+
+            const updated = await dbMethods.updateChargingSlot(slotId, { slotNumber: 4, maxPower: 22, chargingType: 'Type2', isAvailable: false });
+            const wrongType = await dbMethods.updateChargingSlot(slotId, { chargingType: 'CHAdeMO' });
+            const missing = await dbMethods.updateChargingSlot('no-such-slot', { maxPower: 11 });
+
+            const slot = (await backend.getDoc('chargingSlots', slotId)).data;
+            return updated.success && slot.slotNumber === '4' && slot.maxPower === 22 && slot.chargingType === 'Type2' &&
+                   slot.isAvailable && wrongType.code === 'invalid_charging_type' && missing.code === 'slot_not_found';
+        }));
+
+        // Test 38: Retiring Slots
+        await this.testAsync('Retiring a slot should wait for its open bookings, then drop it from listings and counts', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('manager@example.com', TEST_PASSWORD);
+            const { slotId } = await dbMethods.createChargingSlot('station-1', { slotNumber: 1, chargingType: 'CCS2' });
+            await dbMethods.createChargingSlot('station-1', { slotNumber: 2, chargingType: 'CCS2' });
+
+            await backend.updateDoc('chargingSlots', slotId, { reservations: [{ bookingId: 'booking-1' }] });
+            const inUse = await dbMethods.retireChargingSlot(slotId);
+
+            await backend.updateDoc('chargingSlots', slotId, { reservations: [] });
+            const retired = await dbMethods.retireChargingSlot(slotId);
+
+            const listed = await dbMethods.getStationSlots('station-1');
+            const withRetired = await dbMethods.getStationSlots('station-1', { includeRetired: true });
+            const counts = await station(backend);
+
+            return inUse.code === 'slot_in_use' && inUse.bookingIds[0] === 'booking-1' && retired.success &&
+                   listed.slots.length === 1 && withRetired.slots.length === 2 &&
+                   counts.totalSlots === 1 && counts.availableSlots === 1;
+        }));
+    }
+
+    /**
+     * Live Subscription Tests
+     */
+    async runSubscriptionTests() {
+        console.log('\n📡 Running Live Subscription Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+        const seed = {
+            collections: {
+                chargingStations: {
+                    'station-1': {
+                        stationId: 'station-1', name: 'Test Station', isActive: true, totalSlots: 1, availableSlots: 1,
+                        location: { latitude: 57.64911, longitude: 10.40744 }, geohash: 'u4pruydqq'
+                    }
+                },
+                chargingSlots: {
+                    'slot-1': { slotId: 'slot-1', stationId: 'station-1', slotNumber: '1', isActive: true, isAvailable: true, reservations: [] },
+                    'slot-2': { slotId: 'slot-2', stationId: 'station-1', slotNumber: '2', isActive: false, isAvailable: false, reservations: [] }
+                },
+                bookings: {
+                    'booking-1': { bookingId: 'booking-1', userId: 'driver-1', status: 'pending', bookingDate: new Date(Date.now() - 60 * 1000) },
+                    'booking-2': { bookingId: 'booking-2', userId: 'driver-2', status: 'pending', bookingDate: new Date() }
+                }
+            },
+            accounts: [{ uid: 'driver-1', email: 'driver@example.com', emailVerified: true }]
+        };
+        // Listeners report on a later tick, as Firestore's do
+        const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        // Test 39: Station Subscription
+        await this.testAsync('A station subscription should deliver the station with its active slots and follow later writes', () => this.withMemoryBackend(seed, async (backend) => {
+            const payloads = [];
+            const unsubscribe = dbMethods.subscribeToStation('station-1', payload => payloads.push(payload));
+            await settle();
+            const first = payloads[0];
+
+            await backend.updateDoc('chargingSlots', 'slot-1', { isAvailable: false });
+            await settle();
+            const second = payloads[1];
+
+            unsubscribe();
+            await backend.updateDoc('chargingStations', 'station-1', { name: 'Renamed Station' });
+            await settle();
+
+            return first.success && first.station.stationId === 'station-1' &&
+                   first.slots.map(slot => slot.slotId).join() === 'slot-1' && first.slots[0].isAvailable &&
+                   second.success && !second.slots[0].isAvailable && payloads.length === 2;
+        }));
+
+        // Test 40: Nearby Stations Subscription
+        await this.testAsync('A nearby subscription should pick up stations opened inside the radius only', () => this.withMemoryBackend(seed, async (backend) => {
+            const payloads = [];
+            const unsubscribe = dbMethods.subscribeToNearbyStations(57.64911, 10.40744, 5, payload => payloads.push(payload));
+            await settle();
+            const first = payloads[payloads.length - 1];
+
+            await backend.setDoc('chargingStations', 'station-2', {
+                stationId: 'station-2', name: 'Near Station', isActive: true,
+                location: { latitude: 57.64911, longitude: 10.40744 }, geohash: 'u4pruydqq'
+            });
+            await backend.setDoc('chargingStations', 'station-3', {
+                stationId: 'station-3', name: 'Far Station', isActive: true,
+                location: { latitude: 13.2, longitude: 77.75 }, geohash: 'tdr38h'
+            });
+            await settle();
+            const second = payloads[payloads.length - 1];
+            const delivered = payloads.length;
+
+            unsubscribe();
+            await backend.updateDoc('chargingStations', 'station-2', { isActive: false });
+            await settle();
+
+            return first.success && first.stations.map(station => station.stationId).join() === 'station-1' &&
+                   second.stations.map(station => station.stationId).sort().join() === 'station-1,station-2' &&
+                   payloads.length === delivered;
+        }));
+
+        // Test 41: User Bookings Subscription
+        await this.testAsync('A bookings subscription should list only the driver\'s bookings and follow status changes', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const payloads = [];
+            const unsubscribe = dbMethods.subscribeToUserBookings('driver-1', payload => payloads.push(payload));
+            // The listener only attaches once the access check has passed
+            await settle();
+            await settle();
+            const first = payloads[0];
+
+            await backend.updateDoc('bookings', 'booking-1', { status: 'cancelled' });
+            await settle();
+            const second = payloads[1];
+
+            unsubscribe();
+            await backend.updateDoc('bookings', 'booking-1', { status: 'pending' });
+            await settle();
+
+            return first.success && first.bookings.map(booking => booking.bookingId).join() === 'booking-1' &&
+                   second.bookings[0].status === 'cancelled' && payloads.length === 2;
+        }));
+    }
+
+    /**
+     * Memory Backend Tests
+     */
+    async runMemoryBackendTests() {
+        console.log('\n🗄️ Running Memory Backend Tests...');
+
+        const seed = {
+            collections: {
+                stations: {
+                    'station-a': { name: 'Bravo', rank: 2 },
+                    'station-b': { name: 'Alpha', rank: 1 },
+                    'station-c': { name: 'Bravo', rank: 3 },
+                    'station-d': { rank: 4 }
+                }
+            }
+        };
+        const ids = docs => docs.map(doc => doc.id).join();
+        const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        // Test 42: Query Ordering, Limit and Cursors
+        await this.testAsync('Queries should order by each field in turn, skip unordered docs and honour limit and startAfter', async () => {
+            const backend = new MemoryBackend({ seed });
+            const orderBy = [['name', 'asc'], ['rank', 'desc']];
+
+            const ordered = await backend.queryDocs('stations', { orderBy });
+            const limited = await backend.queryDocs('stations', { orderBy, limit: 2 });
+            const afterCursor = await backend.queryDocs('stations', { orderBy, startAfter: ['Bravo', 3] });
+            const filtered = await backend.queryDocs('stations', { where: [['rank', '>=', 2]], orderBy: [['rank', 'desc']], limit: 2 });
+
+            return ids(ordered) === 'station-b,station-c,station-a' && ids(limited) === 'station-b,station-c' &&
+                   ids(afterCursor) === 'station-a' && ids(filtered) === 'station-d,station-c';
+        });
+
+        // Test 43: Transaction Buffering and Rollback
+        await this.testAsync('Transaction writes should stay invisible until commit and be dropped together on failure', async () => {
+            const backend = new MemoryBackend({ seed });
+            let readInside;
+
+            await backend.runTransaction(async (transaction) => {
+                transaction.set('stations', 'station-e', { name: 'Echo', rank: 5 });
+                readInside = await transaction.get('stations', 'station-e');
+            });
+
+            const thrown = await backend.runTransaction(async (transaction) => {
+                transaction.update('stations', 'station-a', { rank: 10 });
+                throw new Error('Aborted');
+            }).catch(error => error.message);
+
+            const missingTarget = await backend.runTransaction(async (transaction) => {
+                transaction.update('stations', 'station-a', { rank: 10 });
+                transaction.update('stations', 'no-such-station', { rank: 11 });
+            }).then(() => null, error => error.code);
+
+            return readInside === null && (await backend.getDoc('stations', 'station-e')).data.name === 'Echo' &&
+                   thrown === 'Aborted' && missingTarget === 'not-found' &&
+                   (await backend.getDoc('stations', 'station-a')).data.rank === 2;
+        });
+
+        // Test 44: Listener Delivery
+        await this.testAsync('Listeners should report on a later tick, once per burst of writes to their collection, until unsubscribed', async () => {
+            const backend = new MemoryBackend({ seed });
+            const docEvents = [];
+            const queryEvents = [];
+
+            const unsubscribeDoc = backend.subscribeDoc('stations', 'station-a', doc => docEvents.push(doc));
+            backend.subscribeQuery('stations', { where: [['name', '==', 'Bravo']] }, docs => queryEvents.push(ids(docs)));
+            const synchronous = docEvents.length;
+            await settle();
+
+            await backend.updateDoc('stations', 'station-a', { rank: 5 });
+            await backend.updateDoc('stations', 'station-b', { name: 'Bravo' });
+            await backend.setDoc('bookings', 'booking-1', { stationId: 'station-a' });
+            await settle();
+
+            unsubscribeDoc();
+            await backend.updateDoc('stations', 'station-a', { rank: 6 });
+            await settle();
+
+            return synchronous === 0 && docEvents.length === 2 && docEvents[1].data.rank === 5 &&
+                   queryEvents.join('|') === 'station-a,station-c|station-a,station-b,station-c|station-a,station-b,station-c';
+        });
+    }
+
+    /**
+     * Pagination Tests
+     */
+    async runPaginationTests() {
+        console.log('\n📄 Running Pagination Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+        const day = 24 * 60 * 60 * 1000;
+        const seed = {
+            collections: {
+                chargingStations: {
+                    'station-a': { stationId: 'station-a', name: 'Alpha', isActive: true },
+                    'station-b': { stationId: 'station-b', name: 'Bravo', isActive: true },
+                    'station-c': { stationId: 'station-c', name: 'Bravo', isActive: true },
+                    'station-d': { stationId: 'station-d', name: 'Charlie', isActive: true },
+                    'station-e': { stationId: 'station-e', name: 'Delta', isActive: false },
+                    'station-f': { stationId: 'station-f', name: 'Echo', isActive: true }
+                },
+                bookings: {
+                    'booking-1': { bookingId: 'booking-1', userId: 'driver-1', bookingDate: new Date(Date.now() - day) },
+                    'booking-2': { bookingId: 'booking-2', userId: 'driver-1', bookingDate: new Date(Date.now() - 2 * day) },
+                    'booking-3': { bookingId: 'booking-3', userId: 'driver-1', bookingDate: new Date(Date.now() - 3 * day) }
+                }
+            },
+            accounts: [{ uid: 'driver-1', email: 'driver@example.com', emailVerified: true }]
+        };
+
+        // Test 45: Cursor Round-Trips
+        await this.testAsync('Following cursors should visit every station once, ties included, and end on a null cursor', () => this.withMemoryBackend(seed, async () => {
+            const pages = [];
+            let cursor = null;
+            do {
+                const page = await dbMethods.getChargingStations({ pageSize: 2, cursor: cursor });
+                pages.push(page.stations.map(station => station.stationId));
+                cursor = page.nextCursor;
+            } while (cursor && pages.length < 5);
+
+            return JSON.stringify(pages) === JSON.stringify([['station-a', 'station-b'], ['station-c', 'station-d'], ['station-f']]);
+        }));
+
+        // Test 46: Date Cursors
+        await this.testAsync('Cursors over dates should carry on from the last booking shown', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const first = await dbMethods.getUserBookings('driver-1', { pageSize: 2 });
+            const last = await dbMethods.getUserBookings('driver-1', { pageSize: 2, cursor: first.nextCursor });
+
+            return first.bookings.map(booking => booking.bookingId).join() === 'booking-1,booking-2' &&
+                   last.bookings.map(booking => booking.bookingId).join() === 'booking-3' && last.nextCursor === null;
+        }));
+
+        // Test 47: Invalid Cursors
+        await this.testAsync('Malformed or foreign cursors should be refused as invalid_cursor', () => this.withMemoryBackend(seed, async () => {
+            const malformed = await dbMethods.getChargingStations({ cursor: 'not-a-cursor' });
+            const wrongShape = await dbMethods.getChargingStations({ cursor: btoa(encodeURIComponent(JSON.stringify(['Alpha']))) });
+            const exact = await dbMethods.getChargingStations({ pageSize: 5 });
+
+            return malformed.code === 'invalid_cursor' && wrongShape.code === 'invalid_cursor' &&
+                   exact.stations.length === 5 && exact.nextCursor === null;
+        }));
+    }
+
+    /**
+     * Schema Validation Tests
+     */
+    async runSchemaValidationTests() {
+        console.log('\n🧾 Running Schema Validation Tests...');
+        const { validateDocument, dbMethods } = window.FirebaseConfig;
+        const hour = 60 * 60 * 1000;
+        const start = Date.now() + 24 * hour;
+        const bookingSeed = {
+            collections: {
+                chargingStations: { 'station-1': { stationId: 'station-1', name: 'Test Station', totalSlots: 1, availableSlots: 1, isActive: true } },
+                chargingSlots: { 'slot-1': { slotId: 'slot-1', stationId: 'station-1', slotNumber: '1', isActive: true, isAvailable: true, reservations: [] } }
+            },
+            accounts: [{ uid: 'driver-1', email: 'driver@example.com', emailVerified: true }]
+        };
+
+        // Test 48: Required and Nested Fields
+        this.test('New stations should report missing and mistyped fields by path', () => {
+            const { fieldErrors } = validateDocument('chargingStations', {
+                name: 'Test Station',
+                location: { latitude: '12.97' },
+                chargingTypes: ['CCS2']
+            });
+            return fieldErrors.address && fieldErrors['location.latitude'] &&
+                   fieldErrors['location.longitude'] && !fieldErrors.name;
+        });
+
+        // Test 49: Unknown and Managed Fields
+        this.test('Unknown and managed fields should be stripped, not written', () => {
+            const { data, fieldErrors, stripped } = validateDocument('users', {
+                firstName: 'Asha', isAdmin: true, createdAt: new Date()
+            }, { partial: true });
+            return Object.keys(fieldErrors).length === 0 &&
+                   data.firstName === 'Asha' && !('isAdmin' in data) &&
+                   stripped.includes('isAdmin') && stripped.includes('createdAt');
+        });
+
+        // Test 50: Enum Values
+        this.test('Enum fields should only accept listed values', () => {
+            const invalid = validateDocument('bookings', { status: 'archived' }, { partial: true });
+            const valid = validateDocument('bookings', { status: 'cancelled' }, { partial: true });
+            return invalid.fieldErrors.status && Object.keys(valid.fieldErrors).length === 0;
+        });
+
+        // Test 51: Server-Owned Booking Fields
+        await this.testAsync('Bookings should keep only the requested window, with status and history set by the server', () => this.withMemoryBackend(bookingSeed, async (backend) => {
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const result = await dbMethods.createBooking({
+                userId: 'driver-1', stationId: 'station-1', slotId: 'slot-1', startTime: start, endTime: start + hour,
+                status: 'completed', totalCost: 0, statusHistory: [{ to: 'completed' }], isPaid: true
+            });
+
+            const booking = (await backend.getDoc('bookings', result.bookingId)).data;
+            return result.success && booking.status === 'pending' && !('isPaid' in booking) &&
+                   booking.startTime instanceof Date && booking.estimatedDuration === 60 &&
+                   booking.statusHistory.length === 1 && booking.statusHistory[0].to === 'pending' &&
+                   booking.statusHistory[0].actorId === 'driver-1';
+        }));
+
+        // Test 52: Invalid Booking Fields
+        await this.testAsync('Bookings with missing or mistyped fields should be refused field by field', () => this.withMemoryBackend(bookingSeed, async (backend) => {
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const missing = await dbMethods.createBooking({ userId: 'driver-1', stationId: 'station-1', startTime: start, endTime: start + hour });
+            const mistyped = await dbMethods.createBooking({ userId: 'driver-1', stationId: 'station-1', slotId: 7, startTime: start, endTime: 'soon' });
+            const backwards = await dbMethods.createBooking({ userId: 'driver-1', stationId: 'station-1', slotId: 'slot-1', startTime: start, endTime: start - hour });
+
+            return missing.code === 'validation_failed' && Object.keys(missing.fieldErrors).join() === 'slotId' &&
+                   mistyped.fieldErrors.slotId === 'Must be a string' && mistyped.fieldErrors.endTime === 'This field is required' &&
+                   backwards.code === 'invalid_booking' && (await backend.queryDocs('bookings', {})).length === 0;
+        }));
+    }
+
+    /**
+     * Station Filter Tests
+     */
+    async runStationFilterTests() {
+        console.log('\n🔌 Running Station Filter Tests...');
+
+        const stations = [
+            { stationId: 'a', distance: 1, chargingTypes: ['Type 2'], chargingSpeed: 'standard', maxPower: 22, freeSlotsNow: 0, currentPrice: 10 },
+            { stationId: 'b', distance: 3, chargingTypes: ['CCS2', 'CHAdeMO'], chargingSpeed: 'rapid', maxPower: 120, freeSlotsNow: 2, currentPrice: 18 },
+            { stationId: 'c', distance: 2, chargingTypes: ['CCS2'], chargingSpeed: 'fast', maxPower: 60, freeSlotsNow: 1, currentPrice: null }
+        ];
+        const ids = (results) => results.map(station => station.stationId).join(',');
+
+        // Test 53: Connector, Power and Availability Filters
+        this.test('Filters should combine connector type, minimum power and free slots', () => {
+            return ids(StationFilter.apply(stations, { chargingTypes: ['CCS2'] })) === 'c,b' &&
+                   ids(StationFilter.apply(stations, { minPower: 50, availableNow: true })) === 'c,b' &&
+                   ids(StationFilter.apply(stations, { chargingSpeed: 'standard' })) === 'a';
+        });
+
+        // Test 54: Sort Orders
+        this.test('Results should sort by price with unpriced stations last, or by power', () => {
+            return ids(StationFilter.apply(stations, { sortBy: 'price' })) === 'a,b,c' &&
+                   ids(StationFilter.apply(stations, { sortBy: 'power' })) === 'b,c,a' &&
+                   ids(StationFilter.apply(stations, { sortBy: 'unknown' })) === 'a,c,b';
+        });
+
+        // Test 55: Query String Round Trip
+        this.test('Filters should survive a round trip through the URL', () => {
+            const filter = { chargingTypes: ['CCS2', 'Type 2'], minPower: '50', availableNow: true, sortBy: 'power' };
+            const restored = StationFilter.fromQueryString(StationFilter.toQueryString(filter));
+            return JSON.stringify(restored) === JSON.stringify(StationFilter.normalize(filter));
+        });
+    }
+
+    /**
+     * Admin Sign-in Tests
+     */
+    async runAdminSignInTests() {
+        console.log('\n🛂 Running Admin Sign-in Tests...');
+
+        const { authMethods } = window.FirebaseConfig;
+        const seed = {
+            collections: {
+                adminUsers: {
+                    'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true, lastLogin: null },
+                    'admin-2': { adminId: 'admin-2', email: 'former@example.com', role: 'super_admin', isActive: false }
+                }
+            },
+            accounts: [
+                { uid: 'admin-1', email: 'admin@example.com' },
+                { uid: 'admin-2', email: 'former@example.com' },
+                { uid: 'driver-1', email: 'driver@example.com' }
+            ]
+        };
+
+        // Test 56: Non-Admins Are Signed Out
+        await this.testAsync('Drivers and deactivated admins should be signed straight back out of the admin area', () => this.withMemoryBackend(seed, async (backend) => {
+            const driver = await authMethods.adminSignIn('driver@example.com', TEST_PASSWORD);
+            const driverSignedOut = backend.getCurrentUser() === null;
+
+            const former = await authMethods.adminSignIn('former@example.com', TEST_PASSWORD);
+            const formerSignedOut = backend.getCurrentUser() === null;
+
+            return driver.code === 'not_admin' && driverSignedOut && former.code === 'not_admin' && formerSignedOut;
+        }));
+
+        // Test 57: Last Login Stamp
+        await this.testAsync('A completed admin sign-in should stamp lastLogin and report the role', () => this.withMemoryBackend(seed, async (backend) => {
+            const result = await authMethods.adminSignIn('admin@example.com', TEST_PASSWORD);
+            const admin = (await backend.getDoc('adminUsers', 'admin-1')).data;
+
+            return result.success && result.role === 'super_admin' && result.stationIds === null &&
+                   backend.getCurrentUser().uid === 'admin-1' && admin.lastLogin instanceof Date;
+        }));
+    }
+
+    /**
+     * Email Verification Tests
+     */
+    async runEmailVerificationTests() {
+        console.log('\n📧 Running Email Verification Tests...');
+
+        const { authMethods, dbMethods } = window.FirebaseConfig;
+        const hour = 60 * 60 * 1000;
+        const start = Date.now() + 24 * hour;
+        const seed = {
+            collections: {
+                users: {
+                    'driver-1': { userId: 'driver-1', email: 'new@example.com', emailVerified: false, isActive: true },
+                    'driver-2': { userId: 'driver-2', email: 'driver@example.com', emailVerified: true, isActive: true }
+                },
+                chargingStations: { 'station-1': { stationId: 'station-1', name: 'Test Station', totalSlots: 1, availableSlots: 1, isActive: true } },
+                chargingSlots: { 'slot-1': { slotId: 'slot-1', stationId: 'station-1', slotNumber: '1', isActive: true, isAvailable: true, reservations: [] } }
+            },
+            accounts: [
+                { uid: 'driver-1', email: 'new@example.com', emailVerified: false },
+                { uid: 'driver-2', email: 'driver@example.com', emailVerified: true }
+            ]
+        };
+        const book = (userId, offset = 0) => dbMethods.createBooking({
+            userId: userId, stationId: 'station-1', slotId: 'slot-1', startTime: start + offset, endTime: start + offset + hour
+        });
+
+        // Test 58: Unverified Sign-in
+        await this.testAsync('Unverified drivers should get email_unverified at sign-in but stay signed in to resend', () => this.withMemoryBackend(seed, async (backend) => {
+            const result = await authMethods.signIn('new@example.com', TEST_PASSWORD);
+            const resent = await authMethods.sendVerificationEmail();
+
+            return result.code === 'email_unverified' && backend.getCurrentUser().uid === 'driver-1' && resent.success &&
+                   backend.outbox.some(mail => mail.to === 'new@example.com' && mail.mode === 'verifyEmail');
+        }));
+
+        // Test 59: Booking Gates
+        await this.testAsync('Bookings should need a signed-in, verified driver booking for themselves', () => this.withMemoryBackend(seed, async (backend) => {
+            const signedOut = await book('driver-2');
+
+            await backend.signIn('new@example.com', TEST_PASSWORD);
+            const unverified = await book('driver-1');
+            await backend.signOut();
+
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const forSomeoneElse = await book('driver-1');
+            const own = await book('driver-2');
+
+            return signedOut.code === 'not_signed_in' && unverified.code === 'email_unverified' &&
+                   forSomeoneElse.code === 'forbidden' && own.success;
+        }));
+
+        // Test 60: Verification Links
+        await this.testAsync('Following the verification link should verify the account and its profile', () => this.withMemoryBackend(seed, async (backend) => {
+            await authMethods.signIn('new@example.com', TEST_PASSWORD);
+            await authMethods.sendVerificationEmail();
+            const link = backend.outbox.find(mail => mail.to === 'new@example.com' && mail.mode === 'verifyEmail');
+            const verified = await authMethods.verifyEmail(link.code);
+            const reused = await authMethods.verifyEmail(link.code);
+
+            const profile = (await backend.getDoc('users', 'driver-1')).data;
+            const booking = await book('driver-1');
+
+            return verified.success && reused.code === 'auth/invalid-action-code' &&
+                   profile.emailVerified === true && booking.success;
+        }));
+    }
+
+    /**
+     * Password Reset Tests
+     */
+    async runPasswordResetTests() {
+        console.log('\n🔑 Running Password Reset Tests...');
+
+        const { authMethods } = window.FirebaseConfig;
+        const newPassword = 'Amber-Socket-93';
+        const seed = {
+            accounts: [{ uid: 'driver-1', email: 'driver@example.com', emailVerified: true }]
+        };
+        const resetCode = (backend) => backend.outbox.filter(mail => mail.mode === 'resetPassword').pop().code;
+
+        // Test 61: Reset Requests
+        await this.testAsync('Reset requests should succeed for unknown emails without sending anything', () => this.withMemoryBackend(seed, async (backend) => {
+            const unknown = await authMethods.requestPasswordReset('nobody@example.com');
+            const sentForUnknown = backend.outbox.length;
+            const known = await authMethods.requestPasswordReset('driver@example.com');
+
+            return unknown.success && sentForUnknown === 0 && known.success &&
+                   backend.outbox.length === 1 && backend.outbox[0].to === 'driver@example.com';
+        }));
+
+        // Test 62: Confirming a Reset
+        await this.testAsync('Reset links should check the password policy, set the new password once and then expire', () => this.withMemoryBackend(seed, async (backend) => {
+            await authMethods.requestPasswordReset('driver@example.com');
+            const code = resetCode(backend);
+
+            const verified = await authMethods.verifyPasswordResetCode(code);
+            const weak = await authMethods.confirmPasswordReset(code, 'short');
+            const reset = await authMethods.confirmPasswordReset(code, newPassword);
+            const reused = await authMethods.confirmPasswordReset(code, newPassword);
+
+            const user = await backend.signIn('driver@example.com', newPassword);
+            return verified.email === 'driver@example.com' && weak.code === 'password_policy' && weak.field === 'newPassword' &&
+                   reset.success && reused.code === 'auth/invalid-action-code' && user.uid === 'driver-1';
+        }));
+
+        // Test 63: Changing the Password
+        await this.testAsync('Changing a password should need the current one again', () => this.withMemoryBackend(seed, async (backend) => {
+            const signedOut = await authMethods.changePassword(TEST_PASSWORD, newPassword);
+
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const wrongCurrent = await authMethods.changePassword('not-my-password', newPassword);
+            const changed = await authMethods.changePassword(TEST_PASSWORD, newPassword);
+            await backend.signOut();
+
+            const oldRefused = await backend.signIn('driver@example.com', TEST_PASSWORD).then(() => false, () => true);
+            const user = await backend.signIn('driver@example.com', newPassword);
+
+            return signedOut.code === 'not_signed_in' && wrongCurrent.code === 'auth/wrong-password' &&
+                   wrongCurrent.field === 'currentPassword' && changed.success && oldRefused && user.uid === 'driver-1';
+        }));
+    }
+
+    /**
+     * Admin Two-Step Verification Tests
+     */
+    async runAdminMfaTests() {
+        console.log('\n🔐 Running Admin Two-Step Verification Tests...');
+
+        const { authMethods, dbMethods } = window.FirebaseConfig;
+
+        // RFC 6238 test secret, "12345678901234567890" in base32
+        const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+        const enrolledSecret = TOTP.generateSecret();
+        const seed = {
+            collections: {
+                adminUsers: { 'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true, mfaRequired: true, mfaEnabled: true } },
+                adminMfa: { 'admin-1': { secret: enrolledSecret, enabled: true, recoveryCodes: [], lastUsedStep: null } }
+            },
+            accounts: [{ uid: 'admin-1', email: 'admin@example.com' }]
+        };
+        const station = {
+            name: 'Test Station',
+            address: 'Test Address',
+            location: { latitude: 12.9716, longitude: 77.5946 },
+            chargingTypes: ['CCS2']
+        };
+
+        // Test 64: RFC 6238 Test Vectors
+        await this.testAsync('TOTP codes should match the RFC 6238 test vectors', async () => {
+            return await TOTP.generate(secret, { now: 59 * 1000 }) === '287082' &&
+                   await TOTP.generate(secret, { now: 1111111109 * 1000 }) === '081804' &&
+                   await TOTP.generate(secret, { now: 20000000000 * 1000 }) === '353130';
+        });
+
+        // Test 65: Clock Drift and Replay
+        await this.testAsync('Codes should allow one step of drift and never be accepted twice', async () => {
+            const now = 1111111109 * 1000;
+            const step = TOTP.stepAt(now);
+            return await TOTP.verify(secret, '081804', { now: now + 30 * 1000 }) === step &&
+                   await TOTP.verify(secret, '081804', { now: now + 60 * 1000 }) === null &&
+                   await TOTP.verify(secret, '081804', { now: now, afterStep: step }) === null;
+        });
+
+        // Test 66: Recovery Codes
+        await this.testAsync('Recovery codes should be unique and hash the same however they are typed', async () => {
+            const codes = TOTP.generateRecoveryCodes();
+            const wellFormed = codes.every(code => /^[a-z2-7]{5}-[a-z2-7]{5}$/.test(code));
+            return wellFormed && new Set(codes).size === codes.length &&
+                   await TOTP.hashRecoveryCode(codes[0].toUpperCase().replace('-', ' ')) === await TOTP.hashRecoveryCode(codes[0]);
+        });
+
+        // Test 67: Admin Actions Wait for the Code
+        await this.testAsync('Admin actions should be refused until this sign-in passes two-step verification', () => this.withMemoryBackend(seed, async (backend) => {
+            let clock = Date.now();
+            backend.now = () => clock;
+
+            const signIn = await authMethods.adminSignIn('admin@example.com', TEST_PASSWORD);
+            const beforeCode = await dbMethods.createChargingStation(station);
+
+            const verified = await authMethods.verifyAdminMfa(await TOTP.generate(enrolledSecret, { now: clock }));
+            const afterCode = await dbMethods.createChargingStation(station);
+
+            // A later sign-in with only the password starts a new, unverified session
+            await backend.signOut();
+            clock += 60 * 1000;
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const passwordOnly = await dbMethods.createChargingStation(station);
+
+            return signIn.code === 'mfa_required' && beforeCode.code === 'mfa_required' && verified.success &&
+                   afterCode.success && passwordOnly.code === 'mfa_required';
+        }));
+    }
+
+    /**
+     * Session Expiry Tests
+     */
+    async runSessionExpiryTests() {
+        console.log('\n⏱️ Running Session Expiry Tests...');
+        const authManager = new AuthManager();
+        const now = Date.now();
+        const session = (overrides) => ({
+            userId: 'test-user',
+            status: 'active',
+            isAdmin: false,
+            rememberMe: false,
+            loginTime: now - 60 * 1000,
+            lastActivity: now - 60 * 1000,
+            expiresAt: now + AuthManager.SESSION_TTL_MS,
+            ...overrides
+        });
+
+        // Test 68: Expiry and Idle Timeout
+        this.test('Sessions should expire at expiresAt and after the idle timeout', () => {
+            const idleSince = now - AuthManager.IDLE_TIMEOUT_MS;
+            return authManager.getExpiryReason(session({}), now) === null &&
+                   authManager.getExpiryReason(session({ expiresAt: now }), now) === 'expired' &&
+                   authManager.getExpiryReason(session({ expiresAt: undefined }), now) === 'expired' &&
+                   authManager.getExpiryReason(session({ lastActivity: idleSince }), now) === 'idle';
+        });
+
+        // Test 69: Remember Me
+        this.test('Remembered driver sessions should skip the idle timeout, admin sessions should not', () => {
+            const idleSince = now - AuthManager.IDLE_TIMEOUT_MS;
+            return authManager.getExpiryReason(session({ rememberMe: true, lastActivity: idleSince }), now) === null &&
+                   authManager.getExpiryReason(session({ rememberMe: true, isAdmin: true, lastActivity: idleSince }), now) === 'idle';
+        });
+    }
+
+    /**
+     * Cross-Tab Session Tests
+     */
+    async runCrossTabTests() {
+        console.log('\n🗂️ Running Cross-Tab Session Tests...');
+        const authManager = new AuthManager();
+        const now = Date.now();
+
+        // Run a check against a throwaway session, then put the real one back
+        const withTestSession = (check) => {
+            const saved = [localStorage.getItem('ev_bunk_session'), sessionStorage.getItem('ev_bunk_session')];
+            authManager.writeSession({
+                userId: 'test-user',
+                status: 'active',
+                isAdmin: false,
+                role: null,
+                permissions: [],
+                rememberMe: false,
+                loginTime: now - 60 * 1000,
+                lastActivity: now - 60 * 1000,
+                expiresAt: now + AuthManager.SESSION_TTL_MS
+            });
+            try {
+                return check();
+            } finally {
+                authManager.hideIdleWarning();
+                localStorage.removeItem('ev_bunk_session');
+                sessionStorage.removeItem('ev_bunk_session');
+                if (saved[0] !== null) localStorage.setItem('ev_bunk_session', saved[0]);
+                if (saved[1] !== null) sessionStorage.setItem('ev_bunk_session', saved[1]);
+            }
+        };
+
+        // Test 70: Activity From Another Tab
+        this.test('Activity in another tab should push back this tab\'s idle deadline', () => {
+            return withTestSession(() => {
+                authManager.handleAuthBroadcast({ type: 'activity', tabId: 'other-tab', userId: 'test-user', at: now });
+                return authManager.readSession().lastActivity === now;
+            });
+        });
+
+        // Test 71: Session Updates and Own Messages
+        this.test('Role changes from other tabs should apply, this tab\'s own messages should not', () => {
+            return withTestSession(() => {
+                const update = { userId: 'test-user', status: 'active', isAdmin: false, role: 'driver', permissions: ['bookings:read'] };
+                authManager.handleAuthBroadcast({ type: 'session_updated', tabId: AuthManager.TAB_ID, session: { ...update, role: 'ignored' } });
+                authManager.handleAuthBroadcast({ type: 'session_updated', tabId: 'other-tab', session: update });
+                const session = authManager.readSession();
+                return session.role === 'driver' && session.permissions[0] === 'bookings:read';
+            });
+        });
+    }
+
+    /**
+     * Login Throttle Tests
+     */
+    async runLoginThrottleTests() {
+        console.log('\n🚦 Running Login Throttle Tests...');
+        const now = Date.now();
+
+        // Test 72: Progressive Delays
+        this.test('Failed sign-ins should be delayed progressively after the free attempts', () => {
+            const throttle = new LoginThrottle({ storage: null });
+            const free = throttle.recordFailure('driver@example.com', now);
+            throttle.recordFailure('driver@example.com', now);
+            const delayed = throttle.recordFailure('Driver@Example.com', now);
+            return free.allowed &&
+                   delayed.reason === 'delayed' && delayed.retryAt === now + LoginThrottle.BASE_DELAY_MS &&
+                   LoginThrottle.delayAfter(4) === 2 * LoginThrottle.BASE_DELAY_MS &&
+                   LoginThrottle.delayAfter(20) === LoginThrottle.MAX_DELAY_MS &&
+                   throttle.check('driver@example.com', delayed.retryAt).allowed &&
+                   throttle.check('other@example.com', now).allowed;
+        });
+
+        // Test 73: Lockout and Reset
+        this.test('Repeated failures should lock the email out until the lockout ends or a sign-in succeeds', () => {
+            const throttle = new LoginThrottle({ storage: null });
+            let status;
+            for (let i = 0; i < LoginThrottle.LOCKOUT_THRESHOLD; i++) {
+                status = throttle.recordFailure('admin@example.com', now);
+            }
+            const locked = status.reason === 'locked' && status.retryAt === now + LoginThrottle.LOCKOUT_MS;
+            const lapsed = throttle.check('admin@example.com', now + LoginThrottle.LOCKOUT_MS).failures === 0;
+            throttle.recordSuccess('admin@example.com');
+            return locked && lapsed && throttle.check('admin@example.com', now).allowed;
+        });
+
+        // Test 74: Retry Countdown
+        this.test('The retry countdown should hold the button until retryAt and then restore its label', () => {
+            const button = { innerHTML: 'Sign In', disabled: false };
+            LoginThrottle.startRetryCountdown(button, Date.now() + 90 * 1000);
+            const waiting = button.disabled && button.innerHTML.endsWith('Try again in 1:30');
+
+            LoginThrottle.startRetryCountdown(button, Date.now() + 5 * 1000);
+            LoginThrottle.startRetryCountdown(button, Date.now());
+            return waiting && !button.disabled && button.innerHTML === 'Sign In';
+        });
+    }
+
+    /**
+     * Password Policy Tests
+     */
+    async runPasswordPolicyTests() {
+        console.log('\n🔑 Running Password Policy Tests...');
+        const policy = new PasswordPolicy();
+        const owner = { email: 'priya.sharma@example.com', firstName: 'Priya', lastName: 'Sharma' };
+
+        // Test 75: Common and Personal Passwords
+        this.test('Common passwords and ones containing the owner\'s name or email should be rejected', () => {
+            return policy.validate('Password123!').failures.includes('notCommon') &&
+                   policy.validate('Sharma2024x', owner).failures[0] === 'notPersonal' &&
+                   policy.validate('PRIYA.sharma9', owner).message === 'Password must not contain your name or email address' &&
+                   policy.validate('Volt4ge-Route', owner).isValid;
+        });
+
+        // Test 76: Configured Rules Drive Messages and the Meter
+        this.test('Configured rules should drive both validation messages and the strength meter', () => {
+            const strict = new PasswordPolicy({ minLength: 12, requireSymbol: true });
+            const result = strict.validate('Volt4geRoute');
+            const meter = strict.strength('Volt4geRoute');
+            return result.failures.length === 1 && result.message === 'Password must include a special character' &&
+                   meter.level === 'medium' && meter.missing[0] === 'One special character' &&
+                   strict.validate('short').message === 'Password must be at least 12 characters';
+        });
+    }
+
+    /**
+     * Account Self-Service Tests
+     */
+    async runAccountSelfServiceTests() {
+        console.log('\n🪪 Running Account Self-Service Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+        const seed = {
+            collections: {
+                adminUsers: {
+                    'agent-1': { adminId: 'agent-1', email: 'agent@example.com', role: 'support_agent', stationIds: ['station-1'], isActive: true },
+                    'analyst-1': { adminId: 'analyst-1', email: 'analyst@example.com', role: 'analyst', isActive: true }
+                },
+                users: {
+                    'driver-1': { userId: 'driver-1', email: 'driver@example.com', firstName: 'Test', lastName: 'Driver', isActive: true },
+                    'driver-2': { userId: 'driver-2', email: 'other@example.com', firstName: 'Other', lastName: 'Driver', isActive: true }
+                },
+                bookings: { 'booking-1': { bookingId: 'booking-1', userId: 'driver-1', stationId: 'station-1', bookingDate: new Date() } }
+            },
+            accounts: [
+                { uid: 'agent-1', email: 'agent@example.com' },
+                { uid: 'analyst-1', email: 'analyst@example.com' },
+                { uid: 'driver-1', email: 'driver@example.com', emailVerified: true },
+                { uid: 'driver-2', email: 'other@example.com', emailVerified: true }
+            ]
+        };
+        // First payload of a bookings subscription, which is the failure when access is refused
+        const followBookings = () => new Promise(resolve => {
+            const unsubscribe = dbMethods.subscribeToUserBookings('driver-1', (payload) => {
+                unsubscribe();
+                resolve(payload);
+            });
+        });
+        const reach = async () => [
+            await dbMethods.getUserBookings('driver-1'),
+            await dbMethods.exportUserData('driver-1'),
+            await dbMethods.updateUserProfile('driver-1', { phone: '+15550100' }),
+            await dbMethods.getUserProfile('driver-1'),
+            await followBookings()
+        ];
+
+        // Test 77: Profile Field Whitelist
+        await this.testAsync('Profile updates should refuse fields outside name, phone and vehicle', () => this.withMemoryBackend({
+            collections: {
+                users: { 'driver-1': { userId: 'driver-1', email: 'driver@example.com', firstName: 'Old', lastName: 'Name', isActive: true } }
+            },
+            accounts: [{ uid: 'driver-1', email: 'driver@example.com', emailVerified: true }]
+        }, async (backend) => {
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+
+            const refused = await dbMethods.updateUserProfile('driver-1', {
+                firstName: 'Test',
+                isActive: false,
+                email: 'someone-else@example.com'
+            });
+            const allowed = await dbMethods.updateUserProfile('driver-1', { firstName: 'Test', vehicleType: 'suv' });
+
+            const profile = (await backend.getDoc('users', 'driver-1')).data;
+            return refused.code === 'validation_failed' &&
+                   Object.keys(refused.fieldErrors).sort().join(',') === 'email,isActive' &&
+                   allowed.success && profile.firstName === 'Test' && profile.vehicleType === 'suv' &&
+                   profile.isActive === true && profile.email === 'driver@example.com' &&
+                   backend.getCurrentUser().displayName === 'Test Name';
+        }));
+
+        // Test 78: Email Change Confirmation
+        await this.testAsync('An email change should only apply once the link sent to the new address is followed', async () => {
+            const backend = new MemoryBackend({
+                seed: { accounts: [{ uid: 'driver-1', email: 'old@example.com', password: 'Volt4ge-Route' }] }
+            });
+            await backend.signIn('old@example.com', 'Volt4ge-Route');
+            await backend.verifyBeforeUpdateEmail('new@example.com');
+
+            const mail = backend.outbox[backend.outbox.length - 1];
+            const unchanged = backend.getCurrentUser().email === 'old@example.com';
+            await backend.applyActionCode(mail.code);
+
+            return unchanged && mail.to === 'new@example.com' &&
+                   backend.getCurrentUser().email === 'new@example.com' && backend.getCurrentUser().emailVerified;
+        });
+
+        // Test 79: Other Drivers' Data
+        await this.testAsync('Drivers should only read, follow, export and edit their own data', () => this.withMemoryBackend(seed, async (backend) => {
+            const signedOut = await reach();
+
+            await backend.signIn('other@example.com', TEST_PASSWORD);
+            const otherDriver = await reach();
+            await backend.signOut();
+
+            await backend.signIn('driver@example.com', TEST_PASSWORD);
+            const [bookings, exported, updated, profile, live] = await reach();
+
+            return signedOut.every(result => result.code === 'not_signed_in') &&
+                   otherDriver.every(result => result.code === 'forbidden') &&
+                   bookings.bookings.length === 1 && exported.data.bookings.length === 1 && updated.success &&
+                   profile.profile.email === 'driver@example.com' && live.bookings.length === 1;
+        }));
+
+        // Test 80: Admin Access to Driver Data
+        await this.testAsync('Admins should need users:read to read driver data and users:write to edit it', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('agent@example.com', TEST_PASSWORD);
+            const [agentBookings, agentExport, agentUpdate, agentProfile, agentLive] = await reach();
+            await backend.signOut();
+
+            await backend.signIn('analyst@example.com', TEST_PASSWORD);
+            const analyst = await dbMethods.getUserBookings('driver-1');
+            const analystProfile = await dbMethods.getUserProfile('driver-1');
+
+            return agentBookings.success && agentExport.success && agentUpdate.code === 'forbidden' &&
+                   agentProfile.success && agentLive.success &&
+                   analyst.code === 'forbidden' && analystProfile.code === 'forbidden';
+        }));
+    }
+
+    /**
+     * Admin Role Tests
+     */
+    async runAdminRoleTests() {
+        console.log('\n🛡️ Running Admin Role Tests...');
+
+        const { adminRoles, dbMethods } = window.FirebaseConfig;
+
+        // Test 81: Station-Scoped Permissions
+        this.test('Station managers should only act on their own stations', () => {
+            const manager = { role: 'station_manager', stationIds: ['station-a'] };
+            return adminRoles.allows(manager, 'slots:write', 'station-a') &&
+                   !adminRoles.allows(manager, 'slots:write', 'station-b') &&
+                   !adminRoles.allows(manager, 'stations:create') &&
+                   !adminRoles.allows({ role: 'analyst' }, 'bookings:write', 'station-a') &&
+                   adminRoles.allows({ role: 'admin' }, 'admins:write');
+        });
+
+        // Test 82: Server-Side Role Check
+        await this.testAsync('Admin writes should follow the stored admin record, not the cached session', () => this.withMemoryBackend({
+            collections: {
+                adminUsers: { 'analyst-1': { adminId: 'analyst-1', email: 'analyst@example.com', role: 'analyst', isActive: true } }
+            },
+            accounts: [{ uid: 'analyst-1', email: 'analyst@example.com' }]
+        }, async (backend) => {
+            await backend.signIn('analyst@example.com', TEST_PASSWORD);
+            const refused = await dbMethods.createChargingStation({ name: 'Test Station' });
+
+            await backend.updateDoc('adminUsers', 'analyst-1', { role: 'super_admin' });
+            const promoted = await dbMethods.getSecurityEvents();
+
+            return refused.code === 'forbidden' && promoted.success;
+        }));
+
+        // Test 83: Admin Bookings for Drivers
+        await this.testAsync('Admins should only book for drivers whose email is verified', () => this.withMemoryBackend({
+            collections: {
+                adminUsers: { 'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true } },
+                users: {
+                    'driver-1': { userId: 'driver-1', email: 'new@example.com', emailVerified: false, isActive: true },
+                    'driver-2': { userId: 'driver-2', email: 'driver@example.com', emailVerified: true, isActive: true }
+                },
+                chargingStations: { 'station-1': { stationId: 'station-1', name: 'Test Station', totalSlots: 1, availableSlots: 1, isActive: true } },
+                chargingSlots: { 'slot-1': { slotId: 'slot-1', stationId: 'station-1', slotNumber: '1', isActive: true, isAvailable: true, reservations: [] } }
+            },
+            accounts: [{ uid: 'admin-1', email: 'admin@example.com' }]
+        }, async (backend) => {
+            const hour = 60 * 60 * 1000;
+            const start = Date.now() + 24 * hour;
+            const book = (userId) => dbMethods.createBooking({
+                userId: userId, stationId: 'station-1', slotId: 'slot-1', startTime: start, endTime: start + hour
+            });
+
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const unverified = await book('driver-1');
+            const verified = await book('driver-2');
+
+            const booking = (await backend.getDoc('bookings', verified.bookingId)).data;
+            return unverified.code === 'email_unverified' && verified.success &&
+                   booking.statusHistory[0].actorId === 'admin-1' && booking.statusHistory[0].actorRole === 'admin';
+        }));
+    }
+
+    /**
+     * Audit Log Tests
+     */
+    async runAuditLogTests() {
+        console.log('\n📜 Running Audit Log Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+        const seed = {
+            collections: {
+                adminUsers: { 'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true } },
+                users: { 'driver-1': { userId: 'driver-1', email: 'driver@example.com', isActive: true } },
+                chargingStations: { 'station-1': { stationId: 'station-1', name: 'Test Station', chargingTypes: ['CCS2'], totalSlots: 0, availableSlots: 0, isActive: true } }
+            },
+            accounts: [{ uid: 'admin-1', email: 'admin@example.com' }]
+        };
+
+        // Test 84: Station Changes Are Audited
+        await this.testAsync('Station updates should record who changed which fields from what to what', () => this.withMemoryBackend({
+            collections: {
+                adminUsers: { 'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true } },
+                chargingStations: { 'station-1': { stationId: 'station-1', name: 'Test Station', chargingSpeed: 'fast', isActive: true } }
+            },
+            accounts: [{ uid: 'admin-1', email: 'admin@example.com' }]
+        }, async (backend) => {
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            await dbMethods.updateChargingStation('station-1', { name: 'Test Station', chargingSpeed: 'rapid', isActive: false });
+
+            const result = await dbMethods.getAuditLogs({ targetCollection: 'chargingStations', targetId: 'station-1' });
+            const entry = result.entries[0];
+
+            return result.entries.length === 1 && entry.action === 'station.updated' &&
+                   entry.actorEmail === 'admin@example.com' &&
+                   JSON.stringify(entry.changes) === JSON.stringify({
+                       chargingSpeed: { before: 'fast', after: 'rapid' },
+                       isActive: { before: true, after: false }
+                   });
+        }));
+
+        // Test 85: CSV Export
+        this.test('CSV export should give each changed field a row and defuse formulas', () => {
+            const csv = AuditLogViewer.toCsv([{
+                createdAt: '2025-01-06T12:00:00.000Z',
+                actorEmail: 'admin@example.com',
+                actorId: 'admin-1',
+                action: 'station.updated',
+                targetCollection: 'chargingStations',
+                targetId: 'station-1',
+                stationId: 'station-1',
+                changes: {
+                    name: { before: 'Old, Station', after: '=HYPERLINK("x")' },
+                    isActive: { before: true, after: false }
+                }
+            }]);
+            const lines = csv.split('\r\n');
+
+            return lines.length === 3 && lines[0] === AuditLogViewer.CSV_COLUMNS.join(',') &&
+                   lines[1].endsWith(',name,"Old, Station","\'=HYPERLINK(""x"")"') &&
+                   lines[2].endsWith(',isActive,true,false');
+        });
+
+        // Test 86: Changes Commit With Their Audit Entry
+        await this.testAsync('Admin writes should be dropped when their audit entry cannot be written', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const audited = await dbMethods.updateChargingStation('station-1', { name: 'Audited Name' });
+            const entries = (await backend.queryDocs('auditLogs', {})).length;
+
+            const newId = backend.newId.bind(backend);
+            backend.newId = (collectionName) => {
+                if (collectionName === 'auditLogs') throw new Error('Audit log unavailable');
+                return newId(collectionName);
+            };
+
+            const renamed = await dbMethods.updateChargingStation('station-1', { name: 'Unaudited Name' });
+            const slot = await dbMethods.createChargingSlot('station-1', { slotNumber: 1, chargingType: 'CCS2' });
+            const suspended = await dbMethods.setUserActive('driver-1', false);
+
+            const station = (await backend.getDoc('chargingStations', 'station-1')).data;
+            const driver = (await backend.getDoc('users', 'driver-1')).data;
+            return audited.success && entries === 1 && !renamed.success && !slot.success && !suspended.success &&
+                   station.name === 'Audited Name' && station.totalSlots === 0 && driver.isActive === true &&
+                   (await backend.queryDocs('chargingSlots', {})).length === 0;
+        }));
+    }
+
+    /**
+     * User Management Console Tests
+     */
+    async runUserManagementConsoleTests() {
+        console.log('\n🧑‍💼 Running User Management Console Tests...');
+
+        const { authMethods, dbMethods } = window.FirebaseConfig;
+        const seed = {
+            collections: {
+                adminUsers: { 'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true } },
+                users: { 'driver-1': { userId: 'driver-1', email: 'driver@example.com', firstName: 'Test', lastName: 'Driver', isActive: true } },
+                chargingStations: { 'station-1': { stationId: 'station-1', name: 'Test Station', isActive: true } },
+                chargingSlots: { 'slot-1': { slotId: 'slot-1', stationId: 'station-1', slotNumber: '1', isActive: true, reservations: [] } }
+            },
+            accounts: [
+                { uid: 'admin-1', email: 'admin@example.com' },
+                { uid: 'driver-1', email: 'driver@example.com', emailVerified: true }
+            ]
+        };
+
+        // Test 87: Suspension Blocks Sign-in and Bookings
+        await this.testAsync('Suspended drivers should be refused sign-in and new bookings until reactivated', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            await dbMethods.setUserActive('driver-1', false, 'Disputed payments');
+            const booking = await dbMethods.createBooking({
+                userId: 'driver-1',
+                stationId: 'station-1',
+                slotId: 'slot-1',
+                startTime: Date.now() + 60 * 60 * 1000,
+                endTime: Date.now() + 2 * 60 * 60 * 1000
+            });
+            await backend.signOut();
+
+            const refused = await authMethods.signIn('driver@example.com', TEST_PASSWORD);
+            const signedOut = backend.getCurrentUser() === null;
+
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            await dbMethods.setUserActive('driver-1', true);
+            await backend.signOut();
+            const allowed = await authMethods.signIn('driver@example.com', TEST_PASSWORD);
+
+            return booking.code === 'account_suspended' && refused.code === 'account_suspended' &&
+                   signedOut && allowed.success;
+        }));
+
+        // Test 88: Granting Admin Roles
+        await this.testAsync('Granting a role should create an audited admin record, but not for yourself', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const granted = await dbMethods.setAdminRole('driver-1', 'station_manager', ['station-1']);
+            const ownRole = await dbMethods.setAdminRole('admin-1', 'analyst');
+
+            const admin = (await backend.getDoc('adminUsers', 'driver-1')).data;
+            const audit = await dbMethods.getAuditLogs({ targetCollection: 'adminUsers' });
+
+            return granted.success && ownRole.code === 'own_role' &&
+                   admin.role === 'station_manager' && admin.stationIds.join() === 'station-1' && admin.mfaRequired &&
+                   audit.entries.length === 1 && audit.entries[0].action === 'admin.role_granted';
+        }));
+    }
+
+    /**
+     * Admin Dashboard Tests
+     */
+    async runAdminDashboardTests() {
+        console.log('\n📋 Running Admin Dashboard Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+        const today = new Date();
+        today.setHours(10, 0, 0, 0);
+        const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+        const seed = {
+            collections: {
+                adminUsers: {
+                    'admin-1': { adminId: 'admin-1', email: 'admin@example.com', role: 'super_admin', isActive: true },
+                    'manager-1': { adminId: 'manager-1', email: 'manager@example.com', role: 'station_manager', stationIds: ['station-1'], isActive: true }
+                },
+                chargingStations: {
+                    'station-1': { stationId: 'station-1', name: 'Managed Station', isActive: true },
+                    'station-2': { stationId: 'station-2', name: 'Other Station', isActive: false }
+                },
+                bookings: {
+                    'booking-1': { bookingId: 'booking-1', stationId: 'station-1', status: 'pending', startTime: today },
+                    'booking-2': { bookingId: 'booking-2', stationId: 'station-2', status: 'pending', startTime: today },
+                    'booking-3': { bookingId: 'booking-3', stationId: 'station-1', status: 'pending', startTime: tomorrow }
+                }
+            },
+            accounts: [
+                { uid: 'admin-1', email: 'admin@example.com' },
+                { uid: 'manager-1', email: 'manager@example.com' }
+            ]
+        };
+        const stationIds = Array.from({ length: 35 }, (_, index) => `station-${String(index + 1).padStart(2, '0')}`);
+        const stations = {};
+        const bookings = {};
+        stationIds.forEach((stationId, index) => {
+            stations[stationId] = { stationId: stationId, name: `Station ${stationId.slice(-2)}`, isActive: index % 2 === 0 };
+            bookings[`booking-${index}`] = { bookingId: `booking-${index}`, stationId: stationId, status: 'pending', startTime: new Date(today.getTime() + (34 - index) * 10 * 60 * 1000) };
+        });
+        const scopeSeed = {
+            collections: {
+                adminUsers: {
+                    'manager-1': { adminId: 'manager-1', email: 'manager@example.com', role: 'station_manager', stationIds: stationIds.slice(1), isActive: true },
+                    'manager-2': { adminId: 'manager-2', email: 'small@example.com', role: 'station_manager', stationIds: ['station-01', 'station-02'], isActive: true }
+                },
+                chargingStations: stations,
+                bookings: bookings
+            },
+            accounts: [
+                { uid: 'manager-1', email: 'manager@example.com' },
+                { uid: 'manager-2', email: 'small@example.com' }
+            ]
+        };
+        const collectPages = async (fetchPage, key) => {
+            const ids = [];
+            let cursor = null;
+            let pages = 0;
+            do {
+                const page = await fetchPage(cursor);
+                ids.push(...page[key].map(item => item.bookingId || item.stationId));
+                cursor = page.nextCursor;
+                pages++;
+            } while (cursor && pages < 20);
+            return ids;
+        };
+
+        // Test 89: Today's Bookings Follow Station Scope
+        await this.testAsync('Today\'s bookings should only list the stations an admin manages', () => this.withMemoryBackend(seed, async (backend) => {
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const all = await dbMethods.getBookingsForDay(today);
+            await backend.signOut();
+
+            await backend.signIn('manager@example.com', TEST_PASSWORD);
+            const scoped = await dbMethods.getBookingsForDay(today);
+
+            return all.bookings.map(booking => booking.bookingId).sort().join() === 'booking-1,booking-2' &&
+                   scoped.bookings.map(booking => booking.bookingId).join() === 'booking-1';
+        }));
+
+        // Test 90: Deactivated Stations Are Listed for Station Editors Only
+        await this.testAsync('Listing deactivated stations should need permission to edit stations', () => this.withMemoryBackend(seed, async (backend) => {
+            const publicList = await dbMethods.getChargingStations({ includeInactive: true });
+
+            await backend.signIn('admin@example.com', TEST_PASSWORD);
+            const adminList = await dbMethods.getChargingStations({ includeInactive: true });
+
+            return publicList.code === 'not_signed_in' && adminList.stations.length === 2;
+        }));
+
+        // Test 91: Bookings Across More Than 30 Stations
+        await this.testAsync('Today\'s bookings should cover every managed station, past the 30-value filter limit, in order', () => this.withMemoryBackend(scopeSeed, async (backend) => {
+            await backend.signIn('manager@example.com', TEST_PASSWORD);
+            const whole = await dbMethods.getBookingsForDay(today);
+            const paged = await collectPages(cursor => dbMethods.getBookingsForDay(today, { pageSize: 4, cursor: cursor }), 'bookings');
+
+            // The stations past the first 30 hold the earliest bookings, so they have to lead the list
+            const expected = stationIds.slice(1).map((_, index) => `booking-${34 - index}`);
+            return whole.bookings.map(booking => booking.bookingId).join() === expected.join() &&
+                   paged.join() === expected.join();
+        }));
+
+        // Test 92: Deactivated Stations Follow Station Scope
+        await this.testAsync('Scoped admins listing deactivated stations should only see the stations they manage', () => this.withMemoryBackend(scopeSeed, async (backend) => {
+            await backend.signIn('small@example.com', TEST_PASSWORD);
+            const small = await dbMethods.getChargingStations({ includeInactive: true });
+            await backend.signOut();
+
+            await backend.signIn('manager@example.com', TEST_PASSWORD);
+            const paged = await collectPages(cursor => dbMethods.getChargingStations({ includeInactive: true, pageSize: 7, cursor: cursor }), 'stations');
+
+            return small.stations.map(station => station.stationId).join() === 'station-01,station-02' &&
+                   paged.join() === stationIds.slice(1).join();
+        }));
+    }
+
+    /**
+     * User Dashboard Tests
+     */
+    async runUserDashboardTests() {
+        console.log('\n🚗 Running User Dashboard Tests...');
+
+        const { dbMethods } = window.FirebaseConfig;
+
+        // Test 93: Booked Stations Stay Readable
+        await this.testAsync('A deactivated station should still load for the bookings that point at it', () => this.withMemoryBackend({
+            collections: {
+                chargingStations: { 'station-1': { stationId: 'station-1', name: 'Closed Station', isActive: false } }
+            }
+        }, async () => {
+            const closed = await dbMethods.getChargingStation('station-1');
+            const missing = await dbMethods.getChargingStation('station-2');
+
+            return closed.success && closed.station.name === 'Closed Station' &&
+                   missing.code === 'station_not_found';
+        }));
+
+        // Test 94: Default Booking Start
+        this.test('Quick booking should default to a quarter hour at least 15 minutes away', () => {
+            const now = new Date(2025, 0, 6, 9, 50, 30).getTime();
+            const start = UserDashboard.nextQuarterHour(now);
+
+            return UserDashboard.toLocalInputValue(start) === '2025-01-06T10:15' &&
+                   UserDashboard.toLocalInputValue(UserDashboard.nextQuarterHour(new Date(2025, 0, 6, 9, 45).getTime())) === '2025-01-06T10:00';
+        });
+    }
+
     /**
      * Helper Methods for Testing
      */
@@ -259,6 +2002,49 @@ class EVRechargeTestSuite {
         }
     }
 
+    /**
+     * Test runner for checks that need to await
+     */
+    async testAsync(testName, testFunction) {
+        try {
+            const result = await testFunction();
+            if (result) {
+                this.passedTests++;
+                this.testResults.push({ name: testName, status: 'PASS', error: null });
+                console.log(`✅ ${testName}`);
+            } else {
+                this.failedTests++;
+                this.testResults.push({ name: testName, status: 'FAIL', error: 'Test returned false' });
+                console.log(`❌ ${testName} - Test returned false`);
+            }
+        } catch (error) {
+            this.failedTests++;
+            this.testResults.push({ name: testName, status: 'ERROR', error: error.message });
+            console.log(`💥 ${testName} - Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a check against a fresh memory backend, then put the page's backend back
+     * Seeded accounts without a password get TEST_PASSWORD.
+     */
+    async withMemoryBackend(seed, testFunction) {
+        const { firebaseServices, initializeMemoryBackend } = window.FirebaseConfig;
+        const previousBackend = firebaseServices.backend;
+        const backend = initializeMemoryBackend({
+            seed: {
+                ...seed,
+                accounts: (seed.accounts || []).map(account => ({ password: TEST_PASSWORD, ...account }))
+            }
+        });
+
+        try {
+            return await testFunction(backend);
+        } finally {
+            firebaseServices.backend = previousBackend;
+        }
+    }
+
     /**
      * Generate test ID
      */
@@ -0,0 +1,682 @@
+/**
+ * User Dashboard
+ * Author: MiniMax Agent
+ * Description: Driver home page: nearby stations, quick booking, and upcoming and past bookings
+ */
+
+class UserDashboard {
+    constructor() {
+        this.authManager = new AuthManager();
+        this.location = null;
+        this.stations = new Map();
+        this.nearby = [];
+        this.bookings = new Map();
+        this.bookingsCursor = null;
+        this.slots = new Map();
+        this.init();
+    }
+
+    /**
+     * Initialize the user dashboard
+     */
+    init() {
+        this.setupEventListeners();
+
+        // AuthManager records the signed-in user before this listener runs
+        window.FirebaseConfig.authMethods.onAuthStateChanged((user) => {
+            if (!user || !this.authManager.validateAuth('user')) return;
+
+            const session = this.authManager.getStoredSession();
+            if (session && session.isAdmin) {
+                // Admin accounts have no driver dashboard
+                window.location.href = 'admin-dashboard.html';
+                return;
+            }
+
+            this.loadGreeting();
+            this.loadBookings();
+            this.locate();
+        });
+
+        this.logger.info('UserDashboard initialized');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const bookingForm = document.getElementById('bookingForm');
+        if (bookingForm) {
+            bookingForm.addEventListener('submit', this.handleBookingSubmit.bind(this));
+            // Re-price whenever the slot or the window changes
+            ['bookingSlot', 'bookingStart', 'bookingDuration'].forEach(inputId => {
+                document.getElementById(inputId).addEventListener('change', () => this.updateEstimate());
+            });
+        }
+
+        const filterForm = document.getElementById('nearbyFilterForm');
+        if (filterForm) {
+            filterForm.addEventListener('change', () => this.searchNearby());
+            filterForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.searchNearby();
+            });
+        }
+
+        const buttons = {
+            locateButton: () => this.locate(),
+            bookingCancelButton: () => this.closeBookingPanel(),
+            bookingsLoadMore: () => this.loadBookings(this.bookingsCursor),
+            logoutButton: () => this.authManager.signOut()
+        };
+
+        Object.entries(buttons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        // Card buttons are rendered later, so listen on the lists
+        ['nearbyStations', 'upcomingBookings', 'pastBookings'].forEach(listId => {
+            const list = document.getElementById(listId);
+            if (list) {
+                list.addEventListener('click', (e) => {
+                    const button = e.target.closest('button[data-action]');
+                    if (button) {
+                        this.handleCardAction(button.dataset.action, button.dataset.id);
+                    }
+                });
+            }
+        });
+    }
+
+    async loadGreeting() {
+        const profile = await this.authManager.getUserProfile();
+        if (profile && profile.firstName) {
+            document.getElementById('welcomeTitle').textContent = `Welcome back, ${profile.firstName}`;
+        }
+    }
+
+    /**
+     * Ask the browser for the driver's position, then search around it
+     */
+    async locate() {
+        const status = document.getElementById('locationStatus');
+        const resetLoading = this.showLoading(document.getElementById('locateButton'), 'Locating...');
+        status.textContent = 'Finding your location...';
+
+        try {
+            this.location = await window.evApp.getCurrentLocation();
+            await this.searchNearby();
+        } catch (error) {
+            this.logger.warn('Location unavailable', error);
+            status.textContent = 'We could not get your location. Allow location access in your browser and try again.';
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Search stations around the last known position with the filter bar's settings
+     */
+    async searchNearby() {
+        if (!this.location) return;
+
+        const formData = new FormData(document.getElementById('nearbyFilterForm'));
+        const radiusKm = Number(formData.get('radiusKm')) || 10;
+        const filters = {
+            sortBy: formData.get('sortBy'),
+            availableNow: formData.get('availableNow') === 'true'
+        };
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.getNearbyStations(
+                this.location.latitude, this.location.longitude, radiusKm, filters);
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            this.nearby = result.stations;
+            result.stations.forEach(station => this.stations.set(station.stationId, station));
+
+            document.getElementById('locationStatus').textContent =
+                `${result.stations.length} station${result.stations.length === 1 ? '' : 's'} within ${radiusKm} km`;
+            this.renderNearby();
+        } catch (error) {
+            this.logger.error('Nearby search error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        }
+    }
+
+    renderNearby() {
+        const list = document.getElementById('nearbyStations');
+        list.innerHTML = '';
+
+        this.nearby.forEach(station => {
+            const details = [
+                ['fa-map-pin', station.address || '—'],
+                ['fa-plug', (station.chargingTypes || []).join(', ') || '—'],
+                ['fa-bolt', station.maxPower ? `Up to ${station.maxPower} kW` : (station.chargingSpeed || '—')],
+                ['fa-charging-station', `${station.freeSlotsNow || 0} of ${station.totalSlots || 0} slots free now`]
+            ];
+            if (station.currentPrice !== null && station.currentPrice !== undefined) {
+                details.push(['fa-tag', `${this.formatMoney(station.currentPrice, station.tariff)} per kWh now`]);
+            }
+
+            const card = this.card(station.name, details);
+            const distance = document.createElement('span');
+            distance.className = 'station-distance';
+            distance.textContent = window.evApp.formatDistance(station.distance);
+            card.querySelector('.card-title').appendChild(distance);
+
+            const actions = card.querySelector('.dashboard-actions');
+            actions.appendChild(this.actionButton('Book', 'book', station.stationId, 'btn-primary'));
+            actions.appendChild(this.directionsLink(station));
+
+            list.appendChild(card);
+        });
+
+        document.getElementById('nearbyEmpty').style.display = this.nearby.length ? 'none' : 'block';
+    }
+
+    /**
+     * Load the first page of the driver's bookings, or the page after `cursor`
+     */
+    async loadBookings(cursor = null) {
+        const resetLoading = this.showLoading(cursor ? document.getElementById('bookingsLoadMore') : null, 'Loading...');
+
+        try {
+            const userId = this.authManager.getCurrentUser().uid;
+            const result = await window.FirebaseConfig.dbMethods.getUserBookings(userId, { cursor: cursor });
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            if (!cursor) this.bookings.clear();
+            result.bookings.forEach(booking => this.bookings.set(booking.bookingId, booking));
+
+            await this.loadStations(result.bookings.map(booking => booking.stationId));
+            this.renderBookings();
+            this.bookingsCursor = result.nextCursor;
+            document.getElementById('bookingsLoadMore').style.display = result.nextCursor ? 'inline-flex' : 'none';
+        } catch (error) {
+            this.logger.error('Booking list error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    /**
+     * Fetch the stations bookings point at that are not already known
+     */
+    async loadStations(stationIds) {
+        const missing = [...new Set(stationIds)].filter(stationId => stationId && !this.stations.has(stationId));
+
+        const results = await Promise.all(missing.map(stationId => window.FirebaseConfig.dbMethods.getChargingStation(stationId)));
+        results.forEach((result, index) => {
+            if (result.success) {
+                this.stations.set(missing[index], result.station);
+            }
+        });
+    }
+
+    /**
+     * Split bookings into upcoming (still open, soonest first) and history (newest first)
+     */
+    renderBookings() {
+        const lifecycle = window.FirebaseConfig.bookingLifecycle;
+        const all = [...this.bookings.values()];
+        const upcoming = all
+            .filter(booking => lifecycle.openStatuses.includes(booking.status))
+            .sort((a, b) => UserDashboard.toMillis(a.startTime) - UserDashboard.toMillis(b.startTime));
+        const past = all.filter(booking => !lifecycle.openStatuses.includes(booking.status));
+
+        this.renderBookingList('upcomingBookings', 'upcomingEmpty', upcoming);
+        this.renderBookingList('pastBookings', 'pastEmpty', past);
+    }
+
+    renderBookingList(listId, emptyId, bookings) {
+        const list = document.getElementById(listId);
+        const lifecycle = window.FirebaseConfig.bookingLifecycle;
+        list.innerHTML = '';
+
+        bookings.forEach(booking => {
+            const station = this.stations.get(booking.stationId);
+            const start = UserDashboard.toMillis(booking.startTime);
+            const end = UserDashboard.toMillis(booking.endTime);
+            const cost = booking.costBreakdown || booking.costEstimate;
+            const details = [
+                ['fa-clock', `${window.evApp.formatDate(start, 'long')} – ${window.evApp.formatDate(end, 'time')}`],
+                ['fa-map-pin', station ? station.address || '—' : '—']
+            ];
+            if (booking.energyDelivered) {
+                details.push(['fa-bolt', `${booking.energyDelivered} kWh delivered`]);
+            }
+            if (cost) {
+                details.push(['fa-receipt', `${this.formatMoney(cost.total, cost)}${booking.costBreakdown ? '' : ' (estimate)'}`]);
+            }
+            if (booking.cancellationReason) {
+                details.push(['fa-comment', booking.cancellationReason]);
+            }
+
+            const card = this.card(station ? station.name : 'Charging station', details);
+            const badge = document.createElement('span');
+            badge.className = `booking-status ${booking.status}`;
+            badge.textContent = UserDashboard.STATUS_LABELS[booking.status] || booking.status;
+            card.querySelector('.card-subtitle').appendChild(badge);
+
+            const actions = card.querySelector('.dashboard-actions');
+            if (lifecycle.canTransition(booking.status, 'cancelled', 'user')) {
+                actions.appendChild(this.actionButton('Cancel Booking', 'cancel', booking.bookingId, 'btn-danger'));
+            }
+            if (station && station.isActive !== false && !lifecycle.openStatuses.includes(booking.status)) {
+                actions.appendChild(this.actionButton('Book Again', 'book', station.stationId, 'btn-outline'));
+            }
+
+            list.appendChild(card);
+        });
+
+        document.getElementById(emptyId).style.display = bookings.length ? 'none' : 'block';
+    }
+
+    /**
+     * Dispatch a card button
+     */
+    async handleCardAction(action, id) {
+        switch (action) {
+            case 'book':
+                await this.openBookingPanel(this.stations.get(id));
+                break;
+
+            case 'cancel':
+                if (window.confirm('Cancel this booking? The slot is released for other drivers.')) {
+                    await this.cancelBooking(id);
+                }
+                break;
+
+            default:
+                return;
+        }
+    }
+
+    /**
+     * Open the booking form for a station, starting at the next quarter hour
+     */
+    async openBookingPanel(station) {
+        if (!station) return;
+
+        this.clearBookingErrors();
+        document.getElementById('bookingStationId').value = station.stationId;
+        document.getElementById('bookingStationName').textContent = station.name;
+        document.getElementById('bookingStationAddress').textContent = station.address || '';
+        document.getElementById('bookingStart').value = UserDashboard.toLocalInputValue(UserDashboard.nextQuarterHour(Date.now()));
+        document.getElementById('bookingEstimate').textContent = '';
+
+        const select = document.getElementById('bookingSlot');
+        select.innerHTML = '';
+        this.slots.clear();
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.getStationSlots(station.stationId);
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            result.slots.forEach(slot => {
+                this.slots.set(slot.slotId, slot);
+                const option = document.createElement('option');
+                option.value = slot.slotId;
+                option.textContent = [`Slot ${slot.slotNumber}`, slot.chargingType, slot.maxPower ? `${slot.maxPower} kW` : null]
+                    .filter(Boolean).join(' · ');
+                select.appendChild(option);
+            });
+
+            if (!result.slots.length) {
+                this.showError('bookingSlotError', 'This station has no slots open for booking');
+            }
+        } catch (error) {
+            this.logger.error('Slot list error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+            return;
+        }
+
+        const panel = document.getElementById('bookingForm');
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth' });
+        await this.updateEstimate();
+    }
+
+    closeBookingPanel() {
+        document.getElementById('bookingForm').style.display = 'none';
+    }
+
+    /**
+     * Start and end of the window picked in the booking form, or null when incomplete
+     */
+    readBookingWindow() {
+        const startValue = document.getElementById('bookingStart').value;
+        const duration = Number(document.getElementById('bookingDuration').value);
+        if (!startValue || !duration) return null;
+
+        const startTime = new Date(startValue);
+        if (isNaN(startTime.getTime())) return null;
+
+        return { startTime: startTime, endTime: new Date(startTime.getTime() + duration * 60000) };
+    }
+
+    /**
+     * Show the itemized total for the selected slot and window
+     */
+    async updateEstimate() {
+        const estimate = document.getElementById('bookingEstimate');
+        const stationId = document.getElementById('bookingStationId').value;
+        const slotId = document.getElementById('bookingSlot').value;
+        const timeWindow = this.readBookingWindow();
+        estimate.textContent = '';
+
+        if (!stationId || !slotId || !timeWindow) return;
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.estimateBookingCost(stationId, slotId, timeWindow.startTime, timeWindow.endTime);
+            if (result.success) {
+                estimate.textContent = `Estimated cost: ${this.formatMoney(result.estimate.total, result.estimate)}`;
+            } else if (result.code === 'no_tariff') {
+                estimate.textContent = 'Pricing for this station is shown at the charger';
+            }
+        } catch (error) {
+            this.logger.error('Estimate error', error);
+        }
+    }
+
+    /**
+     * Book the selected slot for the chosen window
+     */
+    async handleBookingSubmit(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const timeWindow = this.readBookingWindow();
+
+        this.clearBookingErrors();
+        if (!formData.get('slotId')) {
+            this.showError('bookingSlotError', 'Please choose a slot');
+            return;
+        }
+        if (!timeWindow) {
+            this.showError('bookingStartError', 'Please choose when you want to charge');
+            return;
+        }
+        if (timeWindow.startTime.getTime() < Date.now()) {
+            this.showError('bookingStartError', 'Please choose a time in the future');
+            return;
+        }
+
+        const resetLoading = this.showLoading(document.getElementById('bookingSubmitButton'), 'Booking...');
+
+        try {
+            const result = await window.FirebaseConfig.dbMethods.createBooking({
+                userId: this.authManager.getCurrentUser().uid,
+                stationId: formData.get('stationId'),
+                slotId: formData.get('slotId'),
+                startTime: timeWindow.startTime,
+                endTime: timeWindow.endTime
+            });
+
+            if (!result.success) {
+                if (result.code === 'slot_conflict') {
+                    const conflict = result.conflictingWindow;
+                    this.showError('bookingStartError',
+                        `This slot is taken from ${window.evApp.formatDate(conflict.startTime, 'time')} to ${window.evApp.formatDate(conflict.endTime, 'time')}. Pick another time or slot.`);
+                } else {
+                    this.showError('bookingFormError', this.getErrorMessage(result.code, result.error));
+                }
+                return;
+            }
+
+            this.closeBookingPanel();
+            this.showNotification('Booking made! It is pending until the station confirms it.', 'success');
+            await this.loadBookings();
+            await this.searchNearby();
+        } catch (error) {
+            this.logger.error('Booking error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        } finally {
+            resetLoading();
+        }
+    }
+
+    async cancelBooking(bookingId) {
+        try {
+            const actor = { userId: this.authManager.getCurrentUser().uid, role: 'user' };
+            const result = await window.FirebaseConfig.dbMethods.cancelBooking(bookingId, actor);
+            if (!result.success) {
+                this.showNotification(this.getErrorMessage(result.code, result.error), 'error');
+                return;
+            }
+
+            this.showNotification('Booking cancelled', 'success');
+            await this.loadBookings();
+            await this.searchNearby();
+        } catch (error) {
+            this.logger.error('Cancel booking error', error);
+            this.showNotification('An unexpected error occurred. Please try again.', 'error');
+        }
+    }
+
+    clearBookingErrors() {
+        ['bookingSlotError', 'bookingStartError', 'bookingFormError'].forEach(errorId => this.clearError(errorId));
+    }
+
+    /**
+     * Card with a title, subtitle slot, icon list and an empty actions row
+     * Text is set with textContent, never parsed as HTML.
+     */
+    card(title, details) {
+        const card = document.createElement('div');
+        card.className = 'card';
+
+        const body = document.createElement('div');
+        body.className = 'card-body';
+
+        const heading = document.createElement('h3');
+        heading.className = 'card-title';
+        heading.textContent = title;
+        body.appendChild(heading);
+
+        const subtitle = document.createElement('div');
+        subtitle.className = 'card-subtitle';
+        body.appendChild(subtitle);
+
+        const meta = document.createElement('ul');
+        meta.className = 'card-meta';
+        details.forEach(([icon, text]) => {
+            const item = document.createElement('li');
+            const iconElement = document.createElement('i');
+            iconElement.className = `fas ${icon}`;
+            item.appendChild(iconElement);
+            item.appendChild(document.createTextNode(` ${text}`));
+            meta.appendChild(item);
+        });
+        body.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'dashboard-actions';
+        body.appendChild(actions);
+
+        card.appendChild(body);
+        return card;
+    }
+
+    actionButton(label, action, id, className) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${className}`;
+        button.dataset.action = action;
+        button.dataset.id = id;
+        button.textContent = label;
+        return button;
+    }
+
+    directionsLink(station) {
+        const link = document.createElement('a');
+        link.className = 'btn btn-outline';
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'Directions';
+        if (station.location) {
+            link.href = `https://www.google.com/maps/dir/?api=1&destination=${station.location.latitude},${station.location.longitude}`;
+        }
+        return link;
+    }
+
+    /**
+     * Amount in the tariff's (or estimate's) currency
+     */
+    formatMoney(amount, source) {
+        const currency = (source && source.currency) || 'INR';
+        try {
+            return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency }).format(amount);
+        } catch (error) {
+            return `${currency} ${Number(amount).toFixed(2)}`;
+        }
+    }
+
+    /**
+     * Epoch milliseconds of a Date, Firestore Timestamp or date value
+     */
+    static toMillis(value) {
+        if (value && typeof value.toMillis === 'function') return value.toMillis();
+        if (value instanceof Date) return value.getTime();
+        return new Date(value).getTime();
+    }
+
+    /**
+     * The first quarter hour at least 15 minutes after `now`
+     */
+    static nextQuarterHour(now) {
+        const quarter = 15 * 60000;
+        return new Date(Math.ceil((now + quarter) / quarter) * quarter);
+    }
+
+    /**
+     * Local `YYYY-MM-DDTHH:MM` for a datetime-local input
+     */
+    static toLocalInputValue(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Get error message from a data method error code
+     */
+    getErrorMessage(errorCode, fallback) {
+        const errorMap = {
+            'email_unverified': 'Please verify your email address before booking. Check your inbox for the link.',
+            'account_suspended': 'Your account has been suspended. Please contact support.',
+            'station_unavailable': 'This station is not taking bookings right now.',
+            'slot_not_found': 'This slot is no longer available. Please pick another one.',
+            'invalid_booking': 'Please check the booking details and try again.',
+            'validation_failed': 'Please check the booking details and try again.',
+            'booking_not_found': 'This booking no longer exists.',
+            'invalid_transition': 'This booking can no longer be cancelled. Refresh to see its status.',
+            'forbidden': 'You can only change your own bookings.',
+            'invalid_actor': 'Please sign in again to continue.',
+            'not_signed_in': 'Please sign in again to continue.'
+        };
+
+        return errorMap[errorCode] || fallback || 'An error occurred. Please try again.';
+    }
+
+    /**
+     * Show individual field error
+     */
+    showError(elementId, message) {
+        const errorElement = document.getElementById(elementId);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        } else {
+            this.showNotification(message, 'error');
+        }
+    }
+
+    /**
+     * Clear field error
+     */
+    clearError(elementId) {
+        const errorElement = document.getElementById(elementId);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(buttonElement, label) {
+        if (buttonElement) {
+            const originalText = buttonElement.innerHTML;
+            buttonElement.innerHTML = `<span class="loading"></span> ${label}`;
+            buttonElement.disabled = true;
+            return () => {
+                buttonElement.innerHTML = originalText;
+                buttonElement.disabled = false;
+            };
+        }
+        return () => {};
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info', duration = 5000) {
+        if (window.evApp && window.evApp.showNotification) {
+            window.evApp.showNotification(message, type, duration);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
+
+    /**
+     * Logger utility
+     */
+    logger = {
+        info: (message, data = null) => {
+            console.log(`[UserDashboard] INFO: ${message}`, data || '');
+        },
+        error: (message, error = null) => {
+            console.error(`[UserDashboard] ERROR: ${message}`, error || '');
+        },
+        warn: (message, data = null) => {
+            console.warn(`[UserDashboard] WARN: ${message}`, data || '');
+        }
+    };
+}
+
+UserDashboard.STATUS_LABELS = {
+    pending: 'Awaiting confirmation',
+    confirmed: 'Confirmed',
+    in_progress: 'Charging',
+    completed: 'Completed',
+    cancelled: 'Cancelled',
+    no_show: 'Missed'
+};
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Only initialize on the user dashboard
+    if (window.location.pathname.includes('user-dashboard')) {
+        window.userDashboard = new UserDashboard();
+    }
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserDashboard;
+}
\ No newline at end of file